@@ -15,6 +15,7 @@
   const edgeStyleSelect = document.getElementById('edgeStyleSelect');
   const strokeDashSelect = document.getElementById('strokeDashSelect');
   const fillStyleSelect = document.getElementById('fillStyleSelect');
+  const routingSelect = document.getElementById('routingSelect');
   const fontSizeSelect = document.getElementById('fontSizeSelect');
   const wordWrapCheckbox = document.getElementById('wordWrap');
   const strokeSwatch = document.getElementById('strokeSwatch');
@@ -23,6 +24,7 @@
   const redoBtn = document.getElementById('redoBtn');
   const deleteBtn = document.getElementById('deleteBtn');
   const exportPngBtn = document.getElementById('exportPngBtn');
+  const exportSvgBtn = document.getElementById('exportSvgBtn');
   const exportJsonBtn = document.getElementById('exportJsonBtn');
   const importJsonBtn = document.getElementById('importJsonBtn');
   const importFileInput = document.getElementById('importFileInput');
@@ -55,10 +57,11 @@
 
   Tools.init(
     // redraw callback
-    (shapes, selectedIds, selectionRect, anchorHintCtx) => {
-      CanvasView.render(shapes, selectedIds, selectionRect, anchorHintCtx);
+    (shapes, selectedIds, selectionRect, anchorHintCtx, guides) => {
+      CanvasView.render(shapes, selectedIds, selectionRect, anchorHintCtx, guides, Collab.getPeers());
       updateZoomDisplay();
-      Export.autoSave(shapes);
+      Workspace.scheduleSave(shapes);
+      Collab.updateSelection(selectedIds);
     },
     // tool change callback
     (tool) => {
@@ -79,18 +82,35 @@
     }
   );
 
-  // Load autosaved data
-  const saved = Export.autoLoad();
-  if (saved && Array.isArray(saved) && saved.length > 0) {
-    Connectors.resolveAllBindings(saved);
-    Tools.setShapes(saved);
-    History.push(saved);
+  // === Documents ===
+  // Load a stored document into the editor with fresh history
+  function loadDocument(doc) {
+    Collab.documentOpened(doc.id);
+    Connectors.resolveAllBindings(doc.shapes);
+    Tools.setShapes(doc.shapes);
+    History.reset(doc.shapes);
+    History.setScope(doc.id);
+    Tools.redraw();
   }
 
+  DocManager.init(loadDocument);
+  Workspace.init()
+    .then((doc) => {
+      DocManager.setTitle(doc.name);
+      loadDocument(doc);
+    })
+    .catch((err) => {
+      DocManager.setTitle('Unsaved diagram');
+      alert('Diagrams cannot be stored in this browser, so changes will not be saved: ' + err.message);
+    })
+    .then(() => Collab.init());
+
   // History change callback
+  HistoryPanel.init();
   History.setOnChange(() => {
     undoBtn.style.opacity = History.canUndo() ? '1' : '0.3';
     redoBtn.style.opacity = History.canRedo() ? '1' : '0.3';
+    HistoryPanel.render();
   });
 
   // Initial render (deferred to let flex layout settle + canvas resize)
@@ -236,6 +256,10 @@
     Tools.setStyle('strokeDash', e.target.value);
   });
 
+  routingSelect.addEventListener('change', (e) => {
+    Tools.setStyle('routing', e.target.value);
+  });
+
   fontSizeSelect.addEventListener('change', (e) => {
     Tools.setStyle('fontSize', e.target.value);
   });
@@ -262,24 +286,76 @@
 
   clearAllBtn.addEventListener('click', () => {
     if (Tools.getShapes().length === 0) return;
-    if (confirm('Clear the entire canvas? This cannot be undone.')) {
-      History.push(Tools.getShapes());
+    if (confirm('Clear the entire canvas? You can undo this from the history panel.')) {
       Tools.setShapes([]);
-      Export.autoSave([]);
+      History.record(Tools.getShapes(), { label: 'Cleared canvas' });
       Tools.redraw();
     }
   });
 
   exportPngBtn.addEventListener('click', () => Export.toPNG(Tools.getShapes()));
+  exportSvgBtn.addEventListener('click', () => {
+    Export.toSVG(Tools.getShapes()).catch(err => alert('SVG export failed: ' + err.message));
+  });
   exportJsonBtn.addEventListener('click', () => Export.toJSON(Tools.getShapes()));
+  document.getElementById('exportMermaidBtn').addEventListener('click', () => {
+    const shapes = Tools.getShapes();
+    if (!shapes.some(s => ShapeRegistry.isBox(s.type))) {
+      alert('Canvas has no shapes to export as Mermaid nodes.');
+      return;
+    }
+    Export.download(Export.toMermaid(shapes), 'system-diagram.mmd');
+  });
+  document.getElementById('exportExcalidrawBtn').addEventListener('click', () => {
+    const shapes = Tools.getShapes();
+    if (shapes.length === 0) {
+      alert('Canvas is empty — nothing to export.');
+      return;
+    }
+    Export.download(Export.toExcalidraw(shapes), 'system-diagram.excalidraw', 'application/json');
+  });
+  // Infrastructure as code: generators run on the architecture manifest
+  const iacMenu = document.getElementById('iacMenu');
+  const IAC_FORMATS = {
+    bicep: { generate: IaC.toBicep, filename: 'main.bicep', empty: 'Diagram has no Azure components to generate Bicep for.' },
+    arm: { generate: IaC.toArmTemplate, filename: 'azuredeploy.json', type: 'application/json', empty: 'Diagram has no Azure components to generate an ARM template for.' },
+    terraform: { generate: IaC.toTerraform, filename: 'main.tf', empty: 'Diagram has no components to generate Terraform for.' },
+    kubernetes: { generate: IaC.toKubernetes, filename: 'k8s.yaml', type: 'application/yaml', empty: 'Diagram has no Kubernetes shapes to generate manifests for.' },
+    compose: { generate: IaC.toCompose, filename: 'docker-compose.yml', type: 'application/yaml', empty: 'Diagram has no components to run locally.' },
+  };
+  document.getElementById('exportIacBtn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    iacMenu.style.display = iacMenu.style.display === 'block' ? 'none' : 'block';
+    iacMenu.style.left = rect.left + 'px';
+    iacMenu.style.top = rect.bottom + 4 + 'px';
+  });
+  iacMenu.querySelectorAll('.ctx-item').forEach(item => {
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      iacMenu.style.display = 'none';
+      const shapes = Tools.getShapes();
+      if (shapes.length === 0) {
+        alert('Canvas is empty — nothing to export.');
+        return;
+      }
+      const format = IAC_FORMATS[item.dataset.format];
+      const text = format.generate(Export.buildManifest(shapes));
+      if (!text) {
+        alert(format.empty);
+        return;
+      }
+      Export.download(text, format.filename, format.type);
+    });
+  });
   document.getElementById('exportArchBtn').addEventListener('click', () => Export.toArchitecture(Tools.getShapes()));
   importJsonBtn.addEventListener('click', () => importFileInput.click());
   importFileInput.addEventListener('change', (e) => {
     if (e.target.files[0]) {
-      Export.fromJSON(e.target.files[0], (shapes) => {
-        History.push(Tools.getShapes());
+      Import.readFile(e.target.files[0], (shapes, label) => {
         Connectors.resolveAllBindings(shapes);
         Tools.setShapes(shapes);
+        History.record(Tools.getShapes(), { label });
         Tools.redraw();
       });
       e.target.value = '';
@@ -302,6 +378,21 @@
     Tools.redraw();
   });
 
+  // === Snapping Toggles ===
+
+  const snapGridBtn = document.getElementById('snapGridBtn');
+  const smartGuidesBtn = document.getElementById('smartGuidesBtn');
+
+  snapGridBtn.addEventListener('click', () => {
+    Snapping.setGridEnabled(!Snapping.isGridEnabled());
+    snapGridBtn.classList.toggle('active', Snapping.isGridEnabled());
+  });
+
+  smartGuidesBtn.addEventListener('click', () => {
+    Snapping.setGuidesEnabled(!Snapping.isGuidesEnabled());
+    smartGuidesBtn.classList.toggle('active', Snapping.isGuidesEnabled());
+  });
+
   function updateZoomDisplay() {
     zoomLevel.textContent = Math.round(CanvasView.getScale() * 100) + '%';
   }
@@ -324,6 +415,8 @@
   });
 
   canvas.addEventListener('pointermove', (e) => {
+    Collab.updateCursor(CanvasView.screenToWorld(e.offsetX, e.offsetY));
+
     if (isPanning && panStart) {
       const dx = e.offsetX - panStart.x;
       const dy = e.offsetY - panStart.y;
@@ -365,8 +458,9 @@
   // === Keyboard Shortcuts ===
 
   document.addEventListener('keydown', (e) => {
-    // Ignore when typing in text input
+    // Ignore when typing in text input or the connector label editor
     if (e.target.id === 'textInput') return;
+    if (e.target.closest && e.target.closest('#connectorEditor')) return;
 
     if (e.code === 'Space' && !spaceHeld) {
       spaceHeld = true;
@@ -375,6 +469,20 @@
       return;
     }
 
+    // Align / distribute (Alt+A/H/D left/center/right, Alt+W/V/S top/middle/bottom,
+    // Alt+Shift+H/V distribute). Uses e.code: Alt changes e.key on macOS.
+    if (e.altKey && !e.ctrlKey && !e.metaKey) {
+      const align = e.shiftKey
+        ? { KeyH: 'horizontal', KeyV: 'vertical' }[e.code]
+        : { KeyA: 'left', KeyH: 'center', KeyD: 'right', KeyW: 'top', KeyV: 'middle', KeyS: 'bottom' }[e.code];
+      if (align) {
+        if (e.shiftKey) Tools.distributeSelected(align);
+        else Tools.alignSelected(align);
+        e.preventDefault();
+        return;
+      }
+    }
+
     // Tool shortcuts
     if (!e.ctrlKey && !e.metaKey) {
       switch (e.key.toLowerCase()) {
@@ -422,6 +530,11 @@
           Tools.duplicateSelected();
           e.preventDefault();
           return;
+        case 'g':
+          if (e.shiftKey) Tools.ungroupSelected();
+          else Tools.groupSelected();
+          e.preventDefault();
+          return;
       }
     }
 
@@ -431,7 +544,8 @@
       if (selIds.size === 1 && Tools.getTool() === 'select') {
         const shapes = Tools.getShapes();
         const shape = shapes.find(s => s.id === [...selIds][0]);
-        if (shape && Shapes.CONTAINER_TYPES.has(shape.type)) {
+        const isConnector = shape && (shape.type === 'line' || shape.type === 'arrow' || shape.type === 'freehand');
+        if (shape && (Shapes.CONTAINER_TYPES.has(shape.type) || isConnector)) {
           Tools.editShapeText(shape);
           e.preventDefault();
           return;
@@ -471,11 +585,7 @@
     const shapes = Tools.getShapes();
     for (let i = shapes.length - 1; i >= 0; i--) {
       if (Shapes.hitTest(shapes[i], world.x, world.y, 6 / CanvasView.getScale())) {
-        if (!Tools.getSelectedIds().has(shapes[i].id)) {
-          Tools.getSelectedIds().clear();
-          Tools.getSelectedIds().add(shapes[i].id);
-          Tools.redraw();
-        }
+        Tools.selectShape(shapes[i]);
         found = true;
         break;
       }
@@ -490,6 +600,7 @@
 
   document.addEventListener('click', () => {
     contextMenu.style.display = 'none';
+    iacMenu.style.display = 'none';
   });
 
   contextMenu.querySelectorAll('.ctx-item').forEach(item => {
@@ -501,6 +612,16 @@
         case 'delete': Tools.deleteSelected(); break;
         case 'bringFront': Tools.bringToFront(); break;
         case 'sendBack': Tools.sendToBack(); break;
+        case 'group': Tools.groupSelected(); break;
+        case 'ungroup': Tools.ungroupSelected(); break;
+        case 'alignLeft': Tools.alignSelected('left'); break;
+        case 'alignCenter': Tools.alignSelected('center'); break;
+        case 'alignRight': Tools.alignSelected('right'); break;
+        case 'alignTop': Tools.alignSelected('top'); break;
+        case 'alignMiddle': Tools.alignSelected('middle'); break;
+        case 'alignBottom': Tools.alignSelected('bottom'); break;
+        case 'distributeH': Tools.distributeSelected('horizontal'); break;
+        case 'distributeV': Tools.distributeSelected('vertical'); break;
       }
       contextMenu.style.display = 'none';
     });
@@ -513,11 +634,18 @@
     for (let i = shapes.length - 1; i >= 0; i--) {
       if (Shapes.hitTest(shapes[i], world.x, world.y)) {
         const shape = shapes[i];
+        // Grouped shape — drill into its group first
+        if (Tools.getTool() === 'select' && Tools.enterGroup(shape)) break;
         // Container shapes — use in-shape text editor
         if (Shapes.CONTAINER_TYPES.has(shape.type)) {
           Tools.editShapeText(shape);
           break;
         }
+        // Connectors — label / protocol editor at the path midpoint
+        if (shape.type === 'line' || shape.type === 'arrow' || shape.type === 'freehand') {
+          Tools.editShapeText(shape);
+          break;
+        }
         // Standalone text shape — inline editor
         if (shape.type === 'text') {
           const input = document.getElementById('textInput');
@@ -534,7 +662,6 @@
           const shapeRef = shape;
           input.onblur = () => {
             if (input.value.trim()) {
-              History.push(shapes);
               shapeRef.text = input.value;
               const ctx = canvas.getContext('2d');
               ctx.font = `${shapeRef.fontSize}px ${shapeRef.fontFamily}`;
@@ -545,6 +672,7 @@
               }
               shapeRef.width = maxW + 8;
               shapeRef.height = lines.length * shapeRef.fontSize * 1.4;
+              History.record(shapes, { label: 'Edited text' });
             }
             input.style.display = 'none';
             input.style.width = '';
@@ -560,11 +688,13 @@
     }
   });
 
-  // === Prevent leaving with unsaved ===
-  window.addEventListener('beforeunload', (e) => {
-    const shapes = Tools.getShapes();
-    if (shapes.length > 0) {
-      Export.autoSave(shapes);
+  // === Save before leaving ===
+  window.addEventListener('beforeunload', () => {
+    Workspace.flush(Tools.getShapes()).catch(() => { /* already reported */ });
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      Workspace.flush(Tools.getShapes()).catch(() => { /* already reported */ });
     }
   });
 
@@ -0,0 +1,570 @@
+// ============================================================
+// collab.js — Live co-editing through the WebSocket relay
+// ============================================================
+//
+// The shared document is a last-writer-wins map kept by every peer and by
+// the relay (mcp-server/src/collab.js): each shape property, plus the
+// `$deleted` flag and the `$z` stacking key, remembers the timestamp
+// [lamport, clientId] of the op that set it, and a merge keeps the newer
+// one. Concurrent edits to different properties of a shape both survive;
+// edits to the same property resolve the same way on every peer.
+//
+// Local edits reach us as History patches and leave as ops; remote ops are
+// merged, applied to the shapes in place and absorbed into History so they
+// are not undone by this user's undo. Cursors and selections travel as
+// presence messages and are drawn by CanvasView.
+
+const Collab = (() => {
+  const SETTINGS_KEY = 'systemdraw_collab';
+  const DEFAULT_RELAY = 'ws://localhost:3001/collab';
+  const RECONNECT_MS = 2000;
+  const PRESENCE_MS = 50;
+  const COLORS = ['#e03131', '#2f9e44', '#1971c2', '#f08c00', '#9c36b5', '#0c8599', '#e8590c', '#c2255c'];
+
+  // One id per tab, so two tabs of the same browser are two peers
+  const clientId = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+  const color = COLORS[[...clientId].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 0) % COLORS.length];
+
+  let button = null;
+  let socket = null;
+  let relayUrl = null;
+  let roomName = null;    // room joined, or null when not collaborating
+  let userName = '';
+  let docId = null;       // document the room is shown in
+  let ready = false;      // room document is loaded in the editor
+  let welcomed = false;   // relay has answered at least once since join()
+  let reconnectTimer = null;
+
+  let clock = 0;
+  let state = new Map();  // id → { props, ts }
+  let peers = new Map();  // clientId → { clientId, name, color, cursor, selection }
+
+  let presenceTimer = null;
+  let cursor = null;
+  let selectionKey = '';
+
+  function _settings() {
+    try {
+      return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function _send(msg) {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+  }
+
+  // === Merging ===
+
+  /** Order op timestamps: lamport clock first, client id breaks ties */
+  function _compareTs(a, b) {
+    if (!b) return 1;
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+  }
+
+  /** Merge an op into the shared state; returns the properties it won */
+  function _merge(op) {
+    clock = Math.max(clock, op.ts[0]);
+    let entry = state.get(op.id);
+    if (!entry) {
+      entry = { props: {}, ts: {} };
+      state.set(op.id, entry);
+    }
+    const won = [];
+    for (const k in op.props) {
+      if (_compareTs(op.ts, entry.ts[k]) > 0) {
+        entry.props[k] = op.props[k];
+        entry.ts[k] = op.ts;
+        won.push(k);
+      }
+    }
+    return won;
+  }
+
+  function _isLive(entry) {
+    return !!entry && entry.props.$deleted === false;
+  }
+
+  function _z(id) {
+    const entry = state.get(id);
+    return _isLive(entry) ? entry.props.$z : undefined;
+  }
+
+  /** Stacking order: $z, then id so equal keys sort the same everywhere */
+  function _compareStack(a, b) {
+    return (_z(a) - _z(b)) || (a < b ? -1 : a > b ? 1 : 0);
+  }
+
+  function _toShape(entry) {
+    const shape = {};
+    for (const k in entry.props) {
+      if (k[0] !== '$') shape[k] = Utils.deepClone(entry.props[k]);
+    }
+    return shape;
+  }
+
+  /** Live shapes of the shared state in stacking order */
+  function _liveShapes() {
+    return [...state.keys()]
+      .filter(id => _isLive(state.get(id)))
+      .sort(_compareStack)
+      .map(id => _toShape(state.get(id)));
+  }
+
+  /** The whole state as ops, one per (shape, timestamp) */
+  function _stateOps(entries) {
+    const ops = [];
+    for (const [id, entry] of entries) {
+      const byTs = new Map();
+      for (const k in entry.props) {
+        const key = entry.ts[k].join();
+        if (!byTs.has(key)) byTs.set(key, { id, props: {}, ts: entry.ts[k] });
+        byTs.get(key).props[k] = entry.props[k];
+      }
+      ops.push(...byTs.values());
+    }
+    return ops;
+  }
+
+  // === Stacking keys ===
+
+  /** Indices of a longest strictly increasing run of `values` (undefined skipped) */
+  function _increasing(values) {
+    const tails = [];
+    const prev = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (v === undefined) continue;
+      let lo = 0, hi = tails.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (values[tails[mid]] < v) lo = mid + 1;
+        else hi = mid;
+      }
+      prev[i] = lo > 0 ? tails[lo - 1] : -1;
+      tails[lo] = i;
+    }
+    const keep = new Set();
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) keep.add(i);
+    return keep;
+  }
+
+  /**
+   * New $z keys that make the shared stacking match `ids`. Keeps as many
+   * existing keys as possible and slots the rest in between, so a restack
+   * touches only the shapes that moved. Shapes in `fresh` are (re)added
+   * and always get a new key.
+   */
+  function _restack(ids, fresh) {
+    const zs = ids.map(id => (fresh.has(id) ? undefined : _z(id)));
+    const keep = _increasing(zs);
+    const out = new Map();
+    for (let i = 0; i < ids.length;) {
+      if (keep.has(i)) { i++; continue; }
+      let j = i;
+      while (j < ids.length && !keep.has(j)) j++;
+      const lo = i > 0 ? zs[i - 1] : null;
+      const hi = j < ids.length ? zs[j] : null;
+      const n = j - i;
+      for (let k = 0; k < n; k++) {
+        let z;
+        if (lo !== null && hi !== null) z = lo + (hi - lo) * (k + 1) / (n + 1);
+        else if (lo !== null) z = lo + k + 1;
+        else if (hi !== null) z = hi - (n - k);
+        else z = k;
+        if ((lo !== null && z <= lo) || (hi !== null && z >= hi)) {
+          // Out of float precision between two keys: renumber everything
+          return new Map(ids.map((id, index) => [id, index]));
+        }
+        out.set(ids[i + k], z);
+      }
+      i = j;
+    }
+    return out;
+  }
+
+  // === Local edits → ops ===
+
+  /** History patch listener: stamp the applied side as ops and send them */
+  function _onPatch(patch, side, shapes) {
+    if (!roomName || !ready) return;
+    const other = side === 'before' ? 'after' : 'before';
+    const props = new Map();
+    for (const change of patch.changes) {
+      const value = change[side];
+      if (value === null) {
+        props.set(change.id, { $deleted: true });
+      } else if (change[other] === null) {
+        props.set(change.id, { ...Utils.deepClone(value), $deleted: false });
+      } else {
+        const p = {};
+        // A removed property travels as null (JSON has no undefined)
+        for (const k in value) p[k] = value[k] === undefined ? null : Utils.deepClone(value[k]);
+        props.set(change.id, p);
+      }
+    }
+    if (patch.order) {
+      const added = new Set([...props].filter(([, p]) => p.$deleted === false).map(([id]) => id));
+      for (const [id, z] of _restack(shapes.map(s => s.id), added)) {
+        if (!props.has(id)) props.set(id, {});
+        props.get(id).$z = z;
+      }
+    }
+    const ops = [...props].map(([id, p]) => ({ id, props: p, ts: [++clock, clientId] }));
+    for (const op of ops) _merge(op);
+    _send({ type: 'ops', ops });
+  }
+
+  // === Remote ops → shapes ===
+
+  function _applyRemote(ops) {
+    const changed = new Map(); // id → Set of properties that changed
+    for (const op of ops) {
+      const won = _merge(op);
+      if (won.length === 0) continue;
+      if (!changed.has(op.id)) changed.set(op.id, new Set());
+      for (const k of won) changed.get(op.id).add(k);
+    }
+    if (!ready || changed.size === 0) return;
+
+    const shapes = Tools.getShapes();
+    const absorbed = [];
+    let restack = false;
+    for (const [id, keys] of changed) {
+      const entry = state.get(id);
+      const index = shapes.findIndex(s => s.id === id);
+      if (!_isLive(entry)) {
+        if (index < 0) continue;
+        shapes.splice(index, 1);
+        Tools.getSelectedIds().delete(id);
+        absorbed.push({ id, keys: null });
+      } else if (index < 0) {
+        shapes.push(_toShape(entry));
+        restack = true;
+        absorbed.push({ id, keys: null });
+      } else {
+        const shape = shapes[index];
+        const own = [...keys].filter(k => k[0] !== '$');
+        for (const k of own) shape[k] = Utils.deepClone(entry.props[k]);
+        if (keys.has('$z')) restack = true;
+        absorbed.push({ id, keys: own });
+      }
+    }
+    if (restack) {
+      const sorted = shapes.map(s => s.id).sort(_compareStack);
+      const byId = new Map(shapes.map(s => [s.id, s]));
+      sorted.forEach((id, i) => { shapes[i] = byId.get(id); });
+    }
+    History.absorb(shapes, absorbed);
+  }
+
+  // === Joining ===
+
+  /** Put the open document into an empty room */
+  function _share() {
+    docId = Workspace.getCurrentId();
+    const ops = Tools.getShapes().map((shape, i) => ({
+      id: shape.id,
+      props: { ...Utils.deepClone(shape), $deleted: false, $z: i },
+      ts: [++clock, clientId],
+    }));
+    for (const op of ops) _merge(op);
+    ready = true;
+    _send({ type: 'ops', ops });
+  }
+
+  /** Open a room that has content as a new local document */
+  function _openRoom() {
+    const name = `${roomName} (shared)`;
+    const load = () => {
+      if (!roomName) return;
+      const shapes = _liveShapes();
+      Tools.setShapes(shapes);
+      History.reset(shapes, `Joined "${roomName}"`);
+      ready = true;
+      _status();
+      Tools.redraw();
+    };
+    Workspace.create(name, _liveShapes())
+      .then((doc) => {
+        docId = doc.id;
+        return DocManager.open(doc.id);
+      })
+      .then(load, () => {
+        // No storage: show the room in the editor unsaved
+        docId = Workspace.getCurrentId();
+        load();
+      });
+  }
+
+  function _onMessage(msg) {
+    switch (msg.type) {
+      case 'welcome': {
+        const first = !welcomed;
+        welcomed = true;
+        clock = Math.max(clock, msg.clock || 0);
+        peers = new Map((msg.peers || []).map(p => [p.clientId, p]));
+        const remote = new Map(msg.state || []);
+        if (first) {
+          state = remote;
+          if ([...remote.values()].some(_isLive)) _openRoom();
+          else _share();
+        } else {
+          // Back after a drop: trade full states; both sides keep the newer
+          // value of each property, so nothing edited offline is lost
+          _send({ type: 'ops', ops: _stateOps(state) });
+          _applyRemote(_stateOps(remote));
+        }
+        _sendPresence();
+        break;
+      }
+      case 'ops':
+        if (Array.isArray(msg.ops)) _applyRemote(msg.ops);
+        break;
+      case 'join':
+        peers.set(msg.peer.clientId, msg.peer);
+        break;
+      case 'leave':
+        peers.delete(msg.clientId);
+        break;
+      case 'presence': {
+        const peer = peers.get(msg.clientId);
+        if (peer) {
+          peer.cursor = msg.cursor;
+          peer.selection = msg.selection;
+        }
+        break;
+      }
+    }
+    _status();
+    Tools.redraw();
+  }
+
+  function _connect() {
+    const url = `${relayUrl}${relayUrl.includes('?') ? '&' : '?'}room=${encodeURIComponent(roomName)}`;
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (e) {
+      alert('Could not connect to the collaboration relay: ' + e.message);
+      leave();
+      return;
+    }
+    socket = ws;
+    ws.onopen = () => {
+      ws.send(JSON.stringify({ type: 'hello', clientId, name: userName, color }));
+    };
+    ws.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      if (msg && typeof msg === 'object') _onMessage(msg);
+    };
+    ws.onclose = () => {
+      if (socket !== ws) return; // left, or replaced by a newer connection
+      socket = null;
+      peers.clear();
+      if (!welcomed) {
+        alert(`Could not reach the collaboration relay at ${relayUrl}. ` +
+          'Start the MCP server with PORT set (see mcp-server/README.md).');
+        leave();
+        return;
+      }
+      _status();
+      Tools.redraw();
+      reconnectTimer = setTimeout(_connect, RECONNECT_MS);
+    };
+  }
+
+  /** The relay URL parsed, or null unless it is a ws: / wss: URL */
+  function _relay(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'ws:' || parsed.protocol === 'wss:' ? parsed : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function _badRelay(url) {
+    alert(`Not a collaboration relay: ${url}\nUse a ws:// or wss:// address.`);
+  }
+
+  /**
+   * Join `room` on the relay at `url`. An empty room gets the open
+   * document; a room with content opens as a new local document.
+   */
+  function join(url, room, name) {
+    if (!_relay(url)) {
+      _badRelay(url);
+      return;
+    }
+    leave();
+    relayUrl = url;
+    roomName = room;
+    userName = name || 'Guest';
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ relay: url, name: userName }));
+    welcomed = false;
+    ready = false;
+    clock = 0;
+    state = new Map();
+    peers = new Map();
+    _setLink(true);
+    _status();
+    _connect();
+  }
+
+  /** Stop collaborating; the document stays as it is */
+  function leave() {
+    if (!roomName) return;
+    clearTimeout(reconnectTimer);
+    clearTimeout(presenceTimer);
+    presenceTimer = null;
+    const ws = socket;
+    socket = null;
+    if (ws) ws.close();
+    roomName = null;
+    docId = null;
+    ready = false;
+    state = new Map();
+    peers = new Map();
+    _setLink(false);
+    _status();
+    Tools.redraw();
+  }
+
+  /** Another document was opened: it is not part of the room */
+  function documentOpened(id) {
+    if (roomName && docId && id !== docId) leave();
+  }
+
+  // === Presence ===
+
+  function _sendPresence() {
+    presenceTimer = null;
+    _send({ type: 'presence', cursor, selection: selectionKey ? selectionKey.split('\n') : [] });
+  }
+
+  function _schedulePresence() {
+    if (!roomName || presenceTimer) return;
+    presenceTimer = setTimeout(_sendPresence, PRESENCE_MS);
+  }
+
+  /** Share the pointer position (world coordinates) */
+  function updateCursor(world) {
+    cursor = { x: Math.round(world.x), y: Math.round(world.y) };
+    _schedulePresence();
+  }
+
+  /** Share the selection if it changed */
+  function updateSelection(selectedIds) {
+    const key = [...selectedIds].sort().join('\n');
+    if (key === selectionKey) return;
+    selectionKey = key;
+    _schedulePresence();
+  }
+
+  /** Other people in the room: [{ clientId, name, color, cursor, selection }] */
+  function getPeers() {
+    return [...peers.values()].filter(p => p.clientId !== clientId);
+  }
+
+  // === UI ===
+
+  function _setLink(inRoom) {
+    const url = new URL(window.location.href);
+    if (inRoom) {
+      url.searchParams.set('room', roomName);
+      url.searchParams.set('relay', relayUrl);
+    } else {
+      url.searchParams.delete('room');
+      url.searchParams.delete('relay');
+    }
+    window.history.replaceState(null, '', url);
+  }
+
+  function _status() {
+    if (!button) return;
+    button.classList.toggle('active', !!roomName);
+    if (!roomName) {
+      button.textContent = 'Share';
+      button.title = 'Edit this diagram together with others';
+    } else if (!socket || !welcomed) {
+      button.textContent = 'Connecting…';
+      button.title = `Room "${roomName}" on ${relayUrl}`;
+    } else {
+      button.textContent = `Live · ${getPeers().length + 1}`;
+      button.title = `Room "${roomName}" — ${[userName, ...getPeers().map(p => p.name)].join(', ')}`;
+    }
+  }
+
+  /** Ask for the relay, room and name, then join */
+  function _promptJoin() {
+    const saved = _settings();
+    const url = prompt('Collaboration relay', saved.relay || DEFAULT_RELAY);
+    if (!url || !url.trim()) return;
+    const roomId = prompt('Room to join (others use the same name)', Utils.generateId().slice(-8));
+    if (!roomId || !roomId.trim()) return;
+    const name = prompt('Your name, as others will see it', saved.name || 'Guest');
+    if (name === null) return;
+    join(url.trim(), roomId.trim(), name.trim());
+  }
+
+  function _onButton() {
+    if (!roomName) {
+      _promptJoin();
+      return;
+    }
+    const link = window.location.href;
+    if (confirm(`Editing together in room "${roomName}".\n\nInvite link:\n${link}\n\nLeave the room?`)) leave();
+  }
+
+  /**
+   * Wire up the Share button and, once the user confirms, join the room
+   * named in the page URL (?room=…&relay=…), if any. Call once the open
+   * document is loaded.
+   */
+  function init() {
+    button = document.getElementById('collabBtn');
+    button.addEventListener('click', _onButton);
+    History.setOnPatch(_onPatch);
+    _status();
+
+    const params = new URLSearchParams(window.location.search);
+    const room = params.get('room');
+    if (room) {
+      const saved = _settings();
+      const url = params.get('relay') || saved.relay || DEFAULT_RELAY;
+      const relay = _relay(url);
+      if (!relay) {
+        _badRelay(url);
+        _setLink(false);
+        return;
+      }
+      // A link can name any relay: never send the open document without asking
+      const ok = confirm(`Join room "${room}" on ${relay.host}?\n\n` +
+        'If the room is empty, your open diagram is shared with everyone connected to that relay.');
+      const name = ok ? saved.name || prompt('Your name, as others will see it', 'Guest') : null;
+      if (name === null) {
+        _setLink(false);
+        return;
+      }
+      join(url, room, name);
+    }
+  }
+
+  return {
+    init,
+    join,
+    leave,
+    documentOpened,
+    updateCursor,
+    updateSelection,
+    getPeers,
+  };
+})();
@@ -4,6 +4,9 @@
 
 const Connectors = (() => {
   const SNAP_DISTANCE = 20;
+  const ELBOW_MARGIN = 20;       // clearance kept around shapes by elbow routes
+  const ELBOW_BEND_COST = 40;    // extra cost per corner, discourages zig-zags
+  const ELBOW_MAX_NODES = 20000; // routing-graph size cap before falling back
 
   /**
    * Find the nearest boundary point on any connectable shape.
@@ -19,7 +22,7 @@ const Connectors = (() => {
 
     for (const shape of shapes) {
       if (excludeIds.includes(shape.id)) continue;
-      if (shape.type === 'line' || shape.type === 'arrow' || shape.type === 'freehand' || shape.type === 'text') continue;
+      if (!ShapeRegistry.isBox(shape.type)) continue;
 
       const bp = Shapes.getBoundaryPoint(shape, worldX, worldY);
       if (!bp) continue;
@@ -37,7 +40,8 @@ const Connectors = (() => {
         bestDist = d;
         best = {
           shapeId: shape.id,
-          angle: Math.atan2(bp.y - cy, bp.x - cx),
+          // Stored relative to the shape's rotation (see getBoundaryPointFromAngle)
+          angle: Math.atan2(bp.y - cy, bp.x - cx) - ShapeRegistry.getRotation(shape),
           x: bp.x,
           y: bp.y,
         };
@@ -53,7 +57,7 @@ const Connectors = (() => {
    */
   function drawAnchorHints(ctx, shapes, worldX, worldY, scale) {
     for (const shape of shapes) {
-      if (shape.type === 'line' || shape.type === 'arrow' || shape.type === 'freehand' || shape.type === 'text') continue;
+      if (!ShapeRegistry.isBox(shape.type)) continue;
 
       const bp = Shapes.getBoundaryPoint(shape, worldX, worldY);
       if (!bp) continue;
@@ -91,12 +95,13 @@ const Connectors = (() => {
     for (const shape of shapes) {
       if (shape.type !== 'arrow' && shape.type !== 'line' && shape.type !== 'freehand') continue;
       if (!shape.points || shape.points.length < 2) continue;
+      let moved = false;
 
       if (shape.startBinding && shape.startBinding.shapeId === movedShapeId) {
         const target = shapes.find(s => s.id === movedShapeId);
         if (target) {
           const pt = Shapes.getBoundaryPointFromAngle(target, shape.startBinding.angle);
-          if (pt) shape.points[0] = { x: pt.x, y: pt.y };
+          if (pt) { shape.points[0] = { x: pt.x, y: pt.y }; moved = true; }
         }
       }
 
@@ -104,9 +109,11 @@ const Connectors = (() => {
         const target = shapes.find(s => s.id === movedShapeId);
         if (target) {
           const pt = Shapes.getBoundaryPointFromAngle(target, shape.endBinding.angle);
-          if (pt) shape.points[shape.points.length - 1] = { x: pt.x, y: pt.y };
+          if (pt) { shape.points[shape.points.length - 1] = { x: pt.x, y: pt.y }; moved = true; }
         }
       }
+
+      if (moved) reroute(shape, shapes);
     }
   }
 
@@ -137,7 +144,231 @@ const Connectors = (() => {
           shape.endBinding = null;
         }
       }
+
+      reroute(shape, shapes);
+    }
+  }
+
+  // === Elbow routing ===
+  // Orthogonal routes are found with a shortest-path search over a sparse
+  // grid built from the endpoints and the (inflated) edges of nearby shapes,
+  // so the path hugs obstacles instead of crossing them.
+
+  /**
+   * Recompute the interior points of an elbow connector from its current
+   * endpoints and bindings. Straight connectors are left untouched.
+   */
+  function reroute(shape, shapes) {
+    if (shape.routing !== 'elbow') return;
+    if (!shape.points || shape.points.length < 2) return;
+
+    const start = shape.points[0];
+    const end = shape.points[shape.points.length - 1];
+    const startTarget = shape.startBinding ? shapes.find(s => s.id === shape.startBinding.shapeId) : null;
+    const endTarget = shape.endBinding ? shapes.find(s => s.id === shape.endBinding.shapeId) : null;
+
+    const startDir = _exitDirection(start, startTarget);
+    const endDir = _exitDirection(end, endTarget);
+    const s = _stubPoint(start, startDir, startTarget);
+    const e = _stubPoint(end, endDir, endTarget);
+
+    // Only shapes near the connector take part in routing
+    const m = ELBOW_MARGIN;
+    const region = Utils.normalizeBounds(s.x, s.y, e.x, e.y);
+    region.x -= m * 8; region.y -= m * 8;
+    region.w += m * 16; region.h += m * 16;
+    const obstacles = [];
+    for (const other of shapes) {
+      if (!ShapeRegistry.isBox(other.type)) continue;
+      const b = Shapes.getBounds(other);
+      const r = { x: b.x - m, y: b.y - m, w: b.w + m * 2, h: b.h + m * 2 };
+      if (!Utils.rectsOverlap(r, region)) continue;
+      // An obstacle swallowing a stub point would make the route impossible
+      if (_strictlyInside(r, s.x, s.y) || _strictlyInside(r, e.x, e.y)) continue;
+      obstacles.push(r);
+    }
+
+    const path = _findOrthogonalPath(s, e, startDir, endDir, obstacles)
+      || _fallbackElbow(s, e, startDir);
+    shape.points = _simplifyPath([start, ...path, end]);
+  }
+
+  /**
+   * Axis-aligned direction in which a route leaves an endpoint: away from the
+   * side of the bound shape it sits on, or null for a free endpoint.
+   */
+  function _exitDirection(pt, target) {
+    if (!target) return null;
+    const b = Shapes.getBounds(target);
+    const dx = (pt.x - (b.x + b.w / 2)) / (b.w / 2 || 1);
+    const dy = (pt.y - (b.y + b.h / 2)) / (b.h / 2 || 1);
+    if (Math.abs(dx) >= Math.abs(dy)) return { x: Math.sign(dx) || 1, y: 0 };
+    return { x: 0, y: Math.sign(dy) || 1 };
+  }
+
+  /** First routing node: ELBOW_MARGIN outside the bound shape's side */
+  function _stubPoint(pt, dir, target) {
+    if (!dir) return { x: pt.x, y: pt.y };
+    const b = Shapes.getBounds(target);
+    const m = ELBOW_MARGIN;
+    if (dir.x > 0) return { x: b.x + b.w + m, y: pt.y };
+    if (dir.x < 0) return { x: b.x - m, y: pt.y };
+    if (dir.y > 0) return { x: pt.x, y: b.y + b.h + m };
+    return { x: pt.x, y: b.y - m };
+  }
+
+  function _strictlyInside(r, x, y) {
+    return x > r.x && x < r.x + r.w && y > r.y && y < r.y + r.h;
+  }
+
+  function _segmentBlocked(obstacles, x1, y1, x2, y2) {
+    const minX = Math.min(x1, x2), maxX = Math.max(x1, x2);
+    const minY = Math.min(y1, y2), maxY = Math.max(y1, y2);
+    for (const r of obstacles) {
+      if (minY === maxY) {
+        if (minY > r.y && minY < r.y + r.h && minX < r.x + r.w && maxX > r.x) return true;
+      } else if (minX > r.x && minX < r.x + r.w && minY < r.y + r.h && maxY > r.y) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Shortest orthogonal path from stub `s` to stub `e` around `obstacles`,
+   * charging ELBOW_BEND_COST per corner. Returns the corner points
+   * (including `s` and `e`) or null when no route exists.
+   */
+  function _findOrthogonalPath(s, e, startDir, endDir, obstacles) {
+    const xSet = new Set([s.x, e.x, (s.x + e.x) / 2]);
+    const ySet = new Set([s.y, e.y, (s.y + e.y) / 2]);
+    for (const r of obstacles) {
+      xSet.add(r.x); xSet.add(r.x + r.w);
+      ySet.add(r.y); ySet.add(r.y + r.h);
+    }
+    const xs = [...xSet].sort((a, b) => a - b);
+    const ys = [...ySet].sort((a, b) => a - b);
+    const nx = xs.length, ny = ys.length;
+    if (nx * ny > ELBOW_MAX_NODES) return null;
+
+    const free = new Uint8Array(nx * ny);
+    for (let i = 0; i < nx; i++) {
+      for (let j = 0; j < ny; j++) {
+        free[i * ny + j] = obstacles.some(r => _strictlyInside(r, xs[i], ys[j])) ? 0 : 1;
+      }
+    }
+
+    // Search state = node * 4 + heading (0 right, 1 down, 2 left, 3 up)
+    const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+    const headingOf = (d) => d ? STEPS.findIndex(st => st[0] === d.x && st[1] === d.y) : -1;
+    const startNode = xs.indexOf(s.x) * ny + ys.indexOf(s.y);
+    const endNode = xs.indexOf(e.x) * ny + ys.indexOf(e.y);
+    // The final leg runs from the end stub back into the shape
+    const arriveHeading = endDir ? headingOf({ x: -endDir.x, y: -endDir.y }) : -1;
+
+    const cost = new Float64Array(nx * ny * 4).fill(Infinity);
+    const prev = new Int32Array(nx * ny * 4).fill(-1);
+    const heap = [];
+    const startHeading = headingOf(startDir);
+    for (let h = 0; h < 4; h++) {
+      const c = (startHeading < 0 || h === startHeading) ? 0 : ELBOW_BEND_COST;
+      cost[startNode * 4 + h] = c;
+      _heapPush(heap, [c, startNode * 4 + h]);
+    }
+
+    let best = -1, bestCost = Infinity;
+    while (heap.length) {
+      const [c, state] = _heapPop(heap);
+      if (c > cost[state] || c >= bestCost) continue;
+      const node = state >> 2, heading = state & 3;
+      if (node === endNode) {
+        const total = c + ((arriveHeading < 0 || heading === arriveHeading) ? 0 : ELBOW_BEND_COST);
+        if (total < bestCost) { bestCost = total; best = state; }
+        continue;
+      }
+      const i = Math.floor(node / ny), j = node % ny;
+      for (let h = 0; h < 4; h++) {
+        const ni = i + STEPS[h][0], nj = j + STEPS[h][1];
+        if (ni < 0 || nj < 0 || ni >= nx || nj >= ny) continue;
+        const next = ni * ny + nj;
+        if (!free[next] || _segmentBlocked(obstacles, xs[i], ys[j], xs[ni], ys[nj])) continue;
+        const nc = c + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j])
+          + (h === heading ? 0 : ELBOW_BEND_COST);
+        if (nc < cost[next * 4 + h]) {
+          cost[next * 4 + h] = nc;
+          prev[next * 4 + h] = state;
+          _heapPush(heap, [nc, next * 4 + h]);
+        }
+      }
+    }
+    if (best < 0) return null;
+
+    const path = [];
+    for (let st = best; st >= 0; st = prev[st]) {
+      const node = st >> 2;
+      const pt = { x: xs[Math.floor(node / ny)], y: ys[node % ny] };
+      const last = path[path.length - 1];
+      if (!last || last.x !== pt.x || last.y !== pt.y) path.push(pt);
+    }
+    return path.reverse();
+  }
+
+  /** Z-shaped route used when no obstacle-free path exists */
+  function _fallbackElbow(s, e, startDir) {
+    if (startDir && startDir.y !== 0) {
+      const midY = (s.y + e.y) / 2;
+      return [s, { x: s.x, y: midY }, { x: e.x, y: midY }, e];
+    }
+    const midX = (s.x + e.x) / 2;
+    return [s, { x: midX, y: s.y }, { x: midX, y: e.y }, e];
+  }
+
+  /** Drop duplicate and collinear points */
+  function _simplifyPath(points) {
+    const out = [];
+    for (const p of points) {
+      const last = out[out.length - 1];
+      if (last && Math.abs(last.x - p.x) < 0.01 && Math.abs(last.y - p.y) < 0.01) continue;
+      if (out.length >= 2) {
+        const a = out[out.length - 2];
+        const collinear = (Math.abs(a.x - last.x) < 0.01 && Math.abs(last.x - p.x) < 0.01) ||
+                          (Math.abs(a.y - last.y) < 0.01 && Math.abs(last.y - p.y) < 0.01);
+        if (collinear) out.pop();
+      }
+      out.push({ x: p.x, y: p.y });
+    }
+    return out;
+  }
+
+  // Minimal binary heap of [priority, value] pairs
+  function _heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  function _heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1, r = l + 1;
+        let min = i;
+        if (l < heap.length && heap[l][0] < heap[min][0]) min = l;
+        if (r < heap.length && heap[r][0] < heap[min][0]) min = r;
+        if (min === i) break;
+        [heap[min], heap[i]] = [heap[i], heap[min]];
+        i = min;
+      }
     }
+    return top;
   }
 
   return {
@@ -145,6 +376,7 @@ const Connectors = (() => {
     drawAnchorHints,
     updateBindings,
     resolveAllBindings,
+    reroute,
     SNAP_DISTANCE,
   };
 })();
@@ -0,0 +1,216 @@
+// ============================================================
+// docmanager.js — Document list dialog (open, create, rename, ...)
+// ============================================================
+//
+// UI on top of Workspace. Opening a document hands it to the `onOpen`
+// callback given to init(), which loads it into the editor.
+
+const DocManager = (() => {
+  let dialog = null;
+  let listEl = null;
+  let titleBtn = null;
+  let onOpen = null;
+
+  function _fail(action) {
+    return (err) => alert(`Could not ${action}: ${err && err.message ? err.message : err}`);
+  }
+
+  function _when(t) {
+    return new Date(t).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function _button(text, title, handler) {
+    const btn = document.createElement('button');
+    btn.className = 'doc-action';
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handler();
+    });
+    return btn;
+  }
+
+  /** Show the current document's name in the toolbar */
+  function setTitle(name) {
+    titleBtn.textContent = `${name} ▾`;
+    document.title = `${name} — SystemDraw`;
+  }
+
+  /** Save the open diagram, then load document `id` into the editor */
+  function open(id) {
+    return Workspace.flush(Tools.getShapes())
+      .catch(() => { /* already reported; switch anyway */ })
+      .then(() => Workspace.openDocument(id))
+      .then((doc) => {
+        if (!doc) return;
+        setTitle(doc.name);
+        onOpen(doc);
+      });
+  }
+
+  function createDocument() {
+    const name = prompt('Name of the new diagram', 'Untitled diagram');
+    if (name === null) return;
+    Workspace.create(name.trim() || 'Untitled diagram')
+      .then(
+        doc => open(doc.id).then(hide).catch(_fail('open the diagram')),
+        () => { /* already reported */ });
+  }
+
+  function _rename(doc) {
+    const name = prompt('Rename diagram', doc.name);
+    if (!name || !name.trim() || name.trim() === doc.name) return;
+    Workspace.rename(doc.id, name.trim())
+      .then(() => {
+        if (doc.id === Workspace.getCurrentId()) setTitle(name.trim());
+        return refresh();
+      })
+      .catch(() => { /* already reported */ });
+  }
+
+  function _duplicate(doc) {
+    const flushed = doc.id === Workspace.getCurrentId()
+      ? Workspace.flush(Tools.getShapes()).catch(() => {})
+      : Promise.resolve();
+    flushed
+      .then(() => Workspace.duplicate(doc.id))
+      .then(refresh, () => { /* already reported */ });
+  }
+
+  function _delete(doc) {
+    if (!confirm(`Delete "${doc.name}" and all its versions? This cannot be undone.`)) return;
+    const wasOpen = doc.id === Workspace.getCurrentId();
+    Workspace.remove(doc.id)
+      .then(() => {
+        History.clearCheckpoints(doc.id);
+        if (!wasOpen) return null;
+        // Keep a document open: the most recent remaining one, or a new one
+        return Workspace.list().then(docs => (docs.length > 0
+          ? open(docs[0].id)
+          : Workspace.create('Untitled diagram').then(d => open(d.id), () => { /* already reported */ })));
+      })
+      .then(refresh)
+      .catch(_fail('delete the diagram'));
+  }
+
+  function _toggleVersions(doc, card) {
+    const existing = card.querySelector('.doc-versions');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const box = document.createElement('div');
+    box.className = 'doc-versions';
+    card.appendChild(box);
+    Workspace.listVersions(doc.id).then((versions) => {
+      if (versions.length === 0) {
+        box.textContent = 'No versions yet — snapshots are taken every few minutes while you edit.';
+        return;
+      }
+      for (const v of versions) {
+        const row = document.createElement('div');
+        row.className = 'doc-version';
+        row.textContent = `${_when(v.time)} · ${v.shapeCount} shape${v.shapeCount === 1 ? '' : 's'}`;
+        row.appendChild(_button('Restore', 'Restore this version (undoable)', () => _restoreVersion(doc, v)));
+        box.appendChild(row);
+      }
+    }).catch(_fail('load versions'));
+  }
+
+  /** Load a version into its document as an undoable step */
+  function _restoreVersion(doc, version) {
+    const opened = doc.id === Workspace.getCurrentId() ? Promise.resolve() : open(doc.id);
+    opened
+      .then(() => Workspace.loadVersion(version.id))
+      .then((shapes) => {
+        if (!shapes) return;
+        Tools.replaceShapes(shapes, `Restored version from ${_when(version.time)}`);
+        hide();
+      })
+      .catch(_fail('restore the version'));
+  }
+
+  function _card(doc) {
+    const card = document.createElement('div');
+    card.className = 'doc-card';
+    if (doc.id === Workspace.getCurrentId()) card.classList.add('current');
+
+    const thumb = document.createElement('div');
+    thumb.className = 'doc-thumb';
+    if (doc.thumbnail) {
+      const img = document.createElement('img');
+      img.src = doc.thumbnail;
+      img.alt = '';
+      thumb.appendChild(img);
+    }
+    card.appendChild(thumb);
+
+    const info = document.createElement('div');
+    info.className = 'doc-info';
+    const name = document.createElement('div');
+    name.className = 'doc-name';
+    name.textContent = doc.name;
+    const meta = document.createElement('div');
+    meta.className = 'doc-meta';
+    meta.textContent = `Edited ${_when(doc.modified)} · ${doc.shapeCount} shape${doc.shapeCount === 1 ? '' : 's'}`;
+    info.append(name, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'doc-actions';
+    actions.append(
+      _button('Rename', 'Rename', () => _rename(doc)),
+      _button('Duplicate', 'Duplicate', () => _duplicate(doc)),
+      _button('Versions', 'Show version snapshots', () => _toggleVersions(doc, card)),
+      _button('Delete', 'Delete', () => _delete(doc)),
+    );
+    info.appendChild(actions);
+    card.appendChild(info);
+
+    card.addEventListener('click', (e) => {
+      if (e.target.closest('.doc-versions')) return;
+      open(doc.id).then(hide).catch(_fail('open the diagram'));
+    });
+    return card;
+  }
+
+  /** Re-render the document list */
+  function refresh() {
+    return Workspace.list().then((docs) => {
+      listEl.innerHTML = '';
+      for (const doc of docs) listEl.appendChild(_card(doc));
+    });
+  }
+
+  function show() {
+    // Save first so the open diagram's thumbnail and time are current
+    Workspace.flush(Tools.getShapes())
+      .catch(() => { /* already reported */ })
+      .then(refresh)
+      .then(() => { dialog.style.display = 'flex'; })
+      .catch(_fail('list diagrams'));
+  }
+
+  function hide() {
+    dialog.style.display = 'none';
+  }
+
+  /**
+   * Wire up the dialog. `openCallback(doc)` loads { id, name, shapes, ... }
+   * into the editor.
+   */
+  function init(openCallback) {
+    onOpen = openCallback;
+    dialog = document.getElementById('docDialog');
+    listEl = document.getElementById('docList');
+    titleBtn = document.getElementById('docTitleBtn');
+    titleBtn.addEventListener('click', show);
+    document.getElementById('newDocBtn').addEventListener('click', createDocument);
+    document.getElementById('docDialogClose').addEventListener('click', hide);
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) hide();
+    });
+  }
+
+  return { init, setTitle, open, show, hide, refresh, createDocument };
+})();
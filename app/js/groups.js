@@ -0,0 +1,150 @@
+// ============================================================
+// groups.js — Shape grouping (nested groups via groupIds chains)
+// ============================================================
+//
+// Every shape carries `groupIds`, ordered innermost → outermost. Shapes that
+// share a group id form that group. "Editing" a group (double-click drill
+// in) makes clicks select the next level down instead of the whole group.
+
+const Groups = (() => {
+
+  /**
+   * The group a shape is selected as part of at the current nesting level:
+   * its outermost group, or — inside `editingGroupId` — the group one level
+   * below it. Returns null when the shape is selected on its own.
+   */
+  function groupAtLevel(shape, editingGroupId) {
+    const ids = shape.groupIds || [];
+    if (!editingGroupId) return ids.length > 0 ? ids[ids.length - 1] : null;
+    const i = ids.indexOf(editingGroupId);
+    return i > 0 ? ids[i - 1] : null;
+  }
+
+  /** Ids of every shape in a group */
+  function memberIds(shapes, groupId) {
+    const out = new Set();
+    for (const s of shapes) {
+      if (s.groupIds && s.groupIds.includes(groupId)) out.add(s.id);
+    }
+    return out;
+  }
+
+  /**
+   * Grow a set of shape ids so each shape brings along the rest of its
+   * group at the current nesting level.
+   */
+  function expandSelection(shapes, ids, editingGroupId) {
+    const out = new Set(ids);
+    for (const s of shapes) {
+      if (!ids.has(s.id)) continue;
+      const gid = groupAtLevel(s, editingGroupId);
+      if (gid) for (const id of memberIds(shapes, gid)) out.add(id);
+    }
+    return out;
+  }
+
+  /**
+   * Put the given shapes in a new group. Inside an edited group the new
+   * group nests just below it; otherwise it becomes the outermost group.
+   * Returns the new group id.
+   */
+  function group(shapes, ids, editingGroupId) {
+    const gid = Utils.generateId();
+    for (const s of shapes) {
+      if (!ids.has(s.id)) continue;
+      const chain = s.groupIds ? [...s.groupIds] : [];
+      const at = editingGroupId ? chain.indexOf(editingGroupId) : -1;
+      if (at >= 0) chain.splice(at, 0, gid);
+      else chain.push(gid);
+      s.groupIds = chain;
+    }
+    return gid;
+  }
+
+  /**
+   * Dissolve the groups the given shapes are selected through at the
+   * current nesting level.
+   */
+  function ungroup(shapes, ids, editingGroupId) {
+    const dissolved = new Set();
+    for (const s of shapes) {
+      if (!ids.has(s.id)) continue;
+      const gid = groupAtLevel(s, editingGroupId);
+      if (gid) dissolved.add(gid);
+    }
+    for (const s of shapes) {
+      if (s.groupIds) s.groupIds = s.groupIds.filter(g => !dissolved.has(g));
+    }
+  }
+
+  function _countGroups(list) {
+    const counts = new Map();
+    for (const s of list) {
+      for (const g of s.groupIds || []) counts.set(g, (counts.get(g) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Give copies (about to be added to `shapes`) fresh group ids. Groups that
+   * were copied in full are remapped consistently so the copies form their
+   * own group; groups only partly copied are dropped from the copies.
+   */
+  function remapCopies(shapes, copies) {
+    const inDocument = _countGroups(shapes);
+    const fresh = new Map();
+    for (const [g, n] of _countGroups(copies)) {
+      if ((inDocument.get(g) || 0) <= n) fresh.set(g, Utils.generateId());
+    }
+    for (const s of copies) {
+      s.groupIds = (s.groupIds || []).filter(g => fresh.has(g)).map(g => fresh.get(g));
+    }
+  }
+
+  /**
+   * Outermost groups whose members are all selected — these get an
+   * outline on the canvas. Returns [{ groupId, bounds }].
+   */
+  function selectedGroups(shapes, selectedIds) {
+    const seen = new Set();
+    const out = [];
+    for (const s of shapes) {
+      if (!selectedIds.has(s.id) || !s.groupIds) continue;
+      for (let i = s.groupIds.length - 1; i >= 0; i--) {
+        const g = s.groupIds[i];
+        const members = shapes.filter(m => m.groupIds && m.groupIds.includes(g));
+        if (!members.every(m => selectedIds.has(m.id))) continue;
+        if (!seen.has(g)) {
+          seen.add(g);
+          out.push({ groupId: g, bounds: getBounds(members) });
+        }
+        break;
+      }
+    }
+    return out;
+  }
+
+  /** Combined bounds { x, y, w, h } of a list of shapes */
+  function getBounds(list) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const s of list) {
+      const b = Shapes.getBounds(s);
+      minX = Math.min(minX, b.x);
+      minY = Math.min(minY, b.y);
+      maxX = Math.max(maxX, b.x + b.w);
+      maxY = Math.max(maxY, b.y + b.h);
+    }
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+  }
+
+  return {
+    groupAtLevel,
+    memberIds,
+    expandSelection,
+    group,
+    ungroup,
+    remapCopies,
+    selectedGroups,
+    getBounds,
+  };
+})();
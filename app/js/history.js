@@ -1,60 +1,496 @@
 // ============================================================
-// history.js — Undo / Redo stack
+// history.js — Undo / Redo history tree and checkpoints
 // ============================================================
+//
+// History keeps a private copy of the last recorded document (the
+// "baseline"). Each `record()` diffs the live shapes against it and stores
+// only what changed as an invertible patch:
+//
+//   { changes: [{ id, before, after }], order?: { before, after } }
+//
+// `before: null` means the shape was added, `after: null` that it was
+// removed; otherwise both hold just the properties that changed. `order`
+// holds the id order on both sides when shapes were added, removed or
+// restacked. Undo applies the `before` side in place, redo the `after` side.
+//
+// Steps form a tree rather than a stack: recording after an undo starts a
+// new branch and leaves the undone steps reachable, so nothing is lost by
+// jumping around or restoring a checkpoint. Redo follows the branch that
+// was visited last.
+//
+// Records that share a coalesce key within COALESCE_MS (e.g. scrubbing a
+// colour picker) merge into one step.
+//
+// Checkpoints are named full snapshots kept in localStorage per document,
+// so they survive reloads (the step tree itself does not).
+//
+// Every patch that reaches the document (recorded, undone or redone) is
+// also handed to the patch listener, which is how Collab shares local
+// edits. Edits from other people come in through absorb(): they update the
+// baseline without becoming steps, and undo only reverts what this user
+// changed.
 
 const History = (() => {
-  const MAX_STACK = 100;
-  let undoStack = [];
-  let redoStack = [];
+  const MAX_STEPS = 1000;
+  const COALESCE_MS = 1000;
+  const CHECKPOINT_KEY = 'systemdraw_checkpoints';
+
+  let scope = null; // id of the document whose checkpoints are in use
+
   let onChange = null;
+  let onPatch = null;
+  let nextId = 1;
+  let root = null;    // step tree; the root stands for the opened document
+  let current = null; // step the document is currently at
+  let stepCount = 0;
+
+  let baseline = new Map(); // id → deep copy of the shape as last recorded
+  let baseOrder = [];       // ids in z-order as last recorded
+
+  function _node(parent, patch, label) {
+    return { id: nextId++, parent, children: [], redoChild: null, patch, label, time: Date.now(), coalesce: null };
+  }
 
   /**
-   * Set callback when history changes (to update UI buttons)
+   * Set callback when the history or the checkpoints change (to update the
+   * undo/redo buttons and the history panel)
    */
   function setOnChange(fn) {
     onChange = fn;
   }
 
   /**
-   * Push a snapshot of all shapes (deep clone)
+   * Set callback `fn(patch, side, shapes)` for every patch applied to the
+   * document: side 'after' for recorded and redone steps, 'before' for
+   * undone ones
+   */
+  function setOnPatch(fn) {
+    onPatch = fn;
+  }
+
+  function _clone(value) {
+    return value === undefined ? undefined : Utils.deepClone(value);
+  }
+
+  /** Structural equality for plain JSON-like values */
+  function _equal(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a)) {
+      if (!Array.isArray(b) || a.length !== b.length) return false;
+      for (let i = 0; i < a.length; i++) {
+        if (!_equal(a[i], b[i])) return false;
+      }
+      return true;
+    }
+    if (Array.isArray(b)) return false;
+    let n = 0;
+    for (const k in a) {
+      if (!(k in b) || !_equal(a[k], b[k])) return false;
+      n++;
+    }
+    for (const k in b) n--;
+    return n === 0;
+  }
+
+  function _sameOrder(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  /** Patch of everything that differs between the baseline and `shapes` */
+  function _diff(shapes) {
+    const changes = [];
+    const seen = new Set();
+    for (const shape of shapes) {
+      seen.add(shape.id);
+      const base = baseline.get(shape.id);
+      if (!base) {
+        changes.push({ id: shape.id, before: null, after: _clone(shape) });
+        continue;
+      }
+      let before = null, after = null;
+      for (const k in shape) {
+        if (_equal(base[k], shape[k])) continue;
+        if (!before) { before = {}; after = {}; }
+        before[k] = _clone(base[k]);
+        after[k] = _clone(shape[k]);
+      }
+      for (const k in base) {
+        if (k in shape) continue;
+        if (!before) { before = {}; after = {}; }
+        before[k] = _clone(base[k]);
+        after[k] = undefined;
+      }
+      if (before) changes.push({ id: shape.id, before, after });
+    }
+    for (const [id, base] of baseline) {
+      if (!seen.has(id)) changes.push({ id, before: _clone(base), after: null });
+    }
+
+    const ids = shapes.map(s => s.id);
+    const order = _sameOrder(ids, baseOrder) ? null : { before: baseOrder, after: ids };
+    return { changes, order };
+  }
+
+  /** Bring the baseline up to date with `shapes` for the given ids */
+  function _syncBaseline(shapes, ids) {
+    const byId = new Map(shapes.map(s => [s.id, s]));
+    for (const id of ids) {
+      const shape = byId.get(id);
+      if (shape) baseline.set(id, Utils.deepClone(shape));
+      else baseline.delete(id);
+    }
+    baseOrder = shapes.map(s => s.id);
+  }
+
+  /**
+   * Fold a later patch into an earlier one so a single undo reverts both.
+   * Only used for pure property updates, which is all coalesced edits make.
+   */
+  function _merge(into, patch) {
+    for (const change of patch.changes) {
+      const prev = into.changes.find(c => c.id === change.id);
+      if (!prev) {
+        into.changes.push(change);
+        continue;
+      }
+      for (const k of Object.keys(change.before)) {
+        if (!(k in prev.before)) prev.before[k] = change.before[k];
+        prev.after[k] = change.after[k];
+      }
+    }
+  }
+
+  function _isPropUpdate(patch) {
+    return !patch.order && patch.changes.every(c => c.before && c.after);
+  }
+
+  /**
+   * Drop the oldest steps once the tree grows past MAX_STEPS: the root moves
+   * one step down the path to the current step, discarding branches that
+   * split off above it.
    */
-  function push(shapes) {
-    undoStack.push(Utils.deepClone(shapes));
-    if (undoStack.length > MAX_STACK) undoStack.shift();
-    redoStack = []; // clear redo on new action
+  function _prune() {
+    while (stepCount > MAX_STEPS && current !== root) {
+      let next = current;
+      while (next.parent !== root) next = next.parent;
+      for (const child of root.children) {
+        if (child !== next) stepCount -= _size(child);
+      }
+      stepCount--;
+      next.parent = null;
+      next.patch = null;
+      next.coalesce = null; // the root has no patch to merge into
+      next.label = root.label;
+      root = next;
+    }
+  }
+
+  function _size(node) {
+    return 1 + node.children.reduce((n, c) => n + _size(c), 0);
+  }
+
+  /**
+   * Record the current document as one undoable step. Call after a change
+   * has been made. Nothing is recorded if nothing changed.
+   * opts.label: human description shown in the history panel.
+   * opts.coalesce: edits with the same key in quick succession merge into
+   * the previous step instead of adding a new one.
+   */
+  function record(shapes, opts = {}) {
+    const patch = _diff(shapes);
+    if (patch.changes.length === 0 && !patch.order) return;
+    _syncBaseline(shapes, patch.changes.map(c => c.id));
+
+    const now = Date.now();
+    if (opts.coalesce && current.coalesce === opts.coalesce && current.children.length === 0 &&
+        now - current.time < COALESCE_MS && _isPropUpdate(current.patch) && _isPropUpdate(patch)) {
+      _merge(current.patch, patch);
+      current.time = now;
+    } else {
+      const node = _node(current, patch, opts.label || 'Edit');
+      node.coalesce = opts.coalesce || null;
+      current.children.push(node);
+      current.redoChild = node;
+      current = node;
+      stepCount++;
+      _prune();
+    }
+    if (onPatch) onPatch(patch, 'after', shapes);
     if (onChange) onChange();
   }
 
+  /** Apply one side ('before' or 'after') of a patch to `shapes` in place */
+  function _apply(shapes, patch, side) {
+    const other = side === 'before' ? 'after' : 'before';
+    for (const change of patch.changes) {
+      const index = shapes.findIndex(s => s.id === change.id);
+      if (change[side] === null) {
+        if (index >= 0) shapes.splice(index, 1);
+      } else if (change[other] === null) {
+        if (index < 0) shapes.push(Utils.deepClone(change[side]));
+      } else if (index >= 0) {
+        const shape = shapes[index];
+        for (const [k, v] of Object.entries(change[side])) {
+          if (v === undefined) delete shape[k];
+          else shape[k] = Utils.deepClone(v);
+        }
+      }
+    }
+    if (patch.order) {
+      // Restack the shapes the patch knows about within the slots they
+      // hold; shapes added by someone else since keep their place
+      const byId = new Map(shapes.map(s => [s.id, s]));
+      const listed = new Set(patch.order[side]);
+      const ordered = patch.order[side].filter(id => byId.has(id));
+      let next = 0;
+      for (let i = 0; i < shapes.length; i++) {
+        if (listed.has(shapes[i].id)) shapes[i] = byId.get(ordered[next++]);
+      }
+    }
+    _syncBaseline(shapes, patch.changes.map(c => c.id));
+    if (onPatch) onPatch(patch, side, shapes);
+  }
+
+  function _stepBack(shapes) {
+    _apply(shapes, current.patch, 'before');
+    current.parent.redoChild = current;
+    current = current.parent;
+  }
+
+  function _stepForward(shapes, child) {
+    _apply(shapes, child.patch, 'after');
+    current.redoChild = child;
+    current = child;
+  }
+
   /**
-   * Undo: returns the previous shapes state, or null
+   * Undo the last step on `shapes` (modified in place).
+   * Returns the shapes array, or null if there is nothing to undo.
    */
   function undo(currentShapes) {
-    if (undoStack.length === 0) return null;
-    redoStack.push(Utils.deepClone(currentShapes));
-    const prev = undoStack.pop();
+    record(currentShapes); // keep any unrecorded edit undoable first
+    if (!canUndo()) return null;
+    _stepBack(currentShapes);
     if (onChange) onChange();
-    return prev;
+    return currentShapes;
   }
 
   /**
-   * Redo: returns the next shapes state, or null
+   * Redo the last undone step on `shapes` (modified in place).
+   * Returns the shapes array, or null if there is nothing to redo.
    */
   function redo(currentShapes) {
-    if (redoStack.length === 0) return null;
-    undoStack.push(Utils.deepClone(currentShapes));
-    const next = redoStack.pop();
+    if (!canRedo()) return null;
+    _stepForward(currentShapes, current.redoChild);
+    if (onChange) onChange();
+    return currentShapes;
+  }
+
+  function canUndo() { return current !== root; }
+  function canRedo() { return !!current.redoChild; }
+
+  function _find(node, id) {
+    if (node.id === id) return node;
+    for (const child of node.children) {
+      const hit = _find(child, id);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  function _pathFromRoot(node) {
+    const path = [];
+    for (let n = node; n; n = n.parent) path.unshift(n);
+    return path;
+  }
+
+  /**
+   * Move the document to any step in the tree, undoing up to the common
+   * ancestor and redoing down the target's branch.
+   * Returns the shapes array, or null if the step no longer exists.
+   */
+  function goTo(currentShapes, stepId) {
+    record(currentShapes);
+    const target = _find(root, stepId);
+    if (!target) return null;
+    const targetPath = _pathFromRoot(target);
+    const onPath = new Set(targetPath);
+    while (!onPath.has(current)) _stepBack(currentShapes);
+    for (let i = targetPath.indexOf(current) + 1; i < targetPath.length; i++) {
+      _stepForward(currentShapes, targetPath[i]);
+    }
     if (onChange) onChange();
-    return next;
+    return currentShapes;
+  }
+
+  /** Last step of the branch that redo would follow from `node` */
+  function _tip(node) {
+    let n = node;
+    while (n.redoChild) n = n.redoChild;
+    return n;
+  }
+
+  /**
+   * Steps along the active branch, oldest first, for the history panel:
+   * [{ id, label, time, current, undone, branches: [{ id, label, steps }] }].
+   * `branches` lists the other branches that split off after a step; each
+   * entry's id is the last step of that branch.
+   */
+  function entries() {
+    const out = [];
+    let passedCurrent = false;
+    for (let n = root; n; n = n.redoChild) {
+      out.push({
+        id: n.id,
+        label: n.label,
+        time: n.time,
+        current: n === current,
+        undone: passedCurrent,
+        branches: n.children
+          .filter(c => c !== n.redoChild)
+          .map(c => ({ id: _tip(c).id, label: c.label, steps: _size(c) })),
+      });
+      if (n === current) passedCurrent = true;
+    }
+    return out;
   }
 
-  function canUndo() { return undoStack.length > 0; }
-  function canRedo() { return redoStack.length > 0; }
+  /**
+   * Take in changes made by someone else without recording a step.
+   * `changes` is [{ id, keys }]: the properties of shape `id` that were
+   * changed, or keys null when the whole shape was added or removed.
+   * Only those properties enter the baseline, so a local edit in progress
+   * on the same shape is still recorded as the user's own.
+   */
+  function absorb(shapes, changes) {
+    const byId = new Map(shapes.map(s => [s.id, s]));
+    for (const { id, keys } of changes) {
+      const shape = byId.get(id);
+      const base = baseline.get(id);
+      if (!shape) baseline.delete(id);
+      else if (!keys || !base) baseline.set(id, Utils.deepClone(shape));
+      else {
+        for (const k of keys) {
+          if (k in shape) base[k] = _clone(shape[k]);
+          else delete base[k];
+        }
+      }
+    }
+    baseOrder = shapes.map(s => s.id);
+  }
+
+  /**
+   * Forget all steps and take `shapes` (e.g. a freshly loaded document)
+   * as the new baseline.
+   */
+  function reset(shapes = [], label = 'Opened document') {
+    root = _node(null, null, label);
+    current = root;
+    stepCount = 0;
+    baseline = new Map(shapes.map(s => [s.id, Utils.deepClone(s)]));
+    baseOrder = shapes.map(s => s.id);
+    if (onChange) onChange();
+  }
 
   function clear() {
-    undoStack = [];
-    redoStack = [];
+    reset([]);
+  }
+
+  // === Checkpoints ===
+
+  function _checkpointKey(docId) {
+    return docId ? `${CHECKPOINT_KEY}:${docId}` : CHECKPOINT_KEY;
+  }
+
+  /**
+   * Use the checkpoints of document `docId`. Checkpoints pinned before
+   * documents existed move to the first document that claims them.
+   */
+  function setScope(docId) {
+    scope = docId;
+    const legacy = localStorage.getItem(CHECKPOINT_KEY);
+    if (docId && legacy && !localStorage.getItem(_checkpointKey(docId))) {
+      localStorage.setItem(_checkpointKey(docId), legacy);
+      localStorage.removeItem(CHECKPOINT_KEY);
+    }
+    if (onChange) onChange();
+  }
+
+  /** Forget all checkpoints of a (deleted) document */
+  function clearCheckpoints(docId) {
+    localStorage.removeItem(_checkpointKey(docId));
+    if (docId === scope && onChange) onChange();
+  }
+
+  function getCheckpoints() {
+    try {
+      const data = localStorage.getItem(_checkpointKey(scope));
+      if (data) return JSON.parse(data);
+    } catch (e) { /* ignore */ }
+    return [];
+  }
+
+  function _saveCheckpoints(list) {
+    localStorage.setItem(_checkpointKey(scope), JSON.stringify(list));
     if (onChange) onChange();
   }
 
-  return { setOnChange, push, undo, redo, canUndo, canRedo, clear };
+  /**
+   * Pin the current document as a named checkpoint.
+   * Throws if storage is full so the caller can tell the user.
+   */
+  function pinCheckpoint(shapes, name) {
+    const list = getCheckpoints();
+    const checkpoint = { id: Utils.generateId(), name, time: Date.now(), shapes: Utils.deepClone(shapes) };
+    list.push(checkpoint);
+    _saveCheckpoints(list);
+    return checkpoint;
+  }
+
+  function removeCheckpoint(id) {
+    _saveCheckpoints(getCheckpoints().filter(c => c.id !== id));
+  }
+
+  /**
+   * Replace the document with a checkpoint's shapes as a new step. Any
+   * undone steps stay reachable as their own branch.
+   * Returns the shapes array, or null if the checkpoint is gone.
+   */
+  function restoreCheckpoint(currentShapes, id) {
+    const checkpoint = getCheckpoints().find(c => c.id === id);
+    if (!checkpoint) return null;
+    record(currentShapes);
+    currentShapes.length = 0;
+    currentShapes.push(...checkpoint.shapes);
+    record(currentShapes, { label: `Restored "${checkpoint.name}"` });
+    return currentShapes;
+  }
+
+  reset([]);
+
+  return {
+    setOnChange,
+    setOnPatch,
+    record,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    goTo,
+    entries,
+    absorb,
+    reset,
+    clear,
+    setScope,
+    clearCheckpoints,
+    getCheckpoints,
+    pinCheckpoint,
+    removeCheckpoint,
+    restoreCheckpoint,
+  };
 })();
@@ -0,0 +1,113 @@
+// ============================================================
+// historypanel.js — Side panel listing history steps and checkpoints
+// ============================================================
+//
+// Shows the active branch of the History tree (undone steps dimmed), the
+// branches that split off along it, and the pinned checkpoints. Clicking a
+// step jumps there; restoring a checkpoint adds it as a new step.
+
+const HistoryPanel = (() => {
+  let panel = null;
+  let stepList = null;
+  let checkpointList = null;
+  let pending = false;
+
+  function _time(t) {
+    return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function _item(className, text, title) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    if (title) el.title = title;
+    return el;
+  }
+
+  function _renderSteps() {
+    stepList.innerHTML = '';
+    let currentEl = null;
+    for (const entry of History.entries()) {
+      const el = _item('history-item', entry.label, _time(entry.time));
+      if (entry.current) { el.classList.add('current'); currentEl = el; }
+      if (entry.undone) el.classList.add('undone');
+      el.addEventListener('click', () => Tools.goToHistory(entry.id));
+      stepList.appendChild(el);
+
+      for (const branch of entry.branches) {
+        const steps = branch.steps === 1 ? '1 step' : `${branch.steps} steps`;
+        const b = _item('history-item branch', `⑂ ${branch.label} (${steps})`, 'Switch to this branch');
+        b.addEventListener('click', () => Tools.goToHistory(branch.id));
+        stepList.appendChild(b);
+      }
+    }
+    if (currentEl && currentEl.scrollIntoView) currentEl.scrollIntoView({ block: 'nearest' });
+  }
+
+  function _renderCheckpoints() {
+    checkpointList.innerHTML = '';
+    const checkpoints = History.getCheckpoints();
+    if (checkpoints.length === 0) {
+      checkpointList.appendChild(_item('history-empty', 'No checkpoints yet'));
+      return;
+    }
+    for (const cp of checkpoints) {
+      const row = _item('history-item checkpoint', cp.name, `Pinned ${new Date(cp.time).toLocaleString()} — click to restore`);
+      row.addEventListener('click', () => Tools.restoreCheckpoint(cp.id));
+      const remove = document.createElement('button');
+      remove.className = 'history-remove';
+      remove.textContent = '×';
+      remove.title = 'Delete checkpoint';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (confirm(`Delete checkpoint "${cp.name}"?`)) History.removeCheckpoint(cp.id);
+      });
+      row.appendChild(remove);
+      checkpointList.appendChild(row);
+    }
+  }
+
+  /**
+   * Re-render both lists on the next frame, so a burst of history changes
+   * costs one render. Skipped while the panel is collapsed.
+   */
+  function render() {
+    if (!panel || panel.classList.contains('collapsed') || pending) return;
+    pending = true;
+    requestAnimationFrame(() => {
+      pending = false;
+      _renderSteps();
+      _renderCheckpoints();
+    });
+  }
+
+  /** Ask for a name and pin the current document as a checkpoint */
+  function pinCheckpoint() {
+    const n = History.getCheckpoints().length + 1;
+    const name = prompt('Checkpoint name', `Checkpoint ${n}`);
+    if (!name || !name.trim()) return;
+    try {
+      History.pinCheckpoint(Tools.getShapes(), name.trim());
+    } catch (e) {
+      alert('Could not save checkpoint: ' + e.message);
+    }
+  }
+
+  function init() {
+    panel = document.getElementById('historyPanel');
+    stepList = document.getElementById('historyList');
+    checkpointList = document.getElementById('checkpointList');
+    document.getElementById('pinCheckpointBtn').addEventListener('click', pinCheckpoint);
+    document.getElementById('historyToggle').addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      render();
+      // Re-measure canvas after panel toggle animation
+      setTimeout(() => {
+        CanvasView.handleResize();
+        Tools.redraw();
+      }, 220);
+    });
+  }
+
+  return { init, render, pinCheckpoint };
+})();
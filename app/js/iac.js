@@ -0,0 +1,1789 @@
+// ============================================================
+// iac.js — Infrastructure-as-code skeletons from the diagram
+// ============================================================
+//
+// Generators read the architecture manifest (Export.buildManifest), so
+// they see the same components, connections and zones as MCP clients.
+//
+// Bicep / ARM: one resource per Azure component. Arrows become dependsOn
+// (the source depends on what it points at), VNet and subnet zones become
+// a virtual network with subnets that the resources inside them join, and
+// resource names are parameters whose defaults come from the labels.
+//
+// Terraform: azurerm resource blocks with variables for names, SKUs and
+// locations; components without a mapping become commented placeholders.
+//
+// Kubernetes: a multi-document YAML bundle with a stub per Kubernetes shape,
+// wired together along the arrows.
+//
+// Docker Compose: local images for databases, caches, queues and storage,
+// build services for compute, and arrows as depends_on plus connection
+// strings in the environment.
+
+const IaC = (() => {
+  // === Resource model ===
+  // Property values are JSON, or expressions that render per target:
+  // { $expr, bicep, arm, refs } where refs lists resources the value points at
+
+  const _expr = (bicep, arm, refs = []) => ({ $expr: true, bicep, arm, refs });
+  const _param = name => _expr(name, `parameters('${name}')`);
+  const _id = res => _expr(`${res.symbol}.id`, _armId(res), [res]);
+  const _subnetId = (vnet, subnet) => _expr(
+    `'\${${vnet.symbol}.id}/subnets/${subnet}'`,
+    `resourceId('Microsoft.Network/virtualNetworks/subnets', parameters('${vnet.nameParam}'), '${subnet}')`,
+    [vnet]);
+  /** `prefix` + the value of parameter `name` */
+  const _prefixed = (prefix, name) => _expr(`'${prefix}\${${name}}'`, `format('${prefix}{0}', parameters('${name}'))`);
+
+  function _armId(res) {
+    if (res.parent) {
+      return `resourceId('${res.type}', parameters('${res.parent.nameParam}'), parameters('${res.nameParam}'))`;
+    }
+    return `resourceId('${res.type}', ${_armName(res)})`;
+  }
+
+  function _armName(res) {
+    return res.name ? res.name.arm : `parameters('${res.nameParam}')`;
+  }
+
+  // === Azure resource templates ===
+  // Keyed by the registry's azureService. Each entry gives the API version,
+  // a CAF name prefix and the resource body; optional fields say how the
+  // resource joins a subnet it is drawn in:
+  //   privateLink  group id of a private endpoint placed in the subnet
+  //   join(subnetId) properties that put the resource itself in the subnet
+  //   delegation   service the subnet must be delegated to
+  //   subnetName   the name Azure requires for that subnet
+  // `note` marks skeletons that need more settings before they deploy.
+
+  const SECURE = { type: 'string', secure: true };
+
+  const BICEP_RESOURCES = {
+    'Microsoft.Web/sites': {
+      apiVersion: '2023-12-01', prefix: 'app',
+      body: (c, ctx, res) => ({
+        kind: c.type === 'azurefunc' ? 'functionapp,linux' : 'app,linux',
+        properties: {
+          serverFarmId: _id(ctx.plan(res)),
+          httpsOnly: true,
+          siteConfig: { linuxFxVersion: c.type === 'azurefunc' ? 'NODE|20' : 'NODE|20-lts' },
+        },
+      }),
+      join: subnetId => ({ properties: { virtualNetworkSubnetId: subnetId } }),
+      delegation: 'Microsoft.Web/serverFarms',
+    },
+    'Microsoft.Sql/servers': {
+      apiVersion: '2021-11-01', prefix: 'sql',
+      params: { sqlAdministratorLogin: { type: 'string', default: 'sqladmin' }, sqlAdministratorPassword: SECURE },
+      body: () => ({
+        properties: {
+          administratorLogin: _param('sqlAdministratorLogin'),
+          administratorLoginPassword: _param('sqlAdministratorPassword'),
+          minimalTlsVersion: '1.2',
+        },
+      }),
+      child: {
+        type: 'Microsoft.Sql/servers/databases', suffix: 'Database', prefix: 'sqldb',
+        body: () => ({ sku: { name: 'Basic' } }),
+      },
+      privateLink: 'sqlServer',
+    },
+    'Microsoft.Sql/managedInstances': {
+      apiVersion: '2021-11-01', prefix: 'sqlmi',
+      params: { sqlAdministratorLogin: { type: 'string', default: 'sqladmin' }, sqlAdministratorPassword: SECURE },
+      body: () => ({
+        sku: { name: 'GP_Gen5', tier: 'GeneralPurpose' },
+        properties: {
+          administratorLogin: _param('sqlAdministratorLogin'),
+          administratorLoginPassword: _param('sqlAdministratorPassword'),
+          vCores: 4,
+          storageSizeInGB: 32,
+        },
+      }),
+      join: subnetId => ({ properties: { subnetId } }),
+      delegation: 'Microsoft.Sql/managedInstances',
+      note: 'A managed instance needs its own delegated subnet with a route table and network security group.',
+    },
+    'Microsoft.DocumentDB/databaseAccounts': {
+      apiVersion: '2024-05-15', prefix: 'cosmos',
+      body: (c, ctx, res) => ({
+        kind: 'GlobalDocumentDB',
+        properties: {
+          databaseAccountOfferType: 'Standard',
+          locations: [{ locationName: res.location, failoverPriority: 0 }],
+        },
+      }),
+      privateLink: 'Sql',
+    },
+    'Microsoft.Storage/storageAccounts': {
+      apiVersion: '2023-05-01', prefix: 'st', alphanumeric: true,
+      body: c => ({
+        kind: 'StorageV2',
+        sku: { name: 'Standard_LRS' },
+        properties: {
+          minimumTlsVersion: 'TLS1_2',
+          allowBlobPublicAccess: false,
+          ...(c.type === 'datalake' ? { isHnsEnabled: true } : {}),
+        },
+      }),
+      privateLink: c => ({ filestorage: 'file', queuestorage: 'queue', tablestorage: 'table', datalake: 'dfs' }[c.type] || 'blob'),
+    },
+    'Microsoft.Compute/disks': {
+      apiVersion: '2023-10-02', prefix: 'disk',
+      body: () => ({ sku: { name: 'Premium_LRS' }, properties: { creationData: { createOption: 'Empty' }, diskSizeGB: 128 } }),
+    },
+    'Microsoft.Cache/redis': {
+      apiVersion: '2024-03-01', prefix: 'redis',
+      body: () => ({
+        properties: { sku: { name: 'Basic', family: 'C', capacity: 0 }, enableNonSslPort: false, minimumTlsVersion: '1.2' },
+      }),
+      privateLink: 'redisCache',
+    },
+    'Microsoft.DBforPostgreSQL/flexibleServers': {
+      apiVersion: '2022-12-01', prefix: 'psql',
+      params: { dbAdministratorLogin: { type: 'string', default: 'dbadmin' }, dbAdministratorPassword: SECURE },
+      body: () => ({
+        sku: { name: 'Standard_B1ms', tier: 'Burstable' },
+        properties: {
+          version: '16',
+          administratorLogin: _param('dbAdministratorLogin'),
+          administratorLoginPassword: _param('dbAdministratorPassword'),
+          storage: { storageSizeGB: 32 },
+        },
+      }),
+      privateLink: 'postgresqlServer',
+    },
+    'Microsoft.DBforMySQL/flexibleServers': {
+      apiVersion: '2023-06-30', prefix: 'mysql',
+      params: { dbAdministratorLogin: { type: 'string', default: 'dbadmin' }, dbAdministratorPassword: SECURE },
+      body: () => ({
+        sku: { name: 'Standard_B1ms', tier: 'Burstable' },
+        properties: {
+          version: '8.0.21',
+          administratorLogin: _param('dbAdministratorLogin'),
+          administratorLoginPassword: _param('dbAdministratorPassword'),
+          storage: { storageSizeGB: 32 },
+        },
+      }),
+      privateLink: 'mysqlServer',
+    },
+    'Microsoft.DataFactory/factories': {
+      apiVersion: '2018-06-01', prefix: 'adf',
+      body: () => ({ identity: { type: 'SystemAssigned' }, properties: {} }),
+      privateLink: 'dataFactory',
+    },
+    'Microsoft.Synapse/workspaces': {
+      apiVersion: '2021-06-01', prefix: 'synw',
+      body: () => ({ identity: { type: 'SystemAssigned' }, properties: {} }),
+      note: 'Set defaultDataLakeStorage and the SQL administrator before deploying.',
+    },
+    'Microsoft.Compute/virtualMachines': {
+      apiVersion: '2024-03-01', prefix: 'vm',
+      params: { vmAdminUsername: { type: 'string', default: 'azureuser' }, vmAdminPassword: SECURE },
+      body: (c, ctx, res) => ({
+        properties: {
+          hardwareProfile: { vmSize: 'Standard_B2s' },
+          osProfile: {
+            computerName: _param(res.nameParam),
+            adminUsername: _param('vmAdminUsername'),
+            adminPassword: _param('vmAdminPassword'),
+          },
+          storageProfile: {
+            imageReference: { publisher: 'Canonical', offer: '0001-com-ubuntu-server-jammy', sku: '22_04-lts-gen2', version: 'latest' },
+            osDisk: { createOption: 'FromImage' },
+          },
+          networkProfile: { networkInterfaces: [{ id: _id(ctx.nic(res)) }] },
+        },
+      }),
+    },
+    'Microsoft.ContainerService/managedClusters': {
+      apiVersion: '2024-02-01', prefix: 'aks',
+      body: (c, ctx, res) => ({
+        identity: { type: 'SystemAssigned' },
+        properties: {
+          dnsPrefix: _param(res.nameParam),
+          agentPoolProfiles: [{ name: 'system', mode: 'System', count: 2, vmSize: 'Standard_D2s_v5', osType: 'Linux' }],
+        },
+      }),
+      join: subnetId => ({
+        properties: { agentPoolProfiles: [{ name: 'system', mode: 'System', count: 2, vmSize: 'Standard_D2s_v5', osType: 'Linux', vnetSubnetID: subnetId }] },
+      }),
+    },
+    'Microsoft.ContainerInstance/containerGroups': {
+      apiVersion: '2023-05-01', prefix: 'ci',
+      body: (c, ctx, res) => ({
+        properties: {
+          osType: 'Linux',
+          containers: [{
+            name: _param(res.nameParam),
+            properties: {
+              image: 'mcr.microsoft.com/azuredocs/aci-helloworld',
+              resources: { requests: { cpu: 1, memoryInGB: 1 } },
+            },
+          }],
+        },
+      }),
+      join: subnetId => ({ properties: { subnetIds: [{ id: subnetId }] } }),
+      delegation: 'Microsoft.ContainerInstance/containerGroups',
+    },
+    'Microsoft.AppPlatform/Spring': {
+      apiVersion: '2023-12-01', prefix: 'asa',
+      body: () => ({ sku: { name: 'S0', tier: 'Standard' }, properties: {} }),
+    },
+    'Microsoft.Network/virtualNetworks': {
+      apiVersion: '2023-11-01', prefix: 'vnet',
+      body: (c, ctx) => {
+        const n = ctx.nextAddressBlock();
+        return {
+          properties: {
+            addressSpace: { addressPrefixes: [`10.${n}.0.0/16`] },
+            subnets: [{ name: 'default', properties: { addressPrefix: `10.${n}.0.0/24` } }],
+          },
+        };
+      },
+    },
+    'Microsoft.Network/loadBalancers': {
+      apiVersion: '2023-11-01', prefix: 'lbi',
+      body: () => ({ sku: { name: 'Standard' }, properties: { backendAddressPools: [{ name: 'backend' }] } }),
+      join: subnetId => ({
+        properties: {
+          frontendIPConfigurations: [{ name: 'frontend', properties: { privateIPAllocationMethod: 'Dynamic', subnet: { id: subnetId } } }],
+        },
+      }),
+    },
+    'Microsoft.Network/applicationGateways': {
+      apiVersion: '2023-11-01', prefix: 'agw',
+      body: () => ({ properties: { sku: { name: 'Standard_v2', tier: 'Standard_v2', capacity: 1 } } }),
+      join: subnetId => ({ properties: { gatewayIPConfigurations: [{ name: 'gateway', properties: { subnet: { id: subnetId } } }] } }),
+      note: 'Add frontend IPs, listeners, backend pools and routing rules before deploying.',
+    },
+    'Microsoft.Network/azureFirewalls': {
+      apiVersion: '2023-11-01', prefix: 'afw',
+      body: () => ({ properties: { sku: { name: 'AZFW_VNet', tier: 'Standard' } } }),
+      join: subnetId => ({ properties: { ipConfigurations: [{ name: 'ipconfig', properties: { subnet: { id: subnetId } } }] } }),
+      subnetName: 'AzureFirewallSubnet',
+      note: 'Give the IP configuration a public IP address before deploying.',
+    },
+    'Microsoft.Network/bastionHosts': {
+      apiVersion: '2023-11-01', prefix: 'bas',
+      body: () => ({ sku: { name: 'Basic' }, properties: {} }),
+      join: subnetId => ({ properties: { ipConfigurations: [{ name: 'ipconfig', properties: { subnet: { id: subnetId } } }] } }),
+      subnetName: 'AzureBastionSubnet',
+      note: 'Give the IP configuration a public IP address before deploying.',
+    },
+    'Microsoft.Network/expressRouteCircuits': {
+      apiVersion: '2023-11-01', prefix: 'erc',
+      body: () => ({ sku: { name: 'Standard_MeteredData', tier: 'Standard', family: 'MeteredData' }, properties: {} }),
+      note: 'Set serviceProviderProperties (provider, peering location, bandwidth) before deploying.',
+    },
+    'Microsoft.Network/dnsZones': {
+      apiVersion: '2018-05-01', prefix: '', location: 'global',
+      body: () => ({ properties: {} }),
+    },
+    'Microsoft.Cdn/profiles': {
+      apiVersion: '2024-02-01', prefix: 'afd', location: 'global',
+      body: c => ({ sku: { name: c.type === 'frontdoor' ? 'Standard_AzureFrontDoor' : 'Standard_Microsoft' } }),
+    },
+    'Microsoft.ApiManagement/service': {
+      apiVersion: '2022-08-01', prefix: 'apim',
+      params: { apimPublisherEmail: { type: 'string', default: 'admin@contoso.com' }, apimPublisherName: { type: 'string', default: 'Contoso' } },
+      body: () => ({
+        sku: { name: 'Developer', capacity: 1 },
+        properties: { publisherEmail: _param('apimPublisherEmail'), publisherName: _param('apimPublisherName') },
+      }),
+      join: subnetId => ({ properties: { virtualNetworkType: 'Internal', virtualNetworkConfiguration: { subnetResourceId: subnetId } } }),
+    },
+    'Microsoft.ServiceBus/namespaces': {
+      apiVersion: '2021-11-01', prefix: 'sbns',
+      body: () => ({ sku: { name: 'Standard' }, properties: {} }),
+      privateLink: 'namespace',
+    },
+    'Microsoft.EventGrid/topics': {
+      apiVersion: '2022-06-15', prefix: 'evgt',
+      body: () => ({ properties: {} }),
+      privateLink: 'topic',
+    },
+    'Microsoft.EventHub/namespaces': {
+      apiVersion: '2024-01-01', prefix: 'evhns',
+      body: () => ({ sku: { name: 'Standard' }, properties: {} }),
+      privateLink: 'namespace',
+    },
+    'Microsoft.Logic/workflows': {
+      apiVersion: '2019-05-01', prefix: 'logic',
+      body: () => ({
+        properties: {
+          definition: {
+            $schema: 'https://schema.management.azure.com/providers/Microsoft.Logic/schemas/2016-06-01/workflowdefinition.json#',
+            contentVersion: '1.0.0.0',
+            triggers: {},
+            actions: {},
+          },
+        },
+      }),
+    },
+    'Microsoft.AppConfiguration/configurationStores': {
+      apiVersion: '2023-03-01', prefix: 'appcs',
+      body: () => ({ sku: { name: 'standard' }, properties: {} }),
+      privateLink: 'configurationStores',
+    },
+    'Microsoft.KeyVault/vaults': {
+      apiVersion: '2023-07-01', prefix: 'kv', maxLength: 24,
+      body: () => ({
+        properties: {
+          tenantId: _expr('subscription().tenantId', 'subscription().tenantId'),
+          sku: { family: 'A', name: 'standard' },
+          enableRbacAuthorization: true,
+        },
+      }),
+      privateLink: 'vault',
+    },
+    'Microsoft.ManagedIdentity/userAssignedIdentities': {
+      apiVersion: '2023-01-31', prefix: 'id',
+      body: () => ({}),
+    },
+    'Microsoft.Insights/components': {
+      apiVersion: '2020-02-02', prefix: 'appi',
+      body: () => ({ kind: 'web', properties: { Application_Type: 'web' } }),
+    },
+    'Microsoft.OperationalInsights/workspaces': {
+      apiVersion: '2023-09-01', prefix: 'log',
+      body: () => ({ properties: { sku: { name: 'PerGB2018' }, retentionInDays: 30 } }),
+    },
+    'Microsoft.LoadTestService/loadTests': {
+      apiVersion: '2022-12-01', prefix: 'lt',
+      body: () => ({ properties: {} }),
+    },
+    'Microsoft.CognitiveServices/accounts': {
+      apiVersion: '2023-05-01', prefix: 'cog',
+      body: (c, ctx, res) => ({
+        kind: c.type === 'openai' ? 'OpenAI' : 'CognitiveServices',
+        sku: { name: 'S0' },
+        properties: { customSubDomainName: _param(res.nameParam) },
+      }),
+      privateLink: 'account',
+    },
+    'Microsoft.MachineLearningServices/workspaces': {
+      apiVersion: '2024-04-01', prefix: 'mlw',
+      body: () => ({ identity: { type: 'SystemAssigned' }, properties: {} }),
+      privateLink: 'amlworkspace',
+      note: 'Link a storage account, key vault and Application Insights before deploying.',
+    },
+    'Microsoft.BotService/botServices': {
+      apiVersion: '2022-09-15', prefix: 'bot', location: 'global',
+      params: { botAppId: { type: 'string', default: '' } },
+      body: (c, ctx, res) => ({
+        kind: 'azurebot',
+        sku: { name: 'F0' },
+        properties: { displayName: _param(res.nameParam), msaAppId: _param('botAppId') },
+      }),
+    },
+    'Microsoft.Search/searchServices': {
+      apiVersion: '2023-11-01', prefix: 'srch',
+      body: () => ({ sku: { name: 'basic' }, properties: {} }),
+      privateLink: 'searchService',
+    },
+    'Microsoft.Devices/IotHubs': {
+      apiVersion: '2023-06-30', prefix: 'iot',
+      body: () => ({ sku: { name: 'S1', capacity: 1 }, properties: {} }),
+      privateLink: 'iotHub',
+    },
+    'Microsoft.IoTCentral/iotApps': {
+      apiVersion: '2021-06-01', prefix: 'iotapp',
+      body: (c, ctx, res) => ({ sku: { name: 'ST1' }, properties: { subdomain: _param(res.nameParam) } }),
+    },
+    'Microsoft.DigitalTwins/digitalTwinsInstances': {
+      apiVersion: '2023-01-31', prefix: 'dt',
+      body: () => ({ properties: {} }),
+      privateLink: 'API',
+    },
+    'Microsoft.Databricks/workspaces': {
+      apiVersion: '2023-02-01', prefix: 'dbw',
+      body: (c, ctx, res) => ({
+        sku: { name: 'premium' },
+        properties: {
+          managedResourceGroupId: _expr(
+            `subscriptionResourceId('Microsoft.Resources/resourceGroups', 'rg-\${${res.nameParam}}-managed')`,
+            `subscriptionResourceId('Microsoft.Resources/resourceGroups', format('rg-{0}-managed', parameters('${res.nameParam}')))`),
+        },
+      }),
+    },
+    'Microsoft.HDInsight/clusters': {
+      apiVersion: '2021-06-01', prefix: 'hdi',
+      body: () => ({ properties: { clusterVersion: '5.1', osType: 'Linux', tier: 'Standard' } }),
+      note: 'Add clusterDefinition, computeProfile and storageProfile before deploying.',
+    },
+    'Microsoft.Kusto/clusters': {
+      apiVersion: '2023-08-15', prefix: 'dec', alphanumeric: true,
+      body: () => ({ sku: { name: 'Dev(No SLA)_Standard_E2a_v4', tier: 'Basic', capacity: 1 }, properties: {} }),
+    },
+  };
+
+  const BICEP_RESERVED = new Set(['resource', 'param', 'var', 'output', 'module', 'existing', 'targetScope',
+    'import', 'metadata', 'type', 'func', 'if', 'for', 'in', 'true', 'false', 'null', 'location']);
+
+  // === Names ===
+
+  function _words(label) {
+    return String(label || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  }
+
+  /** Unique camelCase identifier from a label */
+  function _symbol(label, fallback, used) {
+    const words = _words(label);
+    let base = words.map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1))).join('') || fallback;
+    if (/^\d/.test(base) || BICEP_RESERVED.has(base)) base = fallback + base[0].toUpperCase() + base.slice(1);
+    let name = base, n = 2;
+    while (used.has(name) || used.has(name + 'Name')) name = base + n++;
+    used.add(name);
+    return name;
+  }
+
+  /** DNS-1123 name from a label, unique within `used` */
+  function _dnsName(label, fallback, used) {
+    const base = _words(label).join('-').slice(0, 63).replace(/-+$/, '') || fallback;
+    let name = base, n = 2;
+    while (used.has(name)) name = `${base}-${n++}`;
+    used.add(name);
+    return name;
+  }
+
+  /** Default resource name: CAF prefix + label, e.g. "Orders DB" → sql-orders-db */
+  function _resourceName(label, spec) {
+    const words = _words(label);
+    if (spec.prefix && words[0] !== spec.prefix) words.unshift(spec.prefix);
+    const max = spec.maxLength || 60;
+    if (spec.alphanumeric) return words.join('').slice(0, Math.min(max, 24));
+    return words.join('-').slice(0, max).replace(/-+$/, '');
+  }
+
+  // === Building the model ===
+
+  /**
+   * Turn the manifest into { params, resources, skipped }: resources in
+   * deployment order with their dependencies, and the components that
+   * have no Azure template.
+   */
+  function _azureModel(manifest) {
+    const used = new Set();
+    const params = new Map([['location', { type: 'string', default: _expr('resourceGroup().location', 'resourceGroup().location') }]]);
+    const resources = [];
+    const skipped = [];
+    const zones = new Map((manifest.zones || []).map(z => [z.id, z]));
+    let addressBlock = 0;
+
+    const addResource = (res) => {
+      res.dependsOn = res.dependsOn || new Set();
+      resources.push(res);
+      return res;
+    };
+    const named = (symbol, nameDefault) => {
+      params.set(symbol + 'Name', { type: 'string', default: nameDefault });
+      return symbol + 'Name';
+    };
+
+    // The enclosing zones of a component or zone, innermost first
+    const ancestors = (item) => {
+      const out = [];
+      for (let z = zones.get(item.parentId); z && !out.includes(z); z = zones.get(z.parentId)) out.push(z);
+      return out;
+    };
+
+    // Resources in a region zone take its location parameter, else `location`
+    const regionParams = new Map();   // region zone id → parameter name
+    const locationIn = (item) => {
+      const region = item && ancestors(item).find(z => z.type === 'region');
+      if (!region) return _param('location');
+      if (!regionParams.has(region.id)) {
+        const name = _symbol(region.label, 'region', used) + 'Location';
+        params.set(name, { type: 'string', default: _words(region.label).join('') });
+        regionParams.set(region.id, name);
+      }
+      return _param(regionParams.get(region.id));
+    };
+
+    // Virtual networks for VNet zones; subnets created as resources join them
+    const vnets = new Map();     // zone id (or '' for the implicit one) → { res, subnets: Map, names: Set }
+    const vnetFor = (zone) => {
+      const key = zone ? zone.id : '';
+      if (!vnets.has(key)) {
+        const label = zone ? zone.label : 'VNet';
+        const symbol = _symbol(label, 'vnet', used);
+        const n = addressBlock++;
+        const res = addResource({
+          symbol, type: 'Microsoft.Network/virtualNetworks', apiVersion: '2023-11-01',
+          nameParam: named(symbol, _resourceName(label, { prefix: 'vnet' })),
+          label, location: locationIn(zone),
+          body: { properties: { addressSpace: { addressPrefixes: [`10.${n}.0.0/16`] }, subnets: [] } },
+        });
+        vnets.set(key, { res, block: n, subnets: new Map(), names: new Set() });
+      }
+      return vnets.get(key);
+    };
+    // Subnets holding a firewall or bastion take the name Azure requires
+    const requiredNames = new Map();   // subnet zone id → name
+    // Delegations wanted in each subnet zone ('' for resources that need none)
+    const zoneDelegations = new Map(); // subnet zone id → Set
+    for (const c of manifest.components || []) {
+      const spec = BICEP_RESOURCES[c.azureResourceType];
+      const zone = spec && ancestors(c).find(z => z.type === 'subnet');
+      if (!zone) continue;
+      if (spec.subnetName) requiredNames.set(zone.id, spec.subnetName);
+      if (!zoneDelegations.has(zone.id)) zoneDelegations.set(zone.id, new Set());
+      zoneDelegations.get(zone.id).add(spec.delegation || '');
+    }
+    const delegationWord = d => _words(d.split('/')[0].replace(/^Microsoft\./, '')).join('');
+    // Azure allows one delegation per subnet and no private endpoints in a
+    // delegated one, so a subnet zone mixing them becomes one subnet per
+    // delegation plus a plain one. Names are unique within the VNet: zones
+    // with the same label, or two asking for a required name, get -2, -3, …
+    const subnetFor = (vnet, zone, spec) => {
+      const delegation = spec.delegation || '';
+      const key = `${zone ? zone.id : (spec.subnetName || '')}|${delegation}`;
+      if (!vnet.subnets.has(key)) {
+        let name;
+        if (zone) {
+          name = requiredNames.get(zone.id) || _resourceName(zone.label, { prefix: 'snet' });
+          if (delegation && zoneDelegations.get(zone.id).size > 1) name += '-' + delegationWord(delegation);
+        } else {
+          name = spec.subnetName || (delegation ? `snet-${delegationWord(delegation)}` : 'snet-default');
+        }
+        let unique = name, n = 2;
+        while (vnet.names.has(unique)) unique = `${name}-${n++}`;
+        vnet.names.add(unique);
+        const subnet = { name: unique, properties: { addressPrefix: `10.${vnet.block}.${vnet.subnets.size}.0/24` } };
+        if (delegation) {
+          subnet.properties.delegations = [{ name: 'delegation', properties: { serviceName: delegation } }];
+        }
+        vnet.res.body.properties.subnets.push(subnet);
+        vnet.subnets.set(key, subnet);
+      }
+      return _subnetId(vnet.res, vnet.subnets.get(key).name);
+    };
+
+    // Create every VNet zone up front so empty ones are kept too
+    for (const zone of zones.values()) {
+      if (zone.type === 'vpc') vnetFor(zone);
+    }
+
+    const ctx = {
+      nextAddressBlock: () => addressBlock++,
+      plan: (site) => {
+        if (!ctx._plan) {
+          const symbol = _symbol('App Service Plan', 'plan', used);
+          ctx._plan = addResource({
+            symbol, type: 'Microsoft.Web/serverfarms', apiVersion: '2023-12-01',
+            nameParam: named(symbol, 'plan-app'), location: site.location,
+            body: { kind: 'linux', sku: { name: 'B1' }, properties: { reserved: true } },
+          });
+        }
+        return ctx._plan;
+      },
+      nic: (vm) => {
+        const nic = addResource({
+          symbol: vm.symbol + 'Nic', type: 'Microsoft.Network/networkInterfaces', apiVersion: '2023-11-01',
+          name: _prefixed('nic-', vm.nameParam), location: vm.location,
+          body: { properties: { ipConfigurations: [{ name: 'ipconfig1', properties: { privateIPAllocationMethod: 'Dynamic', subnet: { id: null } } }] } },
+        });
+        vm.nic = nic;
+        used.add(nic.symbol);
+        return nic;
+      },
+    };
+
+    const byComponent = new Map();
+    for (const c of manifest.components || []) {
+      const spec = c.azureResourceType && BICEP_RESOURCES[c.azureResourceType];
+      if (!spec) {
+        if (c.provider === 'azure') skipped.push(c);
+        continue;
+      }
+      const around = ancestors(c);
+      const location = spec.location || locationIn(c);
+      const symbol = _symbol(c.label, spec.prefix || 'res', used);
+      const res = {
+        symbol, type: c.azureResourceType, apiVersion: spec.apiVersion,
+        nameParam: named(symbol, _resourceName(c.label, spec)),
+        label: c.label, location, note: spec.note,
+      };
+      for (const [name, p] of Object.entries(spec.params || {})) params.set(name, p);
+      addResource(res);
+      res.body = spec.body(c, ctx, res);
+      if (spec.child) {
+        const childSymbol = symbol + spec.child.suffix;
+        used.add(childSymbol);
+        addResource({
+          symbol: childSymbol, type: spec.child.type, apiVersion: spec.apiVersion, parent: res,
+          nameParam: named(childSymbol, _resourceName(c.label, { prefix: spec.child.prefix })),
+          location: res.location, body: spec.child.body(c),
+        });
+      }
+
+      // Network placement: the innermost subnet zone, else the VNet zone's default subnet
+      const subnetZone = around.find(z => z.type === 'subnet');
+      const vnetZone = around.find(z => z.type === 'vpc');
+      let subnetId = null;
+      if (subnetZone) {
+        const outer = ancestors(subnetZone).find(z => z.type === 'vpc');
+        subnetId = subnetFor(vnetFor(outer || null), subnetZone, spec);
+      } else if (vnetZone) {
+        subnetId = subnetFor(vnetFor(vnetZone), null, spec);
+      }
+      if (subnetId && spec.join) {
+        _merge(res.body, spec.join(subnetId));
+      } else if (subnetId && spec.privateLink) {
+        const group = typeof spec.privateLink === 'function' ? spec.privateLink(c) : spec.privateLink;
+        const pe = addResource({
+          symbol: symbol + 'PrivateEndpoint', type: 'Microsoft.Network/privateEndpoints', apiVersion: '2023-11-01',
+          name: _prefixed('pe-', res.nameParam), location: res.location,
+          body: {
+            properties: {
+              subnet: { id: subnetId },
+              privateLinkServiceConnections: [{ name: group, properties: { privateLinkServiceId: _id(res), groupIds: [group] } }],
+            },
+          },
+        });
+        used.add(pe.symbol);
+      } else if (subnetId && !res.nic) {
+        res.note = [res.note, 'Drawn inside a subnet: add its network settings.'].filter(Boolean).join(' ');
+      }
+      if (res.nic) {
+        const ip = res.nic.body.properties.ipConfigurations[0].properties;
+        if (subnetId) {
+          ip.subnet.id = subnetId;
+        } else {
+          const param = symbol + 'SubnetId';
+          params.set(param, { type: 'string' });
+          ip.subnet.id = _param(param);
+        }
+      }
+      byComponent.set(c.id, res);
+    }
+
+    _dependsOnFromArrows(manifest, byComponent);
+
+    return { params, resources, skipped };
+  }
+
+  /** Make `from` depend on `to`, unless that would close a cycle */
+  function _dependOn(from, to) {
+    const reaches = (item, seen) => {
+      if (item === from) return true;
+      if (seen.has(item)) return false;
+      seen.add(item);
+      return [...item.dependsOn].some(d => reaches(d, seen));
+    };
+    if (from === to || reaches(to, new Set())) return false;
+    from.dependsOn.add(to);
+    return true;
+  }
+
+  /** Arrows: the source depends on its target (see _dependOn) */
+  function _dependsOnFromArrows(manifest, byComponent) {
+    for (const conn of manifest.connections || []) {
+      if (conn.type !== 'directed') continue;
+      const from = byComponent.get(conn.from), to = byComponent.get(conn.to);
+      if (from && to) _dependOn(from, to);
+    }
+  }
+
+  /** Deep-merge plain objects; arrays and values from `extra` replace */
+  function _merge(target, extra) {
+    for (const [key, value] of Object.entries(extra)) {
+      const isObject = v => v && typeof v === 'object' && !Array.isArray(v) && !v.$expr;
+      if (isObject(value) && isObject(target[key])) _merge(target[key], value);
+      else target[key] = value;
+    }
+    return target;
+  }
+
+  /** Resources a value points at */
+  function _refs(value, out = new Set()) {
+    if (value && value.$expr) value.refs.forEach(r => out.add(r));
+    else if (Array.isArray(value)) value.forEach(v => _refs(v, out));
+    else if (value && typeof value === 'object') Object.values(value).forEach(v => _refs(v, out));
+    return out;
+  }
+
+  function _header(model, comment) {
+    const lines = [
+      `${comment} Generated by SystemDraw on ${new Date().toISOString().slice(0, 10)}.`,
+      `${comment} A starting skeleton: review SKUs, names and network settings before deploying.`,
+    ];
+    if (model.skipped.length > 0) {
+      lines.push(`${comment} No template for: ${model.skipped.map(c => `${c.label} (${c.service})`).join(', ')}`);
+    }
+    return lines;
+  }
+
+  // === Bicep ===
+
+  function _bicepString(s) {
+    return `'${String(s).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$\{/g, '\\${')}'`;
+  }
+
+  function _bicepValue(value, indent) {
+    if (value && value.$expr) return value.bicep;
+    if (typeof value === 'string') return _bicepString(value);
+    if (typeof value !== 'object' || value === null) return String(value);
+    const inner = indent + '  ';
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      return `[\n${value.map(v => inner + _bicepValue(v, inner)).join('\n')}\n${indent}]`;
+    }
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    const key = k => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(k) ? k : _bicepString(k));
+    return `{\n${entries.map(([k, v]) => `${inner}${key(k)}: ${_bicepValue(v, inner)}`).join('\n')}\n${indent}}`;
+  }
+
+  /**
+   * Bicep file with one resource per Azure component. Returns the text,
+   * or null when the diagram has no Azure components.
+   */
+  function toBicep(manifest) {
+    const model = _azureModel(manifest);
+    if (model.resources.length === 0) return null;
+    const lines = _header(model, '//');
+    lines.push('');
+
+    for (const [name, p] of model.params) {
+      if (p.secure) lines.push('@secure()');
+      const def = p.default === undefined ? '' : ` = ${_bicepValue(p.default, '')}`;
+      lines.push(`param ${name} ${p.type}${def}`);
+    }
+
+    for (const res of model.resources) {
+      lines.push('');
+      if (res.label) lines.push(`// ${res.label}`);
+      if (res.note) lines.push(`// TODO: ${res.note}`);
+      const body = {};
+      if (res.parent) body.parent = _expr(res.parent.symbol, '');
+      body.name = res.name || _param(res.nameParam);
+      if (res.location) body.location = res.location;
+      Object.assign(body, res.body);
+      // Explicit dependsOn only where no property already refers to the target
+      const implied = _refs(res.body);
+      const deps = [...res.dependsOn].filter(d => !implied.has(d) && d !== res.parent);
+      if (deps.length > 0) body.dependsOn = deps.map(d => _expr(d.symbol, ''));
+      lines.push(`resource ${res.symbol} '${res.type}@${res.apiVersion}' = ${_bicepValue(body, '')}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // === ARM JSON ===
+
+  function _armValue(value) {
+    if (value && value.$expr) return `[${value.arm}]`;
+    if (typeof value === 'string') return value.startsWith('[') ? '[' + value : value;
+    if (Array.isArray(value)) return value.map(_armValue);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _armValue(v)]));
+    }
+    return value;
+  }
+
+  /**
+   * ARM deployment template with the same resources as toBicep(). Returns
+   * the JSON text, or null when the diagram has no Azure components.
+   */
+  function toArmTemplate(manifest) {
+    const model = _azureModel(manifest);
+    if (model.resources.length === 0) return null;
+    const parameters = {};
+    for (const [name, p] of model.params) {
+      parameters[name] = { type: p.secure ? 'securestring' : p.type };
+      if (p.default !== undefined) parameters[name].defaultValue = _armValue(p.default);
+    }
+    const resources = model.resources.map((res) => {
+      const out = { type: res.type, apiVersion: res.apiVersion };
+      out.name = res.parent
+        ? `[format('{0}/{1}', parameters('${res.parent.nameParam}'), parameters('${res.nameParam}'))]`
+        : `[${_armName(res)}]`;
+      if (res.location) out.location = _armValue(res.location);
+      Object.assign(out, _armValue(res.body));
+      // ARM needs every dependency spelled out, including referenced ones
+      const deps = new Set([...res.dependsOn, ..._refs(res.body)]);
+      if (res.parent) deps.add(res.parent);
+      deps.delete(res);
+      if (deps.size > 0) out.dependsOn = [...deps].map(d => `[${_armId(d)}]`);
+      const comment = [res.label, res.note].filter(Boolean).join(' — ');
+      if (comment) out.comments = comment;
+      return out;
+    });
+    return JSON.stringify({
+      $schema: 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#',
+      contentVersion: '1.0.0.0',
+      metadata: { generator: 'SystemDraw', description: _header(model, '').map(l => l.trim()).join(' ') },
+      parameters,
+      resources,
+    }, null, 2) + '\n';
+  }
+
+  // === Terraform (azurerm) ===
+  // Keyed by azureService, or by shape type for anything else. `body(r)`
+  // returns the HCL lines after name / resource_group_name / location;
+  // `r` declares variables and shared resources on demand (see _terraformModel).
+  // `location: false` drops the location argument. The MCP server's
+  // get_terraform tool uses this generator as well.
+
+  const TERRAFORM_RESOURCES = {
+    'Microsoft.Web/sites': {
+      resource: c => (c.type === 'azurefunc' ? 'azurerm_linux_function_app' : 'azurerm_linux_web_app'), prefix: 'app',
+      body: r => [
+        `service_plan_id = ${r.plan()}`,
+        ...(r.c.type === 'azurefunc' ? [
+          `storage_account_name = ${r.var('storage_account_name', { description: `Storage account used by ${r.c.label}` })}`,
+          'storage_uses_managed_identity = true',
+        ] : []),
+        '',
+        'site_config {}',
+      ],
+    },
+    'Microsoft.Sql/servers': {
+      resource: 'azurerm_mssql_server', prefix: 'sql',
+      body: r => {
+        r.add('azurerm_mssql_database', 'database', [
+          `name = ${r.var('database_name', { default: _resourceName(r.c.label, { prefix: 'sqldb' }), description: `Name of the ${r.c.label} database` })}`,
+          `server_id = ${r.ref}.id`,
+          `sku_name = ${r.var('sku', { default: 'Basic', description: `SKU of the ${r.c.label} database` })}`,
+        ]);
+        return [
+          'version = "12.0"',
+          `administrator_login = ${r.shared('sql_administrator_login', { default: 'sqladmin', description: 'SQL administrator login' })}`,
+          `administrator_login_password = ${r.shared('sql_administrator_password', { sensitive: true, description: 'SQL administrator password' })}`,
+          'minimum_tls_version = "1.2"',
+        ];
+      },
+    },
+    'Microsoft.Sql/managedInstances': {
+      resource: 'azurerm_mssql_managed_instance', prefix: 'sqlmi',
+      body: r => [
+        `sku_name = ${r.var('sku', { default: 'GP_Gen5' })}`,
+        'license_type = "LicenseIncluded"',
+        'vcores = 4',
+        'storage_size_in_gb = 32',
+        `subnet_id = ${r.var('subnet_id', { description: `Delegated subnet for ${r.c.label}` })}`,
+        `administrator_login = ${r.shared('sql_administrator_login', { default: 'sqladmin', description: 'SQL administrator login' })}`,
+        `administrator_login_password = ${r.shared('sql_administrator_password', { sensitive: true, description: 'SQL administrator password' })}`,
+      ],
+    },
+    'Microsoft.DocumentDB/databaseAccounts': {
+      resource: 'azurerm_cosmosdb_account', prefix: 'cosmos',
+      body: r => [
+        'offer_type = "Standard"',
+        'kind = "GlobalDocumentDB"',
+        '',
+        'consistency_policy {',
+        'consistency_level = "Session"',
+        '}',
+        '',
+        'geo_location {',
+        `location = ${r.location}`,
+        'failover_priority = 0',
+        '}',
+      ],
+    },
+    'Microsoft.Storage/storageAccounts': {
+      resource: 'azurerm_storage_account', prefix: 'st', alphanumeric: true,
+      body: r => [
+        'account_tier = "Standard"',
+        `account_replication_type = ${r.var('sku', { default: 'LRS', description: `Replication of ${r.c.label}` })}`,
+        'min_tls_version = "TLS1_2"',
+        ...(r.c.type === 'datalake' ? ['is_hns_enabled = true'] : []),
+      ],
+    },
+    'Microsoft.Compute/disks': {
+      resource: 'azurerm_managed_disk', prefix: 'disk',
+      body: r => [
+        `storage_account_type = ${r.var('sku', { default: 'Premium_LRS' })}`,
+        'create_option = "Empty"',
+        'disk_size_gb = 128',
+      ],
+    },
+    'Microsoft.Cache/redis': {
+      resource: 'azurerm_redis_cache', prefix: 'redis',
+      body: r => [
+        `sku_name = ${r.var('sku', { default: 'Basic' })}`,
+        'family = "C"',
+        'capacity = 0',
+        'minimum_tls_version = "1.2"',
+      ],
+    },
+    'Microsoft.DBforPostgreSQL/flexibleServers': {
+      resource: 'azurerm_postgresql_flexible_server', prefix: 'psql',
+      body: r => [
+        'version = "16"',
+        `sku_name = ${r.var('sku', { default: 'B_Standard_B1ms' })}`,
+        'storage_mb = 32768',
+        `administrator_login = ${r.shared('db_administrator_login', { default: 'dbadmin', description: 'Database administrator login' })}`,
+        `administrator_password = ${r.shared('db_administrator_password', { sensitive: true, description: 'Database administrator password' })}`,
+      ],
+    },
+    'Microsoft.DBforMySQL/flexibleServers': {
+      resource: 'azurerm_mysql_flexible_server', prefix: 'mysql',
+      body: r => [
+        'version = "8.0.21"',
+        `sku_name = ${r.var('sku', { default: 'B_Standard_B1ms' })}`,
+        `administrator_login = ${r.shared('db_administrator_login', { default: 'dbadmin', description: 'Database administrator login' })}`,
+        `administrator_password = ${r.shared('db_administrator_password', { sensitive: true, description: 'Database administrator password' })}`,
+      ],
+    },
+    'Microsoft.DataFactory/factories': {
+      resource: 'azurerm_data_factory', prefix: 'adf',
+      body: () => ['identity {', 'type = "SystemAssigned"', '}'],
+    },
+    'Microsoft.Compute/virtualMachines': {
+      resource: 'azurerm_linux_virtual_machine', prefix: 'vm',
+      body: r => {
+        const nic = r.add('azurerm_network_interface', 'nic', [
+          `name = "nic-\${${r.name}}"`,
+          `resource_group_name = ${r.rg}`,
+          `location = ${r.location}`,
+          '',
+          'ip_configuration {',
+          'name = "ipconfig1"',
+          `subnet_id = ${r.var('subnet_id', { description: `Subnet for ${r.c.label}` })}`,
+          'private_ip_address_allocation = "Dynamic"',
+          '}',
+        ]);
+        return [
+          `size = ${r.var('size', { default: 'Standard_B2s', description: `VM size of ${r.c.label}` })}`,
+          `admin_username = ${r.shared('vm_admin_username', { default: 'azureuser', description: 'VM administrator user name' })}`,
+          `admin_password = ${r.shared('vm_admin_password', { sensitive: true, description: 'VM administrator password' })}`,
+          'disable_password_authentication = false',
+          `network_interface_ids = [${nic}.id]`,
+          '',
+          'os_disk {',
+          'caching = "ReadWrite"',
+          'storage_account_type = "Standard_LRS"',
+          '}',
+          '',
+          'source_image_reference {',
+          'publisher = "Canonical"',
+          'offer = "0001-com-ubuntu-server-jammy"',
+          'sku = "22_04-lts-gen2"',
+          'version = "latest"',
+          '}',
+        ];
+      },
+    },
+    'Microsoft.ContainerService/managedClusters': {
+      resource: 'azurerm_kubernetes_cluster', prefix: 'aks',
+      body: r => [
+        `dns_prefix = ${r.name}`,
+        '',
+        'default_node_pool {',
+        'name = "system"',
+        'node_count = 2',
+        `vm_size = ${r.var('node_size', { default: 'Standard_D2s_v5', description: `Node VM size of ${r.c.label}` })}`,
+        '}',
+        '',
+        'identity {',
+        'type = "SystemAssigned"',
+        '}',
+      ],
+    },
+    'Microsoft.ContainerInstance/containerGroups': {
+      resource: 'azurerm_container_group', prefix: 'ci',
+      body: r => [
+        'os_type = "Linux"',
+        '',
+        'container {',
+        `name = ${r.name}`,
+        `image = ${r.var('image', { default: 'mcr.microsoft.com/azuredocs/aci-helloworld', description: `Container image for ${r.c.label}` })}`,
+        'cpu = 1',
+        'memory = 1.5',
+        '}',
+      ],
+    },
+    'Microsoft.AppPlatform/Spring': {
+      resource: 'azurerm_spring_cloud_service', prefix: 'asa',
+      body: r => [`sku_name = ${r.var('sku', { default: 'S0' })}`],
+    },
+    'Microsoft.Network/virtualNetworks': {
+      resource: 'azurerm_virtual_network', prefix: 'vnet',
+      body: r => [`address_space = [${r.var('address_space', { default: '10.0.0.0/16' })}]`],
+    },
+    'Microsoft.Network/loadBalancers': {
+      resource: 'azurerm_lb', prefix: 'lbi',
+      body: r => [`sku = ${r.var('sku', { default: 'Standard' })}`],
+    },
+    'Microsoft.Network/azureFirewalls': {
+      resource: 'azurerm_firewall', prefix: 'afw',
+      body: r => [
+        'sku_name = "AZFW_VNet"',
+        `sku_tier = ${r.var('sku', { default: 'Standard' })}`,
+        '',
+        'ip_configuration {',
+        'name = "ipconfig"',
+        `subnet_id = ${r.var('subnet_id', { description: `AzureFirewallSubnet for ${r.c.label}` })}`,
+        `public_ip_address_id = ${r.var('public_ip_id', { description: `Public IP of ${r.c.label}` })}`,
+        '}',
+      ],
+    },
+    'Microsoft.Network/bastionHosts': {
+      resource: 'azurerm_bastion_host', prefix: 'bas',
+      body: r => [
+        'ip_configuration {',
+        'name = "ipconfig"',
+        `subnet_id = ${r.var('subnet_id', { description: `AzureBastionSubnet for ${r.c.label}` })}`,
+        `public_ip_address_id = ${r.var('public_ip_id', { description: `Public IP of ${r.c.label}` })}`,
+        '}',
+      ],
+    },
+    'Microsoft.Network/dnsZones': {
+      resource: 'azurerm_dns_zone', prefix: '', location: false,
+      body: () => [],
+    },
+    'Microsoft.Cdn/profiles': {
+      resource: 'azurerm_cdn_frontdoor_profile', prefix: 'afd', location: false,
+      body: r => [`sku_name = ${r.var('sku', { default: 'Standard_AzureFrontDoor' })}`],
+    },
+    'Microsoft.ApiManagement/service': {
+      resource: 'azurerm_api_management', prefix: 'apim',
+      body: r => [
+        `publisher_name = ${r.shared('apim_publisher_name', { default: 'Contoso', description: 'API Management publisher name' })}`,
+        `publisher_email = ${r.shared('apim_publisher_email', { default: 'admin@contoso.com', description: 'API Management publisher email' })}`,
+        `sku_name = ${r.var('sku', { default: 'Developer_1' })}`,
+      ],
+    },
+    'Microsoft.ServiceBus/namespaces': {
+      resource: 'azurerm_servicebus_namespace', prefix: 'sbns',
+      body: r => [`sku = ${r.var('sku', { default: 'Standard' })}`],
+    },
+    'Microsoft.EventGrid/topics': {
+      resource: 'azurerm_eventgrid_topic', prefix: 'evgt',
+      body: () => [],
+    },
+    'Microsoft.EventHub/namespaces': {
+      resource: 'azurerm_eventhub_namespace', prefix: 'evhns',
+      body: r => [`sku = ${r.var('sku', { default: 'Standard' })}`],
+    },
+    'Microsoft.Logic/workflows': {
+      resource: 'azurerm_logic_app_workflow', prefix: 'logic',
+      body: () => [],
+    },
+    'Microsoft.AppConfiguration/configurationStores': {
+      resource: 'azurerm_app_configuration', prefix: 'appcs',
+      body: r => [`sku = ${r.var('sku', { default: 'standard' })}`],
+    },
+    'Microsoft.KeyVault/vaults': {
+      resource: 'azurerm_key_vault', prefix: 'kv', maxLength: 24,
+      body: r => [
+        `tenant_id = ${r.tenantId()}`,
+        `sku_name = ${r.var('sku', { default: 'standard' })}`,
+        'enable_rbac_authorization = true',
+      ],
+    },
+    'Microsoft.ManagedIdentity/userAssignedIdentities': {
+      resource: 'azurerm_user_assigned_identity', prefix: 'id',
+      body: () => [],
+    },
+    'Microsoft.Insights/components': {
+      resource: 'azurerm_application_insights', prefix: 'appi',
+      body: () => ['application_type = "web"'],
+    },
+    'Microsoft.OperationalInsights/workspaces': {
+      resource: 'azurerm_log_analytics_workspace', prefix: 'log',
+      body: r => [`sku = ${r.var('sku', { default: 'PerGB2018' })}`, 'retention_in_days = 30'],
+    },
+    'Microsoft.LoadTestService/loadTests': {
+      resource: 'azurerm_load_test', prefix: 'lt',
+      body: () => [],
+    },
+    'Microsoft.CognitiveServices/accounts': {
+      resource: 'azurerm_cognitive_account', prefix: 'cog',
+      body: r => [
+        `kind = "${r.c.type === 'openai' ? 'OpenAI' : 'CognitiveServices'}"`,
+        `sku_name = ${r.var('sku', { default: 'S0' })}`,
+        `custom_subdomain_name = ${r.name}`,
+      ],
+    },
+    'Microsoft.MachineLearningServices/workspaces': {
+      resource: 'azurerm_machine_learning_workspace', prefix: 'mlw',
+      body: r => [
+        `application_insights_id = ${r.var('application_insights_id', { description: `Application Insights for ${r.c.label}` })}`,
+        `key_vault_id = ${r.var('key_vault_id', { description: `Key vault for ${r.c.label}` })}`,
+        `storage_account_id = ${r.var('storage_account_id', { description: `Storage account for ${r.c.label}` })}`,
+        '',
+        'identity {',
+        'type = "SystemAssigned"',
+        '}',
+      ],
+    },
+    'Microsoft.BotService/botServices': {
+      resource: 'azurerm_bot_service_azure_bot', prefix: 'bot', location: false,
+      body: r => [
+        'location = "global"',
+        `microsoft_app_id = ${r.shared('bot_app_id', { description: 'Microsoft app ID of the bot' })}`,
+        `sku = ${r.var('sku', { default: 'F0' })}`,
+      ],
+    },
+    'Microsoft.Search/searchServices': {
+      resource: 'azurerm_search_service', prefix: 'srch',
+      body: r => [`sku = ${r.var('sku', { default: 'basic' })}`],
+    },
+    'Microsoft.Devices/IotHubs': {
+      resource: 'azurerm_iothub', prefix: 'iot',
+      body: r => ['sku {', `name = ${r.var('sku', { default: 'S1' })}`, 'capacity = 1', '}'],
+    },
+    'Microsoft.IoTCentral/iotApps': {
+      resource: 'azurerm_iotcentral_application', prefix: 'iotapp',
+      body: r => [`sub_domain = ${r.name}`, `sku = ${r.var('sku', { default: 'ST1' })}`],
+    },
+    'Microsoft.DigitalTwins/digitalTwinsInstances': {
+      resource: 'azurerm_digital_twins_instance', prefix: 'dt',
+      body: () => [],
+    },
+    'Microsoft.Databricks/workspaces': {
+      resource: 'azurerm_databricks_workspace', prefix: 'dbw',
+      body: r => [`sku = ${r.var('sku', { default: 'premium' })}`],
+    },
+    'Microsoft.Kusto/clusters': {
+      resource: 'azurerm_kusto_cluster', prefix: 'dec', alphanumeric: true,
+      body: r => ['sku {', `name = ${r.var('sku', { default: 'Dev(No SLA)_Standard_E2a_v4' })}`, 'capacity = 1', '}'],
+    },
+  };
+
+  function _hclString(s) {
+    return JSON.stringify(String(s)).replace(/\$\{/g, '$${').replace(/%\{/g, '%%{');
+  }
+
+  /** snake_case identifier from a label, unique within `used` */
+  function _hclName(label, fallback, used) {
+    let base = _words(label).join('_') || fallback;
+    if (/^\d/.test(base)) base = fallback + '_' + base;
+    let name = base, n = 2;
+    while (used.has(name)) name = `${base}_${n++}`;
+    used.add(name);
+    return name;
+  }
+
+  /**
+   * Indent body lines by their braces and align the `=` of neighbouring
+   * one-line arguments, as `terraform fmt` does.
+   */
+  function _hclBody(lines, depth = 1) {
+    const out = [];
+    let run = [];
+    const flush = () => {
+      const width = Math.max(...run.map(r => r.key.length));
+      for (const r of run) out.push(`${r.indent}${r.key.padEnd(width)} = ${r.value}`);
+      run = [];
+    };
+    for (const line of lines) {
+      if (/^[}\]]/.test(line)) depth--;
+      const indent = '  '.repeat(depth);
+      const arg = /^([\w"-]+)\s*=\s*(.*)$/.exec(line);
+      if (arg && !/[{[]$/.test(line)) {
+        run.push({ indent, key: arg[1], value: arg[2] });
+        continue;
+      }
+      if (run.length > 0) flush();
+      out.push(line ? indent + line : '');
+      if (/[{[]$/.test(line)) depth++;
+    }
+    if (run.length > 0) flush();
+    return out;
+  }
+
+  /**
+   * Turn the manifest into variables, resource blocks and the placeholders
+   * for components without a mapping.
+   */
+  function _terraformModel(manifest) {
+    const used = new Set();
+    const variables = new Map([['location', { default: 'westeurope', description: 'Azure region for the resources' }]]);
+    const blocks = [];
+    const placeholders = [];
+    const kubernetes = [];
+    const zones = new Map((manifest.zones || []).map(z => [z.id, z]));
+    const data = new Set();
+    let plan = null;
+
+    const ancestors = (item) => {
+      const out = [];
+      for (let z = zones.get(item.parentId); z && !out.includes(z); z = zones.get(z.parentId)) out.push(z);
+      return out;
+    };
+    const declare = (name, spec) => {
+      if (!variables.has(name)) variables.set(name, spec);
+      return `var.${name}`;
+    };
+
+    // Region zones set a location variable; resource group zones become resource groups
+    const regionVars = new Map();
+    const locationIn = (item) => {
+      const region = ancestors(item).find(z => z.type === 'region');
+      if (!region) return 'var.location';
+      if (!regionVars.has(region.id)) {
+        const name = _hclName(region.label, 'region', used) + '_location';
+        regionVars.set(region.id, declare(name, { default: _words(region.label).join(''), description: `Azure region of ${region.label}` }));
+      }
+      return regionVars.get(region.id);
+    };
+    const groups = new Map();   // zone id (or '' for the default group) → block
+    const groupFor = (item) => {
+      const zone = ancestors(item).find(z => z.type === 'resourcegroup');
+      const key = zone ? zone.id : '';
+      if (!groups.has(key)) {
+        const label = zone ? zone.label : 'main';
+        const sym = zone ? _hclName(label, 'rg', used) : 'main';
+        used.add(sym);
+        const name = declare(zone ? `${sym}_name` : 'resource_group_name', {
+          default: zone ? _resourceName(label, { prefix: 'rg' }) : 'rg-system-draw',
+          description: `Name of the ${zone ? label : 'default'} resource group`,
+        });
+        groups.set(key, {
+          resource: 'azurerm_resource_group', sym, label: zone && zone.label, dependsOn: new Set(),
+          lines: [`name = ${name}`, `location = ${zone ? locationIn(zone) : 'var.location'}`],
+        });
+      }
+      return `azurerm_resource_group.${groups.get(key).sym}.name`;
+    };
+
+    const byComponent = new Map();
+    for (const c of manifest.components || []) {
+      const spec = TERRAFORM_RESOURCES[c.azureResourceType] || TERRAFORM_RESOURCES[c.type];
+      if (!spec) {
+        if (c.provider === 'kubernetes') kubernetes.push(c);
+        else if (c.category !== 'primitive' && c.category !== 'client') placeholders.push({ c, rg: groupFor(c), location: locationIn(c) });
+        continue;
+      }
+      const resource = typeof spec.resource === 'function' ? spec.resource(c) : spec.resource;
+      const sym = _hclName(c.label, spec.prefix || 'resource', used);
+      const extra = [];
+      const r = {
+        c, sym,
+        ref: `${resource}.${sym}`,
+        name: declare(`${sym}_name`, { default: _resourceName(c.label, spec), description: `Name of ${c.label}` }),
+        rg: groupFor(c),
+        location: locationIn(c),
+        var: (key, v) => declare(`${sym}_${key}`, {
+          description: `${key === 'sku' ? 'SKU' : key.replace(/_/g, ' ')} of ${c.label}`, ...v,
+        }),
+        shared: declare,
+        add: (type, suffix, lines) => {
+          used.add(`${sym}_${suffix}`);
+          extra.push({ resource: type, sym: `${sym}_${suffix}`, lines, dependsOn: new Set() });
+          return `${type}.${sym}_${suffix}`;
+        },
+        plan: () => {
+          if (!plan) {
+            plan = {
+              resource: 'azurerm_service_plan', sym: 'main', label: 'App Service plan', dependsOn: new Set(),
+              lines: [
+                `name = ${declare('app_service_plan_name', { default: 'plan-system-draw', description: 'Name of the App Service plan' })}`,
+                `resource_group_name = ${r.rg}`,
+                `location = ${r.location}`,
+                'os_type = "Linux"',
+                `sku_name = ${declare('app_service_plan_sku', { default: 'B1', description: 'SKU of the App Service plan' })}`,
+              ],
+            };
+            used.add('main');
+          }
+          return 'azurerm_service_plan.main.id';
+        },
+        tenantId: () => {
+          data.add('data "azurerm_client_config" "current" {}');
+          return 'data.azurerm_client_config.current.tenant_id';
+        },
+      };
+      const head = [`name = ${r.name}`, `resource_group_name = ${r.rg}`];
+      if (spec.location !== false) head.push(`location = ${r.location}`);
+      const body = spec.body(r);
+      if (body.length > 0 && /[{[]$/.test(body[0])) head.push('');
+      const block = { resource, sym, label: c.label, dependsOn: new Set(), lines: [...head, ...body] };
+      blocks.push(block, ...extra);
+      byComponent.set(c.id, block);
+    }
+
+    _dependsOnFromArrows(manifest, byComponent);
+
+    const groupBlocks = [...groups.values()];
+    return { variables, data, blocks: [...groupBlocks, ...(plan ? [plan] : []), ...blocks], placeholders, kubernetes };
+  }
+
+  /**
+   * Terraform (azurerm) configuration for the diagram. Returns the HCL text,
+   * or null when nothing on the diagram maps to Azure or needs a placeholder.
+   */
+  function toTerraform(manifest) {
+    const model = _terraformModel(manifest);
+    if (model.blocks.length === 0 && model.placeholders.length === 0) return null;
+
+    const lines = [
+      `# Generated by SystemDraw on ${new Date().toISOString().slice(0, 10)}.`,
+      '# A starting skeleton: review SKUs, names and network settings before applying.',
+      '',
+      'terraform {',
+      '  required_providers {',
+      '    azurerm = {',
+      '      source  = "hashicorp/azurerm"',
+      '      version = "~> 3.100"',
+      '    }',
+      '  }',
+      '}',
+      '',
+      'provider "azurerm" {',
+      '  features {}',
+      '}',
+    ];
+
+    for (const [name, v] of model.variables) {
+      const body = [];
+      if (v.description) body.push(`description = ${_hclString(v.description)}`);
+      body.push('type = string');
+      if (v.default !== undefined) body.push(`default = ${_hclString(v.default)}`);
+      if (v.sensitive) body.push('sensitive = true');
+      lines.push('', `variable "${name}" {`, ..._hclBody(body), '}');
+    }
+    for (const d of model.data) lines.push('', d);
+
+    for (const block of model.blocks) {
+      const text = block.lines.join('\n');
+      // Explicit depends_on only where no argument already refers to the target
+      const deps = [...block.dependsOn]
+        .map(d => `${d.resource}.${d.sym}`)
+        .filter(d => !text.includes(d + '.'));
+      const body = deps.length > 0 ? [...block.lines, '', 'depends_on = [', ...deps.map(d => d + ','), ']'] : block.lines;
+      lines.push('');
+      if (block.label) lines.push(`# ${block.label}`);
+      lines.push(`resource "${block.resource}" "${block.sym}" {`, ..._hclBody(body), '}');
+    }
+
+    if (model.placeholders.length > 0) {
+      lines.push('', '# ── No azurerm mapping yet: fill in or remove ──');
+      const used = new Set();
+      for (const { c, rg, location } of model.placeholders) {
+        const sym = _hclName(c.label, 'component', used);
+        const body = _hclBody([`name = ${_hclString(_words(c.label).join('-') || sym)}`, `resource_group_name = ${rg}`, `location = ${location}`]);
+        lines.push('', `# ${c.label} (${c.service})`, `# resource "azurerm_..." "${sym}" {`, ...body.map(l => '# ' + l), '# }');
+      }
+    }
+    if (model.kubernetes.length > 0) {
+      lines.push('', `# Kubernetes objects (apply to the cluster instead): ${model.kubernetes.map(c => c.label).join(', ')}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // === Kubernetes ===
+  // One stub per Kubernetes shape. Lines between shapes (either direction)
+  // wire references: Ingress → Service → workload, workload → ConfigMap /
+  // Secret / PVC / Volume / ServiceAccount, HPA → workload, PVC →
+  // StorageClass / PersistentVolume, NetworkPolicy → workload and Role →
+  // ServiceAccount. A namespace zone sets metadata.namespace.
+
+  const _selector = o => ({ matchLabels: { ...o.labels } });
+  const _podTemplate = (o, restartPolicy) => ({
+    metadata: { labels: { ...o.labels } },
+    spec: {
+      ...(restartPolicy ? { restartPolicy } : {}),
+      containers: [{ name: o.name, image: `${o.name}:latest` }],
+    },
+  });
+
+  // Document order follows what must exist first when applied in one go
+  const K8S_OBJECTS = {
+    k8sns:      { apiVersion: 'v1', kind: 'Namespace', cluster: true },
+    k8scrd:     { apiVersion: 'apiextensions.k8s.io/v1', kind: 'CustomResourceDefinition', cluster: true, build: _crd },
+    k8ssc:      { apiVersion: 'storage.k8s.io/v1', kind: 'StorageClass', cluster: true,
+      build: () => ({ provisioner: 'disk.csi.azure.com', reclaimPolicy: 'Delete', volumeBindingMode: 'WaitForFirstConsumer' }) },
+    k8spv:      { apiVersion: 'v1', kind: 'PersistentVolume', cluster: true,
+      build: o => ({ spec: { capacity: { storage: '1Gi' }, accessModes: ['ReadWriteOnce'], persistentVolumeReclaimPolicy: 'Retain', hostPath: { path: `/mnt/data/${o.name}` } } }) },
+    k8squota:   { apiVersion: 'v1', kind: 'ResourceQuota',
+      build: () => ({ spec: { hard: { 'requests.cpu': '4', 'requests.memory': '8Gi', 'limits.cpu': '8', 'limits.memory': '16Gi' } } }) },
+    k8slimits:  { apiVersion: 'v1', kind: 'LimitRange',
+      build: () => ({ spec: { limits: [{ type: 'Container', default: { cpu: '500m', memory: '512Mi' }, defaultRequest: { cpu: '100m', memory: '128Mi' } }] } }) },
+    k8ssa:      { apiVersion: 'v1', kind: 'ServiceAccount' },
+    k8srole:    { apiVersion: 'rbac.authorization.k8s.io/v1', kind: 'Role',
+      build: () => ({ rules: [{ apiGroups: [''], resources: ['pods'], verbs: ['get', 'list', 'watch'] }] }) },
+    k8scm:      { apiVersion: 'v1', kind: 'ConfigMap', build: () => ({ data: {} }) },
+    k8ssecret:  { apiVersion: 'v1', kind: 'Secret', build: () => ({ type: 'Opaque', stringData: {} }) },
+    k8spvc:     { apiVersion: 'v1', kind: 'PersistentVolumeClaim',
+      build: () => ({ spec: { accessModes: ['ReadWriteOnce'], resources: { requests: { storage: '1Gi' } } } }) },
+    k8spod:     { apiVersion: 'v1', kind: 'Pod', build: o => ({ metadata: { labels: { ...o.labels } }, spec: _podTemplate(o).spec }) },
+    k8sdeploy:  { apiVersion: 'apps/v1', kind: 'Deployment',
+      build: o => ({ spec: { replicas: 1, selector: _selector(o), template: _podTemplate(o) } }) },
+    k8ssts:     { apiVersion: 'apps/v1', kind: 'StatefulSet',
+      build: o => ({ spec: { serviceName: o.name, replicas: 1, selector: _selector(o), template: _podTemplate(o) } }) },
+    k8sds:      { apiVersion: 'apps/v1', kind: 'DaemonSet', build: o => ({ spec: { selector: _selector(o), template: _podTemplate(o) } }) },
+    k8srs:      { apiVersion: 'apps/v1', kind: 'ReplicaSet',
+      build: o => ({ spec: { replicas: 1, selector: _selector(o), template: _podTemplate(o) } }) },
+    k8sjob:     { apiVersion: 'batch/v1', kind: 'Job', build: o => ({ spec: { template: _podTemplate(o, 'Never') } }) },
+    k8scronjob: { apiVersion: 'batch/v1', kind: 'CronJob',
+      build: o => ({ spec: { schedule: '0 * * * *', jobTemplate: { spec: { template: _podTemplate(o, 'OnFailure') } } } }) },
+    k8ssvc:     { apiVersion: 'v1', kind: 'Service', build: () => ({ spec: { selector: {}, ports: [{ port: 80, targetPort: 80 }] } }) },
+    k8sep:      { apiVersion: 'v1', kind: 'Endpoints', build: () => ({ subsets: [] }) },
+    k8sing:     { apiVersion: 'networking.k8s.io/v1', kind: 'Ingress', build: () => ({ spec: { rules: [] } }) },
+    k8shpa:     { apiVersion: 'autoscaling/v2', kind: 'HorizontalPodAutoscaler',
+      build: o => ({
+        spec: {
+          scaleTargetRef: { apiVersion: 'apps/v1', kind: 'Deployment', name: o.name },
+          minReplicas: 1,
+          maxReplicas: 5,
+          metrics: [{ type: 'Resource', resource: { name: 'cpu', target: { type: 'Utilization', averageUtilization: 80 } } }],
+        },
+      }) },
+    k8snetpol:  { apiVersion: 'networking.k8s.io/v1', kind: 'NetworkPolicy',
+      build: () => ({ spec: { podSelector: {}, policyTypes: ['Ingress'], ingress: [{ from: [{ podSelector: {} }] }] } }) },
+  };
+
+  const K8S_WORKLOADS = new Set(['k8spod', 'k8sdeploy', 'k8ssts', 'k8sds', 'k8srs', 'k8sjob', 'k8scronjob']);
+
+  function _crd(o) {
+    const kind = _words(o.c.label).map(w => w[0].toUpperCase() + w.slice(1)).join('') || 'Resource';
+    const plural = kind.toLowerCase().replace(/([^aeiou])y$/, '$1ie').replace(/(s|x|z|ch|sh)$/, '$1e') + 's';
+    o.name = `${plural}.example.com`;
+    return {
+      spec: {
+        group: 'example.com',
+        scope: 'Namespaced',
+        names: { kind, plural, singular: kind.toLowerCase() },
+        versions: [{
+          name: 'v1', served: true, storage: true,
+          schema: { openAPIV3Schema: { type: 'object', 'x-kubernetes-preserve-unknown-fields': true } },
+        }],
+      },
+    };
+  }
+
+  /** The pod spec inside a workload document */
+  function _podSpecOf(o) {
+    const spec = o.doc.spec;
+    if (o.type === 'k8spod') return spec;
+    if (o.type === 'k8scronjob') return spec.jobTemplate.spec.template.spec;
+    return spec.template.spec;
+  }
+
+  /** Add `item` to the array at obj[key], creating it */
+  function _push(obj, key, item) {
+    (obj[key] = obj[key] || []).push(item);
+  }
+
+  // Wiring rules for a connected pair, looked up as `${a.type}>${b.type}`
+  const K8S_LINKS = {
+    'k8sing>k8ssvc': (ing, svc) => {
+      const path = { path: '/', pathType: 'Prefix', backend: { service: { name: svc.name, port: { number: svc.doc.spec.ports[0].port } } } };
+      ing.doc.spec.rules.push({ http: { paths: [path] } });
+    },
+    'k8ssvc>workload': (svc, w, conn) => {
+      const port = typeof conn.port === 'number' ? conn.port : 80;
+      svc.doc.spec.selector = { ...w.labels };
+      svc.doc.spec.ports = [{ port, targetPort: port, ...(conn.protocol && /^(TCP|UDP|SCTP)$/i.test(conn.protocol) ? { protocol: conn.protocol.toUpperCase() } : {}) }];
+      const container = _podSpecOf(w).containers[0];
+      if (!(container.ports || []).some(p => p.containerPort === port)) _push(container, 'ports', { containerPort: port });
+      if (w.type === 'k8ssts') w.doc.spec.serviceName = svc.name;
+    },
+    'workload>k8scm': (w, cm) => _push(_podSpecOf(w).containers[0], 'envFrom', { configMapRef: { name: cm.name } }),
+    'workload>k8ssecret': (w, secret) => _push(_podSpecOf(w).containers[0], 'envFrom', { secretRef: { name: secret.name } }),
+    'workload>k8spvc': (w, pvc) => {
+      const pod = _podSpecOf(w);
+      _push(pod, 'volumes', { name: pvc.name, persistentVolumeClaim: { claimName: pvc.name } });
+      _push(pod.containers[0], 'volumeMounts', { name: pvc.name, mountPath: `/data/${pvc.name}` });
+    },
+    'workload>k8svol': (w, vol) => {
+      const pod = _podSpecOf(w);
+      _push(pod, 'volumes', { name: vol.name, emptyDir: {} });
+      _push(pod.containers[0], 'volumeMounts', { name: vol.name, mountPath: `/data/${vol.name}` });
+    },
+    'workload>k8ssa': (w, sa) => { _podSpecOf(w).serviceAccountName = sa.name; },
+    'k8shpa>workload': (hpa, w) => {
+      hpa.doc.spec.scaleTargetRef = { apiVersion: w.apiVersion, kind: w.doc.kind, name: w.name };
+    },
+    'k8snetpol>workload': (np, w) => { np.doc.spec.podSelector = _selector(w); },
+    'k8spvc>k8ssc': (pvc, sc) => { pvc.doc.spec.storageClassName = sc.name; },
+    'k8spvc>k8spv': (pvc, pv) => { pvc.doc.spec.volumeName = pv.name; },
+    'k8srole>k8ssa': (role, sa, conn, add) => add({
+      apiVersion: 'rbac.authorization.k8s.io/v1',
+      kind: 'RoleBinding',
+      metadata: { name: `${role.name}-${sa.name}`, ...(role.namespace ? { namespace: role.namespace } : {}) },
+      subjects: [{ kind: 'ServiceAccount', name: sa.name, ...(sa.namespace ? { namespace: sa.namespace } : {}) }],
+      roleRef: { apiGroup: 'rbac.authorization.k8s.io', kind: 'Role', name: role.name },
+    }),
+  };
+
+  function _yamlScalar(v) {
+    if (v === null || v === undefined) return 'null';
+    if (typeof v !== 'string') return String(v);
+    const plain = v !== '' && !/^[\s\-?:,[\]{}#&*!|>'"%@`]|\s$|: | #/.test(v) &&
+      !/^(true|false|yes|no|on|off|null|~|y|n)$/i.test(v) && isNaN(Number(v)) && !/^[\d:]+$/.test(v);
+    return plain ? v : JSON.stringify(v);
+  }
+
+  /** YAML lines for a plain object or array, block style */
+  function _yamlLines(value, indent = '') {
+    const lines = [];
+    const isEmpty = v => typeof v === 'object' && v !== null && Object.keys(v).length === 0;
+    const inline = v => (Array.isArray(v) ? '[]' : isEmpty(v) ? '{}' : _yamlScalar(v));
+    const nested = v => typeof v === 'object' && v !== null && !isEmpty(v);
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (nested(item) && !Array.isArray(item)) {
+          const inner = _yamlLines(item, indent + '  ');
+          lines.push(indent + '- ' + inner[0].slice(indent.length + 2), ...inner.slice(1));
+        } else {
+          lines.push(`${indent}- ${inline(item)}`);
+        }
+      }
+      return lines;
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (nested(v)) lines.push(`${indent}${_yamlScalar(key)}:`, ..._yamlLines(v, indent + '  '));
+      else lines.push(`${indent}${_yamlScalar(key)}: ${inline(v)}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Multi-document Kubernetes YAML for the diagram's Kubernetes shapes.
+   * Returns the text, or null when there are none.
+   */
+  function toKubernetes(manifest) {
+    const zones = new Map((manifest.zones || []).map(z => [z.id, z]));
+    const namespaceOf = (item) => {
+      for (let z = zones.get(item.parentId), seen = new Set(); z && !seen.has(z); seen.add(z), z = zones.get(z.parentId)) {
+        if (z.type === 'namespace') return z;
+      }
+      return null;
+    };
+
+    const usedNames = new Map();   // kind → Set of names
+    const nameFor = (kind, label, fallback) => {
+      if (!usedNames.has(kind)) usedNames.set(kind, new Set());
+      return _dnsName(label, fallback, usedNames.get(kind));
+    };
+
+    // Namespace zones become Namespace objects too
+    const namespaceNames = new Map();   // zone id → name
+    const objects = [];
+    for (const zone of zones.values()) {
+      if (zone.type !== 'namespace') continue;
+      const name = nameFor('Namespace', zone.label, 'namespace');
+      namespaceNames.set(zone.id, name);
+      objects.push({ type: 'k8sns', order: 0, doc: { apiVersion: 'v1', kind: 'Namespace', metadata: { name } } });
+    }
+
+    const byComponent = new Map();
+    const order = Object.keys(K8S_OBJECTS);
+    const skipped = [];
+    for (const c of manifest.components || []) {
+      if (c.type === 'k8svol') {
+        byComponent.set(c.id, { c, type: c.type, name: _dnsName(c.label, 'volume', new Set()) });
+        continue;
+      }
+      const spec = K8S_OBJECTS[c.type];
+      if (!spec) {
+        if (c.provider === 'kubernetes') skipped.push(c);
+        continue;
+      }
+      const zone = namespaceOf(c);
+      const o = {
+        c, type: c.type, apiVersion: spec.apiVersion, order: order.indexOf(c.type),
+        name: nameFor(spec.kind, c.label, spec.kind.toLowerCase()),
+        namespace: !spec.cluster && zone ? namespaceNames.get(zone.id) : null,
+      };
+      o.labels = { app: o.name };
+      const { metadata, ...body } = spec.build ? spec.build(o) : {};
+      o.doc = {
+        apiVersion: spec.apiVersion,
+        kind: spec.kind,
+        metadata: { name: o.name, ...(o.namespace ? { namespace: o.namespace } : {}), ...metadata },
+        ...body,
+      };
+      objects.push(o);
+      byComponent.set(c.id, o);
+    }
+    if (objects.length === 0) return null;
+
+    const extra = [];
+    const add = doc => extra.push({ order: order.indexOf('k8srole') + 0.5, doc });
+    const roleOf = o => (K8S_WORKLOADS.has(o.type) ? 'workload' : o.type);
+    // Ingresses last, so they see the service ports set by the other links
+    const isIngress = conn => [conn.from, conn.to].some(id => (byComponent.get(id) || {}).type === 'k8sing');
+    const connections = manifest.connections || [];
+    for (const conn of [...connections.filter(c => !isIngress(c)), ...connections.filter(isIngress)]) {
+      const a = byComponent.get(conn.from), b = byComponent.get(conn.to);
+      if (!a || !b || a === b) continue;
+      const forward = K8S_LINKS[`${roleOf(a)}>${roleOf(b)}`];
+      const backward = K8S_LINKS[`${roleOf(b)}>${roleOf(a)}`];
+      if (forward) forward(a, b, conn, add);
+      else if (backward) backward(b, a, conn, add);
+    }
+
+    const docs = [...objects, ...extra].sort((x, y) => x.order - y.order);
+    const header = [
+      `# Generated by SystemDraw on ${new Date().toISOString().slice(0, 10)}.`,
+      '# Stubs to start from: set images, ports and resource requests before applying.',
+    ];
+    if (skipped.length > 0) header.push(`# Not generated: ${skipped.map(c => `${c.label} (${c.service})`).join(', ')}`);
+    return header.join('\n') + '\n' + docs.map(d => '---\n' + _yamlLines(d.doc).join('\n') + '\n').join('');
+  }
+
+  // === Docker Compose ===
+  // Local images for backing services, keyed like CODE_HINTS (Azure resource
+  // type, then shape type). `connection` is the value handed to services
+  // that point at it, in an environment variable named after its label plus
+  // `env`; {host} and {db} are the compose service and database names.
+  // `standIn` marks images that only approximate the Azure service. Other
+  // compute components become build services. The MCP server's
+  // get_compose_file tool uses this generator as well.
+
+  const COMPOSE_POSTGRES = {
+    image: 'postgres:16-alpine', ports: [5432], data: '/var/lib/postgresql/data',
+    environment: { POSTGRES_USER: 'postgres', POSTGRES_PASSWORD: 'postgres', POSTGRES_DB: '{db}' },
+    env: 'CONNECTION_STRING', connection: 'postgres://postgres:postgres@{host}:5432/{db}',
+  };
+  const COMPOSE_MSSQL = {
+    image: 'mcr.microsoft.com/mssql/server:2022-latest', ports: [1433], data: '/var/opt/mssql',
+    environment: { ACCEPT_EULA: 'Y', MSSQL_SA_PASSWORD: 'LocalDev#2024' },
+    env: 'CONNECTION_STRING', connection: 'Server={host},1433;Database={db};User Id=sa;Password=LocalDev#2024;TrustServerCertificate=True',
+  };
+  const COMPOSE_REDIS = { image: 'redis:7-alpine', ports: [6379], env: 'URL', connection: 'redis://{host}:6379' };
+  const COMPOSE_RABBITMQ = {
+    image: 'rabbitmq:3-management-alpine', ports: [5672, 15672],
+    env: 'URL', connection: 'amqp://guest:guest@{host}:5672',
+  };
+  const COMPOSE_OPENSEARCH = {
+    image: 'opensearchproject/opensearch:2', ports: [9200], data: '/usr/share/opensearch/data',
+    environment: { 'discovery.type': 'single-node', DISABLE_SECURITY_PLUGIN: 'true', DISABLE_INSTALL_DEMO_CONFIG: 'true' },
+    env: 'URL', connection: 'http://{host}:9200',
+  };
+  const COMPOSE_MINIO = {
+    image: 'minio/minio', command: 'server /data --console-address :9001', ports: [9000, 9001], data: '/data',
+    environment: { MINIO_ROOT_USER: 'minio', MINIO_ROOT_PASSWORD: 'minio123' },
+    env: 'URL', connection: 'http://{host}:9000',
+  };
+
+  const COMPOSE_SERVICES = {
+    // Azure
+    'Microsoft.Sql/servers': COMPOSE_MSSQL,
+    'Microsoft.Sql/managedInstances': COMPOSE_MSSQL,
+    'Microsoft.DBforPostgreSQL/flexibleServers': COMPOSE_POSTGRES,
+    'Microsoft.DBforMySQL/flexibleServers': {
+      image: 'mysql:8.4', ports: [3306], data: '/var/lib/mysql',
+      environment: { MYSQL_ROOT_PASSWORD: 'mysql', MYSQL_DATABASE: '{db}' },
+      env: 'CONNECTION_STRING', connection: 'mysql://root:mysql@{host}:3306/{db}',
+    },
+    'Microsoft.DocumentDB/databaseAccounts': {
+      image: 'mcr.microsoft.com/cosmosdb/linux/azure-cosmos-emulator:latest', ports: [8081],
+      environment: { AZURE_COSMOS_EMULATOR_PARTITION_COUNT: '3' },
+      env: 'CONNECTION_STRING',
+      connection: 'AccountEndpoint=https://{host}:8081/;AccountKey=C2y6yDjf5/R+ob0N8A7Cgv30VRDJIWEHLM+4QDU5DE2nQ9nDuVTqobD4b8mGGyPMbIZnqyMsEcaGQy67XIw/Jw==',
+    },
+    'Microsoft.Cache/redis': COMPOSE_REDIS,
+    'Microsoft.Storage/storageAccounts': {
+      image: 'mcr.microsoft.com/azure-storage/azurite', ports: [10000, 10001, 10002], data: '/data',
+      command: 'azurite --blobHost 0.0.0.0 --queueHost 0.0.0.0 --tableHost 0.0.0.0 --location /data',
+      env: 'CONNECTION_STRING',
+      connection: 'DefaultEndpointsProtocol=http;AccountName=devstoreaccount1;' +
+        'AccountKey=Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==;' +
+        'BlobEndpoint=http://{host}:10000/devstoreaccount1;QueueEndpoint=http://{host}:10001/devstoreaccount1;' +
+        'TableEndpoint=http://{host}:10002/devstoreaccount1;',
+    },
+    'Microsoft.ServiceBus/namespaces': { ...COMPOSE_RABBITMQ, standIn: true },
+    'Microsoft.Search/searchServices': { ...COMPOSE_OPENSEARCH, standIn: true },
+    // Generic
+    database: COMPOSE_POSTGRES,
+    datawarehouse: COMPOSE_POSTGRES,
+    cache: COMPOSE_REDIS,
+    queue: COMPOSE_RABBITMQ,
+    pubsub: COMPOSE_RABBITMQ,
+    eventbus: COMPOSE_RABBITMQ,
+    search: COMPOSE_OPENSEARCH,
+    storage: COMPOSE_MINIO,
+    objectstorage: COMPOSE_MINIO,
+  };
+
+  /** Build services listen here; it is also what dependants are told */
+  const COMPOSE_APP_PORT = 8080;
+
+  /**
+   * docker-compose.yml for running the drawn architecture locally. Returns
+   * the text, or null when no component maps to a service.
+   */
+  function toCompose(manifest) {
+    const used = new Set();
+    const hostPorts = new Set();
+    const services = [];
+    const skipped = [];
+    const byComponent = new Map();
+
+    // Publish each container port on the same host port, or the next free one
+    const publish = (port) => {
+      let host = port;
+      while (hostPorts.has(host)) host++;
+      hostPorts.add(host);
+      return `${host}:${port}`;
+    };
+
+    for (const c of manifest.components || []) {
+      const spec = COMPOSE_SERVICES[c.azureResourceType] || COMPOSE_SERVICES[c.type];
+      const build = !spec && c.category === 'compute' && c.provider !== 'kubernetes' && c.type !== 'aks';
+      if (!spec && !build) {
+        if (c.category !== 'primitive' && c.category !== 'client') skipped.push(c);
+        continue;
+      }
+      const name = _dnsName(c.label, build ? 'app' : 'service', used);
+      const db = name.replace(/-/g, '_');
+      const fill = v => v.replace(/\{host\}/g, name).replace(/\{db\}/g, db);
+      const service = { c, name, spec: spec || null, dependsOn: new Set(), environment: {} };
+      if (build) {
+        service.body = { build: `./services/${name}`, ports: [publish(COMPOSE_APP_PORT)] };
+        service.environment.PORT = String(COMPOSE_APP_PORT);
+        service.connection = `http://${name}:${COMPOSE_APP_PORT}`;
+        service.env = 'URL';
+      } else {
+        service.body = { image: spec.image };
+        if (spec.command) service.body.command = spec.command;
+        service.body.ports = spec.ports.map(publish);
+        for (const [key, value] of Object.entries(spec.environment || {})) service.environment[key] = fill(value);
+        if (spec.data) service.body.volumes = [`${name}-data:${spec.data}`];
+        service.connection = fill(spec.connection);
+        service.env = spec.env;
+      }
+      services.push(service);
+      byComponent.set(c.id, service);
+    }
+    if (services.length === 0) return null;
+
+    // Arrows: the app end uses the other end, whichever way the arrow
+    // points. Between two apps the arrow's source is the one that depends.
+    for (const conn of manifest.connections || []) {
+      if (conn.type === 'freehand') continue;
+      let from = byComponent.get(conn.from), to = byComponent.get(conn.to);
+      if (!from || !to || from === to || (from.spec && to.spec)) continue;
+      if (from.spec) [from, to] = [to, from];
+      const envName = to.c.label.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+      from.environment[`${envName}_${to.env}`] = to.connection;
+      _dependOn(from, to);
+    }
+
+    const doc = { services: {} };
+    const volumes = {};
+    for (const s of services) {
+      const body = { ...s.body };
+      if (Object.keys(s.environment).length > 0) body.environment = s.environment;
+      if (s.dependsOn.size > 0) body.depends_on = [...s.dependsOn].map(d => d.name);
+      doc.services[s.name] = body;
+      for (const v of body.volumes || []) volumes[v.split(':')[0]] = {};
+    }
+    if (Object.keys(volumes).length > 0) doc.volumes = volumes;
+
+    const header = [
+      `# Generated by SystemDraw on ${new Date().toISOString().slice(0, 10)}.`,
+      '# Local development stack: each build service expects a Dockerfile in ./services/<name>.',
+    ];
+    const standIns = services.filter(s => s.spec && s.spec.standIn);
+    if (standIns.length > 0) {
+      header.push(`# Local stand-ins: ${standIns.map(s => `${s.c.label} (${s.c.service}) → ${s.spec.image}`).join(', ')}`);
+    }
+    if (skipped.length > 0) header.push(`# Not included: ${skipped.map(c => `${c.label} (${c.service})`).join(', ')}`);
+    return header.join('\n') + '\n' + _yamlLines(doc).join('\n') + '\n';
+  }
+
+  return { toBicep, toArmTemplate, toTerraform, toKubernetes, toCompose };
+})();
+
+// The MCP server loads this file too (mcp-server/src/index.js)
+if (typeof module === 'object' && module.exports) module.exports = IaC;
@@ -0,0 +1,1233 @@
+// ============================================================
+// import.js — Diagrams from other tools
+// ============================================================
+//
+// Each importer turns foreign source text — or an architecture manifest
+// exported for the MCP server — into SystemDraw shapes.
+// readFile() picks the importer from the file name (and content, for
+// Markdown) and is what the Load button uses.
+
+const Import = (() => {
+  // === Mermaid flowcharts ===
+
+  // Node brackets, longest openers first: [open, closers, type, extra props]
+  const MERMAID_BRACKETS = [
+    ['(((', [')))'], 'ellipse'],
+    ['([', ['])'], 'rectangle', { edgeStyle: 'round' }],
+    ['[[', [']]'], 'rectangle'],
+    ['[(', [')]'], 'database'],
+    ['((', ['))'], 'ellipse'],
+    ['{{', ['}}'], 'rectangle'],
+    ['[/', ['/]', '\\]'], 'rectangle'],
+    ['[\\', ['\\]', '/]'], 'rectangle'],
+    ['(', [')'], 'rectangle', { edgeStyle: 'round' }],
+    ['[', [']'], 'rectangle'],
+    ['{', ['}'], 'diamond'],
+    ['>', [']'], 'rectangle'],
+  ];
+
+  const MERMAID_SKIP = /^(classDef|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+  const MERMAID_ID = /[\p{L}\p{N}_]+/uy;
+  const MERMAID_TEXT_LINK = /([<ox]?)(--|==|-\.)\s*([^\s>|=.-][^]*?)\s*(-{2,}|={2,}|\.+-)([>ox]?)/y;
+  const MERMAID_LINK = /([<ox]?)(-{2,}|={2,}|-\.+-|~{3,})([>ox]?)\s*(?:\|([^|]*)\|)?/y;
+
+  const RANK_GAP = 90;    // between layers
+  const NODE_GAP = 50;    // between neighbours in a layer
+  const GROUP_GAP = 40;   // extra space where a subgraph starts or ends
+  const ZONE_PAD = 24;
+  const ZONE_HEADER = 28;
+  const ORIGIN = 80;
+
+  /** Split a line into statements at `;` outside labels */
+  function _statements(line) {
+    const out = [];
+    let depth = 0, quoted = false, start = 0;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (c === '"') quoted = !quoted;
+      else if (quoted) continue;
+      else if ('([{'.includes(c)) depth++;
+      else if (')]}'.includes(c)) depth = Math.max(0, depth - 1);
+      else if (c === ';' && depth === 0) {
+        out.push(line.slice(start, i));
+        start = i + 1;
+      }
+    }
+    out.push(line.slice(start));
+    return out.map(st => st.trim()).filter(Boolean);
+  }
+
+  /** Label text: strip quotes and Markdown backticks, decode entities */
+  function _mermaidLabel(text) {
+    let t = text.trim();
+    if (t.length >= 2 && t[0] === '"' && t[t.length - 1] === '"') t = t.slice(1, -1);
+    if (t.length >= 2 && t[0] === '`' && t[t.length - 1] === '`') t = t.slice(1, -1);
+    return t
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/#quot;/g, '"')
+      .replace(/#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+      .trim();
+  }
+
+  /**
+   * Parse Mermaid flowchart source into
+   * { direction, nodes: Map id → { id, label, type, props, classes, subgraph },
+   *   edges: [{ from, to, label, directed, dash, thick }],
+   *   subgraphs: Map id → { id, label, parent, classes } }.
+   * Throws if the text is not a flowchart.
+   */
+  function parseMermaid(text) {
+    const graph = { direction: 'TB', nodes: new Map(), edges: [], subgraphs: new Map() };
+    const stack = [];
+    let header = false;
+    let autoId = 0;
+
+    const statements = [];
+    for (const line of text.replace(/%%.*$/gm, '').split('\n')) statements.push(..._statements(line));
+
+    const touch = (id) => {
+      let node = graph.nodes.get(id);
+      if (!node) {
+        node = { id, label: id, type: 'rectangle', props: {}, classes: [], subgraph: null };
+        graph.nodes.set(id, node);
+      }
+      if (!node.subgraph && stack.length > 0) node.subgraph = stack[stack.length - 1];
+      return node;
+    };
+
+    for (const st of statements) {
+      if (!header) {
+        const m = /^(flowchart|graph)\b\s*(TB|TD|BT|RL|LR)?/i.exec(st);
+        if (!m) throw new Error('Only Mermaid flowcharts (graph / flowchart) can be imported');
+        graph.direction = (m[2] || 'TB').toUpperCase().replace('TD', 'TB');
+        header = true;
+        continue;
+      }
+
+      const sub = /^subgraph\b\s*(.*)$/.exec(st);
+      if (sub) {
+        const rest = sub[1].trim();
+        let id, label;
+        const named = /^([\p{L}\p{N}_-]+)\s*\[(.*)\]$/u.exec(rest);
+        if (named) { id = named[1]; label = _mermaidLabel(named[2]); }
+        else if (/^[\p{L}\p{N}_-]+$/u.test(rest)) { id = rest; label = rest; }
+        else { id = `subgraph_${++autoId}`; label = _mermaidLabel(rest) || id; }
+        graph.subgraphs.set(id, { id, label, parent: stack[stack.length - 1] || null, classes: [] });
+        stack.push(id);
+        continue;
+      }
+      if (st === 'end') {
+        stack.pop();
+        continue;
+      }
+      if (MERMAID_SKIP.test(st)) continue;
+
+      const cls = /^class\s+(.+?)\s+([\w-]+)$/.exec(st);
+      if (cls) {
+        for (const id of cls[1].split(',').map(x => x.trim())) {
+          const target = graph.subgraphs.get(id) || touch(id);
+          target.classes.push(cls[2]);
+        }
+        continue;
+      }
+
+      _parseChain(st, graph, touch);
+    }
+    if (!header) throw new Error('Only Mermaid flowcharts (graph / flowchart) can be imported');
+    // Edges and class statements may name subgraphs; those are not nodes
+    for (const id of graph.subgraphs.keys()) graph.nodes.delete(id);
+    return graph;
+  }
+
+  /** Parse `A[x] & B --> C -- label --> D` into nodes and edges */
+  function _parseChain(st, graph, touch) {
+    let pos = 0;
+    const skipSpace = () => { while (pos < st.length && /\s/.test(st[pos])) pos++; };
+
+    const nodeRef = () => {
+      skipSpace();
+      MERMAID_ID.lastIndex = pos;
+      const m = MERMAID_ID.exec(st);
+      if (!m) return null;
+      pos = MERMAID_ID.lastIndex;
+      const node = touch(m[0]);
+      for (const [open, closers, type, props] of MERMAID_BRACKETS) {
+        if (!st.startsWith(open, pos)) continue;
+        const from = pos + open.length;
+        let end = -1, closer = null;
+        if (st[from] === '"') {
+          const q = st.indexOf('"', from + 1);
+          if (q >= 0) {
+            const after = st.slice(q + 1).search(/\S/);
+            const at = after >= 0 ? q + 1 + after : -1;
+            closer = at >= 0 ? closers.find(c => st.startsWith(c, at)) : null;
+            if (closer) end = at;
+          }
+        }
+        if (end < 0) {
+          for (const c of closers) {
+            const i = st.indexOf(c, from);
+            if (i >= 0 && (end < 0 || i < end)) { end = i; closer = c; }
+          }
+        }
+        if (end < 0) continue;
+        node.label = _mermaidLabel(st.slice(from, end)) || node.id;
+        node.type = type;
+        node.props = props || {};
+        pos = end + closer.length;
+        break;
+      }
+      if (st.startsWith(':::', pos)) {
+        const c = /:::([\w-]+)/y;
+        c.lastIndex = pos;
+        const m2 = c.exec(st);
+        if (m2) {
+          node.classes.push(m2[1]);
+          pos = c.lastIndex;
+        }
+      }
+      return node.id;
+    };
+
+    const group = () => {
+      const ids = [];
+      for (;;) {
+        const id = nodeRef();
+        if (!id) return ids.length ? ids : null;
+        ids.push(id);
+        skipSpace();
+        if (st[pos] !== '&') return ids;
+        pos++;
+      }
+    };
+
+    const link = () => {
+      skipSpace();
+      let m;
+      MERMAID_TEXT_LINK.lastIndex = pos;
+      if ((m = MERMAID_TEXT_LINK.exec(st))) {
+        pos = MERMAID_TEXT_LINK.lastIndex;
+        return _linkInfo(m[2], m[5], m[1], m[3]);
+      }
+      MERMAID_LINK.lastIndex = pos;
+      if ((m = MERMAID_LINK.exec(st))) {
+        pos = MERMAID_LINK.lastIndex;
+        return _linkInfo(m[2], m[3], m[1], m[4]);
+      }
+      return null;
+    };
+
+    let prev = group();
+    while (prev && pos < st.length) {
+      const l = link();
+      if (!l) break;
+      const next = group();
+      if (!next) break;
+      if (!l.hidden) {
+        for (const from of prev) {
+          for (const to of next) graph.edges.push({ from, to, ...l });
+        }
+      }
+      prev = next;
+    }
+  }
+
+  function _linkInfo(body, head, tail, label) {
+    return {
+      hidden: body[0] === '~',
+      directed: !!head || !!tail,
+      dash: body.includes('.'),
+      thick: body[0] === '=',
+      label: label ? _mermaidLabel(label) : '',
+    };
+  }
+
+  // === Layered layout ===
+
+  /** Layer index per node: longest path from a source, ignoring back edges */
+  function _ranks(ids, edges) {
+    const out = new Map(ids.map(id => [id, []]));
+    for (const e of edges) {
+      if (e.from !== e.to) out.get(e.from).push(e.to);
+    }
+    // Depth-first post-order; edges into a node still on the stack close a
+    // cycle and are left out of the ranking
+    const state = new Map();
+    const order = [];
+    for (const root of ids) {
+      if (state.has(root)) continue;
+      const stack = [[root, 0]];
+      state.set(root, 1);
+      while (stack.length > 0) {
+        const top = stack[stack.length - 1];
+        const next = out.get(top[0])[top[1]++];
+        if (next === undefined) {
+          state.set(top[0], 2);
+          order.push(top[0]);
+          stack.pop();
+        } else if (!state.has(next)) {
+          state.set(next, 1);
+          stack.push([next, 0]);
+        }
+      }
+    }
+    const index = new Map(order.map((id, i) => [id, i]));
+    const rank = new Map(ids.map(id => [id, 0]));
+    for (const id of order.reverse()) {
+      for (const next of out.get(id)) {
+        // Forward edges point to nodes that finish earlier
+        if (index.get(next) < index.get(id)) rank.set(next, Math.max(rank.get(next), rank.get(id) + 1));
+      }
+    }
+    return rank;
+  }
+
+  function _nodeSize(node) {
+    const lines = node.label.split('\n');
+    const longest = Math.max(...lines.map(l => l.length));
+    let w = Math.min(260, Math.max(120, longest * 8 + 40));
+    let h = Math.max(60, lines.length * 22 + 30);
+    if (node.type === 'ellipse') { w += 20; h += 20; }
+    if (node.type === 'diamond') { w = Math.round(w * 1.4); h = Math.round(h * 1.5); }
+    if (node.type === 'database') h += 20;
+    return { w, h };
+  }
+
+  /**
+   * Place nodes in layers along the flow direction, ordering each layer by
+   * the average position of its neighbours (a few sweeps) with members of a
+   * subgraph kept side by side. Returns id → { x, y, w, h }.
+   */
+  function _layout(graph) {
+    const ids = [...graph.nodes.keys()];
+    const rank = _ranks(ids, graph.edges);
+    const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+    const size = new Map(ids.map(id => [id, _nodeSize(graph.nodes.get(id))]));
+
+    const layers = [];
+    for (const id of ids) {
+      const r = rank.get(id);
+      (layers[r] = layers[r] || []).push(id);
+    }
+    const pos = new Map();
+    const index = () => layers.forEach(layer => layer.forEach((id, i) => pos.set(id, i)));
+    index();
+
+    const preds = new Map(ids.map(id => [id, []]));
+    const succs = new Map(ids.map(id => [id, []]));
+    for (const e of graph.edges) {
+      if (e.from === e.to) continue;
+      succs.get(e.from).push(e.to);
+      preds.get(e.to).push(e.from);
+    }
+
+    const sortLayer = (layer, neighbours) => {
+      const bary = new Map(layer.map(id => {
+        const ns = neighbours.get(id);
+        return [id, ns.length ? ns.reduce((t, n) => t + pos.get(n), 0) / ns.length : pos.get(id)];
+      }));
+      // Subgraph members stay together, placed where their first member sorts
+      const groupKey = id => graph.nodes.get(id).subgraph || id;
+      const groupBary = new Map();
+      for (const id of layer) {
+        const k = groupKey(id);
+        groupBary.set(k, Math.min(groupBary.has(k) ? groupBary.get(k) : Infinity, bary.get(id)));
+      }
+      layer.sort((a, b) => (groupBary.get(groupKey(a)) - groupBary.get(groupKey(b))) ||
+        (groupKey(a) < groupKey(b) ? -1 : groupKey(a) > groupKey(b) ? 1 : 0) ||
+        (bary.get(a) - bary.get(b)));
+    };
+    for (let sweep = 0; sweep < 4; sweep++) {
+      const down = sweep % 2 === 0;
+      const order = down ? layers : [...layers].reverse();
+      for (const layer of order) {
+        if (!layer) continue;
+        sortLayer(layer, down ? preds : succs);
+        layer.forEach((id, i) => pos.set(id, i));
+      }
+    }
+
+    // Cross axis: each subgraph gets a band of its own, wide enough for its
+    // members in every layer, so no zone can cover a node it does not hold.
+    // A subgraph's direct members sit either side of its child subgraphs.
+    const crossSize = id => (horizontal ? size.get(id).h : size.get(id).w);
+    const run = list => list.reduce((t, id) => t + crossSize(id), 0) + NODE_GAP * Math.max(0, list.length - 1);
+    const within = (id, sgId) => {
+      for (let s = graph.nodes.get(id).subgraph; s; s = graph.subgraphs.get(s).parent) {
+        if (s === sgId) return true;
+      }
+      return sgId === null;
+    };
+    const band = (sgId) => {
+      const kids = [...graph.subgraphs.values()]
+        .filter(sg => sg.parent === sgId && ids.some(id => within(id, sg.id)))
+        .map(sg => band(sg.id));
+      const first = kid => Math.min(...ids.filter(id => within(id, kid.sgId)).map(id => rank.get(id) * 1e6 + pos.get(id)));
+      kids.sort((a, b) => first(a) - first(b));
+      const left = [], right = [];
+      for (const layer of layers) {
+        const own = (layer || []).filter(id => graph.nodes.get(id).subgraph === sgId);
+        const split = kids.length === 0 ? own.length
+          : (() => {
+            const k = layer.findIndex(id => graph.nodes.get(id).subgraph !== sgId && within(id, sgId));
+            return k < 0 ? Math.ceil(own.length / 2) : own.filter(id => layer.indexOf(id) < k).length;
+          })();
+        left.push(own.slice(0, split));
+        right.push(own.slice(split));
+      }
+      const leftW = Math.max(0, ...left.map(run));
+      const rightW = Math.max(0, ...right.map(run));
+      const kidsW = kids.reduce((t, k) => t + k.width, 0) + GROUP_GAP * Math.max(0, kids.length - 1);
+      const pad = sgId ? ZONE_PAD : 0;
+      const width = kids.length === 0 ? leftW
+        : leftW + (leftW ? GROUP_GAP : 0) + kidsW + (rightW ? GROUP_GAP : 0) + rightW;
+      return { sgId, kids, left, right, leftW, kidsW, width: width + 2 * pad, pad };
+    };
+    const cross = new Map();
+    const place = (b, start) => {
+      const inner = start + b.pad;
+      const lay = (list, from) => list.forEach(id => { cross.set(id, from); from += crossSize(id) + NODE_GAP; });
+      if (b.kids.length === 0) {
+        b.left.forEach(list => lay(list, inner + (b.leftW - run(list)) / 2));
+        return;
+      }
+      b.left.forEach(list => lay(list, inner + b.leftW - run(list)));
+      let at = inner + b.leftW + (b.leftW ? GROUP_GAP : 0);
+      for (const kid of b.kids) {
+        place(kid, at);
+        at += kid.width + GROUP_GAP;
+      }
+      b.right.forEach(list => lay(list, at));
+    };
+    place(band(null), 0);
+
+    // Main axis: one step per layer, with room for nested zone headers
+    const boxes = new Map();
+    const rankGap = RANK_GAP + (ZONE_PAD + ZONE_HEADER) * Math.max(0, _depth(graph) - 1);
+    let main = 0;
+    for (const layer of layers) {
+      if (!layer) continue;
+      const depth = Math.max(...layer.map(id => (horizontal ? size.get(id).w : size.get(id).h)));
+      for (const id of layer) {
+        const s = size.get(id);
+        const along = main + (depth - (horizontal ? s.w : s.h)) / 2;
+        boxes.set(id, horizontal
+          ? { x: along, y: cross.get(id), w: s.w, h: s.h }
+          : { x: cross.get(id), y: along, w: s.w, h: s.h });
+      }
+      main += depth + rankGap;
+    }
+
+    // Flip for bottom-to-top / right-to-left, then move into view
+    if (graph.direction === 'BT' || graph.direction === 'RL') {
+      for (const b of boxes.values()) {
+        if (horizontal) b.x = -b.x - b.w;
+        else b.y = -b.y - b.h;
+      }
+    }
+    const all = [...boxes.values()];
+    const minX = Math.min(...all.map(b => b.x));
+    const minY = Math.min(...all.map(b => b.y));
+    // Room for the headers of enclosing subgraphs
+    const inset = ORIGIN + (ZONE_PAD + ZONE_HEADER) * _depth(graph);
+    for (const b of all) {
+      b.x = Math.round(b.x - minX + inset);
+      b.y = Math.round(b.y - minY + inset);
+    }
+    return boxes;
+  }
+
+  /** Deepest subgraph nesting */
+  function _depth(graph) {
+    let max = 0;
+    for (let sg of graph.subgraphs.values()) {
+      let d = 1;
+      while (sg.parent) { sg = graph.subgraphs.get(sg.parent); d++; }
+      max = Math.max(max, d);
+    }
+    return max;
+  }
+
+  /**
+   * Zone bounds around the laid-out members of each subgraph, innermost
+   * first so each zone can wrap its child zones. Subgraphs with nothing in
+   * them are left out. Returns id → { x, y, w, h }.
+   */
+  function _zoneBoxes(graph, boxes) {
+    const zoneBoxes = new Map();
+    const level = sg => (sg.parent ? 1 + level(graph.subgraphs.get(sg.parent)) : 0);
+    const subgraphs = [...graph.subgraphs.values()].sort((a, b) => level(b) - level(a));
+    for (const sg of subgraphs) {
+      const inner = [
+        ...[...graph.nodes.values()].filter(n => n.subgraph === sg.id).map(n => boxes.get(n.id)),
+        ...subgraphs.filter(c => c.parent === sg.id && zoneBoxes.has(c.id)).map(c => zoneBoxes.get(c.id)),
+      ];
+      if (inner.length === 0) continue;
+      const x = Math.min(...inner.map(b => b.x)) - ZONE_PAD;
+      const y = Math.min(...inner.map(b => b.y)) - ZONE_PAD - ZONE_HEADER;
+      const r = Math.max(...inner.map(b => b.x + b.w)) + ZONE_PAD;
+      const btm = Math.max(...inner.map(b => b.y + b.h)) + ZONE_PAD;
+      zoneBoxes.set(sg.id, { x, y, w: r - x, h: btm - y });
+    }
+    return zoneBoxes;
+  }
+
+  /**
+   * Build shapes from Mermaid flowchart source: nodes laid out in layers,
+   * subgraphs as zones around their members, edges as bound connectors.
+   * A class naming a SystemDraw type (`class db azuresql`, `db:::azuresql`)
+   * picks that shape type. Throws on text that is not a flowchart.
+   */
+  function fromMermaid(text) {
+    const graph = parseMermaid(text);
+    if (graph.nodes.size === 0) throw new Error('The flowchart has no nodes');
+    const boxes = _layout(graph);
+    const shapeIds = new Map();
+
+    const nodes = [];
+    for (const node of graph.nodes.values()) {
+      const b = boxes.get(node.id);
+      const type = node.classes.find(c => ShapeRegistry.isBox(c)) || node.type;
+      const shape = Shapes.create(type, {
+        ...ShapeRegistry.getDefaults(type),
+        ...node.props,
+        x: b.x, y: b.y, width: b.w, height: b.h,
+        text: node.label,
+      });
+      // Plain shapes read best with the label in the middle
+      if (ShapeRegistry.getMeta(type).category === 'primitive') shape.textVAlign = 'middle';
+      shapeIds.set(node.id, shape.id);
+      nodes.push(shape);
+    }
+
+    const zoneBoxes = _zoneBoxes(graph, boxes);
+    const zones = [...zoneBoxes.keys()].reverse().map((id) => {
+      const sg = graph.subgraphs.get(id);
+      const b = zoneBoxes.get(id);
+      const type = sg.classes.find(c => ShapeRegistry.isZone(c)) || 'region';
+      return Shapes.create(type, {
+        ...ShapeRegistry.getDefaults(type),
+        x: b.x, y: b.y, width: b.w, height: b.h,
+        text: sg.label,
+      });
+    });
+
+    const byId = new Map(nodes.map(s => [s.id, s]));
+    const centre = (s) => ({ x: s.x + s.width / 2, y: s.y + s.height / 2 });
+    const connectors = [];
+    for (const e of graph.edges) {
+      const from = byId.get(shapeIds.get(e.from));
+      const to = byId.get(shapeIds.get(e.to));
+      if (!from || !to) continue; // edges to subgraphs have nothing to bind to
+      const a = centre(from), b = centre(to);
+      // A self-loop leaves and re-enters the top edge
+      const out = from === to ? -Math.PI / 2 - 0.5 : Math.atan2(b.y - a.y, b.x - a.x);
+      const back = from === to ? -Math.PI / 2 + 0.5 : Math.atan2(a.y - b.y, a.x - b.x);
+      const type = e.directed ? 'arrow' : 'line';
+      connectors.push(Shapes.create(type, {
+        points: [{ ...a }, { ...b }],
+        arrowHead: e.directed,
+        strokeDash: e.dash ? 'dashed' : 'solid',
+        strokeWidth: e.thick ? 4 : 2,
+        text: e.label,
+        startBinding: { shapeId: from.id, angle: out },
+        endBinding: { shapeId: to.id, angle: back },
+      }));
+    }
+
+    const shapes = [...zones, ...nodes, ...connectors];
+    Zones.assignParents(shapes);
+    Connectors.resolveAllBindings(shapes);
+    return shapes;
+  }
+
+  /** The first Mermaid flowchart in a Markdown document, or null */
+  function mermaidFromMarkdown(text) {
+    const re = /```mermaid[^\n]*\n([\s\S]*?)```/g;
+    let m;
+    while ((m = re.exec(text))) {
+      if (/^\s*(%%.*\n\s*)*(flowchart|graph)\b/i.test(m[1])) return m[1];
+    }
+    return null;
+  }
+
+  // === draw.io / diagrams.net ===
+
+  // Azure stencils by normalised name (see _stencilKey): icon files such as
+  // img/lib/azure2/databases/SQL_Database.svg or img/lib/mscae/Kubernetes_Services.svg,
+  // and the older mxgraph.azure.* shapes
+  const DRAWIO_AZURE = {
+    storageaccounts: 'blobstorage', blobblock: 'blobstorage', storageblob: 'blobstorage', blobstorage: 'blobstorage',
+    storageazurefiles: 'filestorage', azurefileshares: 'filestorage', storagequeue: 'queuestorage', queues: 'queuestorage',
+    tablestorage: 'tablestorage', storagetable: 'tablestorage', datalakestoragegen1: 'datalake', datalakestore: 'datalake',
+    disks: 'manageddisks', manageddisks: 'manageddisks',
+    sqldatabase: 'azuresql', sqldatabases: 'azuresql', sqlserver: 'azuresql', sqlservers: 'azuresql', azuresql: 'azuresql',
+    azurecosmosdb: 'cosmosdb', cosmosdb: 'cosmosdb', documentdb: 'cosmosdb',
+    azuredatabasemysqlserver: 'azuremysql', databasemysqlserver: 'azuremysql', mysqldatabase: 'azuremysql',
+    azuredatabasepostgresqlserver: 'azurepostgres', databasepostgresqlserver: 'azurepostgres', postgresqldatabase: 'azurepostgres',
+    sqlmanagedinstance: 'sqlmanaged', cacheredis: 'rediscache', rediscache: 'rediscache', cache: 'rediscache',
+    datafactory: 'datafactory', datafactories: 'datafactory', azuresynapseanalytics: 'synapse', synapseanalytics: 'synapse',
+    virtualmachine: 'azurevm', virtualmachines: 'azurevm', vm: 'azurevm',
+    appservices: 'appservice', appservice: 'appservice', appserviceplans: 'appservice', azurewebsite: 'appservice', websitegeneric: 'appservice', webapp: 'appservice',
+    functionapps: 'azurefunc', functionapp: 'azurefunc', azurefunctions: 'azurefunc', functions: 'azurefunc',
+    kubernetesservices: 'aks', kubernetesservice: 'aks', azurekubernetesservice: 'aks', aks: 'aks',
+    containerinstances: 'aci', azurespringcloud: 'springapps', azurespringapps: 'springapps',
+    virtualnetworks: 'vnet', virtualnetwork: 'vnet',
+    loadbalancers: 'azurelb', loadbalancer: 'azurelb', loadbalancergeneric: 'azurelb',
+    applicationgateways: 'appgateway', applicationgateway: 'appgateway',
+    expressroutecircuits: 'expressroute', expressroute: 'expressroute',
+    firewalls: 'azurefirewall', azurefirewall: 'azurefirewall',
+    frontdoors: 'frontdoor', frontdoorandcdnprofiles: 'frontdoor', frontdoor: 'frontdoor',
+    dnszones: 'azuredns', dns: 'azuredns', bastions: 'bastion', bastion: 'bastion',
+    apimanagementservices: 'apim', apimanagement: 'apim',
+    servicebus: 'servicebus', servicebusnamespaces: 'servicebus',
+    eventgridtopics: 'eventgrid', eventgriddomains: 'eventgrid', eventgridsubscriptions: 'eventgrid', eventgrid: 'eventgrid',
+    eventhubs: 'eventhubs', eventhub: 'eventhubs', logicapps: 'logicapps', logicapp: 'logicapps', appconfiguration: 'appconfig',
+    keyvaults: 'keyvault', keyvault: 'keyvault', azuresentinel: 'sentinel', sentinel: 'sentinel',
+    securitycenter: 'defender', microsoftdefenderforcloud: 'defender',
+    azureactivedirectory: 'entraid', activedirectory: 'entraid', microsoftentraid: 'entraid', entraid: 'entraid',
+    managedidentities: 'managedid', managedidentity: 'managedid',
+    azuredevops: 'azuredevops', devops: 'azuredevops', applicationinsights: 'appinsights', appinsights: 'appinsights',
+    loganalyticsworkspaces: 'loganalytics', loganalytics: 'loganalytics', monitor: 'azuremonitor', azuremonitor: 'azuremonitor',
+    azureloadtesting: 'loadtest', loadtesting: 'loadtest',
+    azureopenai: 'openai', openai: 'openai', cognitiveservices: 'cogservices', machinelearning: 'azureml',
+    machinelearningstudioworkspaces: 'azureml', botservices: 'botservice', botservice: 'botservice',
+    cognitivesearch: 'aisearch', searchservices: 'aisearch', aistudio: 'aistudio',
+    iothub: 'iothub', iotcentralapplications: 'iotcentral', digitaltwins: 'digitaltwins', iotedge: 'iotedge',
+    azuredatabricks: 'databricks', databricks: 'databricks', hdinsightclusters: 'hdinsight',
+    azuredataexplorerclusters: 'dataexplorer', powerbiembedded: 'powerbi', powerbi: 'powerbi',
+  };
+
+  // Generic draw.io shapes (first style token or `shape=`) with a match here
+  const DRAWIO_SHAPES = {
+    ellipse: 'ellipse', doubleellipse: 'ellipse', 'mxgraph.flowchart.start_1': 'ellipse',
+    rhombus: 'diamond', 'mxgraph.flowchart.decision': 'diamond',
+    cylinder: 'database', cylinder3: 'database', datastore: 'database', 'mxgraph.flowchart.database': 'database',
+    cloud: 'cloud', umlactor: 'user', actor: 'user', text: 'text',
+  };
+
+  // Containers become zones; the label picks the kind
+  const DRAWIO_ZONES = [
+    [/\bsubnet\b/i, 'subnet'],
+    [/\bv-?net\b|virtual network|\bvpc\b/i, 'vpc'],
+    [/resource group|^rg-/i, 'resourcegroup'],
+    [/namespace/i, 'namespace'],
+  ];
+
+  /** `key=value;...` style string → Map; bare tokens map to '' */
+  function _drawioStyle(style) {
+    const out = new Map();
+    for (const part of (style || '').split(';')) {
+      if (!part) continue;
+      const eq = part.indexOf('=');
+      if (eq < 0) out.set(part, '');
+      else out.set(part.slice(0, eq), part.slice(eq + 1));
+    }
+    return out;
+  }
+
+  /** SQL_Database.svg / 10130-icon-service-SQL-Database.svg / mxgraph.azure.sql_database → sqldatabase */
+  function _stencilKey(name) {
+    return name.split('/').pop().split('.').filter(p => p !== 'svg').pop()
+      .replace(/^\d+-icon-service-/i, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /** "SQL_Database.svg" → "SQL Database", for stencils we have no type for */
+  function _stencilLabel(name) {
+    return name.split('/').pop().replace(/\.svg$/i, '').split('.').pop()
+      .replace(/^\d+-icon-service-/i, '')
+      .replace(/[_-]+/g, ' ')
+      .trim();
+  }
+
+  /** SystemDraw type for a vertex style, or null for a plain rectangle */
+  function _drawioType(style) {
+    const icon = style.get('prIcon');
+    if (icon && ShapeRegistry.isBox('k8s' + icon)) return 'k8s' + icon;
+    const stencil = style.get('image') || style.get('shape') || '';
+    if (/azure|mscae/i.test(stencil)) {
+      const type = DRAWIO_AZURE[_stencilKey(stencil)];
+      if (type && ShapeRegistry.isBox(type)) return type;
+    }
+    for (const key of [style.get('shape'), [...style.keys()][0]]) {
+      if (key && DRAWIO_SHAPES[key.toLowerCase()]) return DRAWIO_SHAPES[key.toLowerCase()];
+    }
+    return null;
+  }
+
+  /** Plain text of a label that may hold draw.io's HTML */
+  function _drawioText(value, html) {
+    if (!value) return '';
+    if (!html) return value.trim();
+    const marked = value
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li|h\d)>/gi, '\n');
+    // DOMParser documents run no scripts and load no images
+    const doc = new DOMParser().parseFromString(marked, 'text/html');
+    return doc.body.textContent.replace(/\u00a0/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /** Shape styling shared by vertices and edges */
+  function _drawioProps(style) {
+    const props = {};
+    const fill = style.get('fillColor');
+    if (fill && fill !== 'none') {
+      props.fillColor = fill;
+      props.shapeFillStyle = 'solid';
+    }
+    const stroke = style.get('strokeColor');
+    if (stroke === 'none') props.strokeEnabled = false;
+    else if (stroke && stroke !== 'default') props.strokeColor = stroke;
+    if (style.has('strokeWidth')) props.strokeWidth = Number(style.get('strokeWidth')) || 1;
+    if (style.get('dashed') === '1') {
+      props.strokeDash = /^1 [1-3]$/.test(style.get('dashPattern') || '') ? 'dotted' : 'dashed';
+    }
+    if (style.has('opacity')) props.opacity = Math.min(1, Math.max(0, Number(style.get('opacity')) / 100));
+    if (style.has('fontSize')) props.fontSize = Number(style.get('fontSize')) || 16;
+    if (style.get('rounded') === '1') props.edgeStyle = 'round';
+    return props;
+  }
+
+  /** Decode a compressed page: base64 → raw deflate → URI-encoded XML */
+  function _inflate(data) {
+    const bytes = Uint8Array.from(atob(data.replace(/\s+/g, '')), c => c.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text().then(decodeURIComponent);
+  }
+
+  function _parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('The file is not valid XML');
+    return doc.documentElement;
+  }
+
+  /** Resolves with the <mxGraphModel> of the first page */
+  function _drawioModel(text) {
+    const root = _parseXml(text);
+    if (root.tagName === 'mxGraphModel') return Promise.resolve(root);
+    const page = root.tagName === 'mxfile' && root.getElementsByTagName('diagram')[0];
+    if (!page) throw new Error('No draw.io diagram found in this file');
+    const model = page.getElementsByTagName('mxGraphModel')[0];
+    if (model) return Promise.resolve(model);
+    return Promise.resolve(page.textContent.trim()).then(_inflate)
+      .catch(() => { throw new Error('Could not decompress the draw.io diagram'); })
+      .then(xml => _parseXml(xml));
+  }
+
+  /**
+   * Read the cells of a model into
+   * Map id → { id, parent, value, style, vertex, edge, source, target, geometry }.
+   * Ids and labels of cells wrapped in <UserObject>/<object> come from the wrapper.
+   */
+  function _drawioCells(model) {
+    const cells = new Map();
+    for (const el of model.getElementsByTagName('mxCell')) {
+      const wrapper = /^(UserObject|object)$/.test(el.parentNode.tagName) ? el.parentNode : null;
+      const geo = [...el.children].find(c => c.tagName === 'mxGeometry');
+      const num = (node, attr) => Number(node && node.getAttribute(attr)) || 0;
+      const point = (as) => {
+        const p = geo && [...geo.children].find(c => c.tagName === 'mxPoint' && c.getAttribute('as') === as);
+        return p ? { x: num(p, 'x'), y: num(p, 'y') } : null;
+      };
+      const array = geo && [...geo.children].find(c => c.tagName === 'Array' && c.getAttribute('as') === 'points');
+      const id = (wrapper || el).getAttribute('id');
+      const style = _drawioStyle(el.getAttribute('style'));
+      cells.set(id, {
+        id,
+        parent: el.getAttribute('parent'),
+        value: _drawioText(wrapper ? wrapper.getAttribute('label') : el.getAttribute('value'), style.get('html') === '1'),
+        style,
+        vertex: el.getAttribute('vertex') === '1',
+        edge: el.getAttribute('edge') === '1',
+        source: el.getAttribute('source'),
+        target: el.getAttribute('target'),
+        geometry: {
+          x: num(geo, 'x'), y: num(geo, 'y'), w: num(geo, 'width'), h: num(geo, 'height'),
+          sourcePoint: point('sourcePoint'),
+          targetPoint: point('targetPoint'),
+          points: array ? [...array.children].map(p => ({ x: num(p, 'x'), y: num(p, 'y') })) : [],
+        },
+      });
+    }
+    return cells;
+  }
+
+  /** Binding angle (local to the shape) for an edge leaving through exitX/exitY or towards `toward` */
+  function _drawioAngle(shape, style, prefix, toward) {
+    const cx = shape.x + shape.width / 2, cy = shape.y + shape.height / 2;
+    if (style.has(prefix + 'X') && style.has(prefix + 'Y')) {
+      const px = Number(style.get(prefix + 'X')) * shape.width;
+      const py = Number(style.get(prefix + 'Y')) * shape.height;
+      return Math.atan2(py - shape.height / 2, px - shape.width / 2);
+    }
+    return Math.atan2(toward.y - cy, toward.x - cx) - (shape.rotation || 0);
+  }
+
+  /**
+   * Build shapes from a .drawio / diagrams.net file (first page). Vertices
+   * become shapes (Azure and Kubernetes stencils their SystemDraw types,
+   * containers zones, groups groups) and edges bound arrows or lines.
+   * Resolves with the shapes; rejects on files it cannot read.
+   */
+  function fromDrawio(text) {
+    return Promise.resolve(text).then(_drawioModel).then((model) => {
+      const cells = _drawioCells(model);
+      const isVertex = id => cells.has(id) && cells.get(id).vertex;
+      const children = new Map();
+      for (const cell of cells.values()) {
+        if (!children.has(cell.parent)) children.set(cell.parent, []);
+        children.get(cell.parent).push(cell);
+      }
+
+      // Geometry is relative to the parent vertex (group or container)
+      const origin = (cell) => {
+        let x = 0, y = 0;
+        for (let p = cells.get(cell.parent); p && p.vertex; p = cells.get(p.parent)) {
+          x += p.geometry.x;
+          y += p.geometry.y;
+        }
+        return { x, y };
+      };
+      const groupCell = cell => cell.style.has('group') && !cell.value;
+      const groupIds = new Map();
+      const groupChain = (cell) => {
+        const chain = [];
+        for (let p = cells.get(cell.parent); p && p.vertex; p = cells.get(p.parent)) {
+          if (!groupCell(p)) continue;
+          if (!groupIds.has(p.id)) groupIds.set(p.id, Utils.generateId());
+          chain.push(groupIds.get(p.id));
+        }
+        return chain;
+      };
+
+      const shapeIds = new Map();
+      const shapes = [];
+      for (const cell of cells.values()) {
+        if (!cell.vertex || groupCell(cell) || (cells.get(cell.parent) || {}).edge) continue;
+        const { style } = cell;
+        const o = origin(cell);
+        let box = { x: o.x + cell.geometry.x, y: o.y + cell.geometry.y, w: cell.geometry.w, h: cell.geometry.h };
+        const hasChildren = (children.get(cell.id) || []).some(c => c.vertex);
+        const container = style.has('swimlane') || style.get('container') === '1' || hasChildren;
+        let type = container ? null : _drawioType(style);
+        let label = cell.value;
+        if (container) {
+          const match = DRAWIO_ZONES.find(([re]) => re.test(label));
+          type = match ? match[1] : 'region';
+        } else if (!type) {
+          type = 'rectangle';
+          const stencil = style.get('image') || style.get('shape') || '';
+          if (!label && /\.svg$|^mxgraph\./i.test(stencil)) label = _stencilLabel(stencil);
+        }
+        const meta = ShapeRegistry.getMeta(type);
+        if (meta && meta.category !== 'primitive' && !ShapeRegistry.isZone(type)) {
+          // Stencil icons are small with the label below; grow into a box
+          const w = Math.max(box.w, 120), h = Math.max(box.h, 60);
+          box = { x: box.x - (w - box.w) / 2, y: box.y - (h - box.h) / 2, w, h };
+          // ...without spilling out of the container it sits in
+          const parent = cells.get(cell.parent);
+          if (parent && parent.vertex && !groupCell(parent)) {
+            box.x = Math.max(o.x, Math.min(box.x, o.x + parent.geometry.w - w));
+            box.y = Math.max(o.y, Math.min(box.y, o.y + parent.geometry.h - h));
+          }
+        }
+        const shape = Shapes.create(type, {
+          ...ShapeRegistry.getDefaults(type),
+          ..._drawioProps(style),
+          x: box.x, y: box.y, width: box.w, height: box.h,
+          rotation: (Number(style.get('rotation')) || 0) * Math.PI / 180,
+          text: label,
+          wordWrap: style.get('whiteSpace') === 'wrap',
+          groupIds: groupChain(cell),
+        });
+        // Plain shapes keep draw.io's label placement (middle by default)
+        if (!meta || meta.category === 'primitive') {
+          shape.textVAlign = style.get('verticalAlign') || 'middle';
+          shape.textHAlign = style.get('align') || 'center';
+        }
+        shapeIds.set(cell.id, shape.id);
+        shapes.push(shape);
+      }
+
+      // Dashed plain rectangles drawn around other shapes are boundaries too
+      for (const shape of shapes) {
+        if (shape.type !== 'rectangle' || shape.strokeDash === 'solid') continue;
+        const encloses = shapes.some(s => s !== shape && ShapeRegistry.isBox(s.type) &&
+          s.x >= shape.x && s.y >= shape.y &&
+          s.x + s.width <= shape.x + shape.width && s.y + s.height <= shape.y + shape.height);
+        if (!encloses) continue;
+        const match = DRAWIO_ZONES.find(([re]) => re.test(shape.text));
+        shape.type = match ? match[1] : 'region';
+        Object.assign(shape, ShapeRegistry.getDefaults(shape.type), { textVAlign: 'bottom', textHAlign: 'center' });
+      }
+
+      const byId = new Map(shapes.map(s => [s.id, s]));
+      const centre = s => ({ x: s.x + s.width / 2, y: s.y + s.height / 2 });
+      for (const cell of cells.values()) {
+        if (!cell.edge) continue;
+        const { style, geometry } = cell;
+        const o = origin(cell);
+        const waypoints = geometry.points.map(p => ({ x: p.x + o.x, y: p.y + o.y }));
+        const ends = ['source', 'target'].map((end) => {
+          const shape = byId.get(shapeIds.get(cell[end]));
+          const loose = geometry[end + 'Point'];
+          return { shape, point: shape ? centre(shape) : loose && { x: loose.x + o.x, y: loose.y + o.y } };
+        });
+        if (!ends[0].point || !ends[1].point) continue;
+        const start = style.has('startArrow') && style.get('startArrow') !== 'none';
+        const end = style.get('endArrow') !== 'none';
+        // An arrowhead only at the start: reverse so it points forward
+        if (start && !end) {
+          ends.reverse();
+          waypoints.reverse();
+        }
+        const binding = (i, prefix) => {
+          const { shape } = ends[i];
+          if (!shape || !ShapeRegistry.isBox(shape.type)) return null;
+          const toward = waypoints.length ? waypoints[i === 0 ? 0 : waypoints.length - 1] : ends[1 - i].point;
+          return { shapeId: shape.id, angle: _drawioAngle(shape, style, prefix, toward) };
+        };
+        const reversed = start && !end;
+        const routing = /orthogonal|elbow|entityRelation/i.test(style.get('edgeStyle') || '') ? 'elbow'
+          : style.get('curved') === '1' ? 'curved' : 'straight';
+        const labels = (children.get(cell.id) || []).map(c => c.value).filter(Boolean);
+        const arrow = start || end;
+        shapes.push(Shapes.create(arrow ? 'arrow' : 'line', {
+          ..._drawioProps(style),
+          points: [{ ...ends[0].point }, ...(routing === 'elbow' ? [] : waypoints), { ...ends[1].point }],
+          arrowHead: arrow,
+          routing,
+          text: [cell.value, ...labels].filter(Boolean).join('\n'),
+          startBinding: binding(0, reversed ? 'entry' : 'exit'),
+          endBinding: binding(1, reversed ? 'exit' : 'entry'),
+          groupIds: groupChain(cell),
+        }));
+      }
+
+      if (shapes.length === 0) throw new Error('The draw.io page is empty');
+      Zones.assignParents(shapes);
+      Zones.orderByContainment(shapes);
+      Connectors.resolveAllBindings(shapes);
+      return shapes;
+    });
+  }
+
+  // === Excalidraw ===
+
+  const EXCALIDRAW_FILL = new Set(['hachure', 'cross-hatch', 'zigzag', 'solid']);
+
+  /** Shape styling from an Excalidraw element */
+  function _excalidrawProps(el) {
+    const fill = el.backgroundColor && el.backgroundColor !== 'transparent';
+    const props = {
+      strokeEnabled: el.strokeColor !== 'transparent',
+      fillColor: fill ? el.backgroundColor : 'transparent',
+      shapeFillStyle: fill ? (EXCALIDRAW_FILL.has(el.fillStyle) ? el.fillStyle : 'solid') : 'none',
+      strokeWidth: el.strokeWidth || 2,
+      strokeDash: el.strokeStyle === 'dashed' || el.strokeStyle === 'dotted' ? el.strokeStyle : 'solid',
+      opacity: el.opacity === undefined ? 1 : Math.min(1, Math.max(0, el.opacity / 100)),
+      groupIds: Array.isArray(el.groupIds) ? [...el.groupIds] : [],
+    };
+    if (props.strokeEnabled && el.strokeColor) props.strokeColor = el.strokeColor;
+    if (Number.isInteger(el.seed)) props.seed = el.seed;
+    return props;
+  }
+
+  /**
+   * Build shapes from an Excalidraw scene (.excalidraw file or clipboard
+   * JSON). Element ids are kept. Rectangles, ellipses and diamonds keep
+   * their type unless `customData.systemDrawType` names a SystemDraw box or
+   * zone; frames become zones; text bound to a container becomes the
+   * container's label. Images and embeds are skipped. Throws on anything
+   * that is not a scene.
+   */
+  function fromExcalidraw(text) {
+    const scene = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!scene || !/^excalidraw/.test(scene.type) || !Array.isArray(scene.elements)) {
+      throw new Error('Not an Excalidraw scene');
+    }
+    const elements = scene.elements.filter(el => el && !el.isDeleted && typeof el.id === 'string');
+    const shapes = [];
+    const byId = new Map();
+
+    for (const el of elements) {
+      let shape = null;
+      const base = { id: el.id, x: el.x || 0, y: el.y || 0, width: el.width || 0, height: el.height || 0 };
+      const points = Array.isArray(el.points) ? el.points.map(([px, py]) => ({ x: base.x + px, y: base.y + py })) : [];
+
+      switch (el.type) {
+        case 'rectangle':
+        case 'ellipse':
+        case 'diamond': {
+          const custom = el.customData && el.customData.systemDrawType;
+          const type = custom && (ShapeRegistry.isBox(custom) || ShapeRegistry.isZone(custom)) ? custom : el.type;
+          shape = Shapes.create(type, {
+            ...ShapeRegistry.getDefaults(type),
+            ..._excalidrawProps(el),
+            ...base,
+            rotation: el.angle || 0,
+            edgeStyle: el.roundness ? 'round' : 'sharp',
+          });
+          break;
+        }
+        case 'frame':
+        case 'magicframe':
+          shape = Shapes.create('region', {
+            ...ShapeRegistry.getDefaults('region'),
+            ...base,
+            text: el.name || 'Frame',
+          });
+          break;
+        case 'text':
+          if (el.containerId) continue; // becomes its container's label below
+          shape = Shapes.create('text', {
+            ..._excalidrawProps(el),
+            ...base,
+            rotation: el.angle || 0,
+            text: el.originalText || el.text || '',
+            fontSize: el.fontSize || 16,
+            textHAlign: el.textAlign || 'left',
+          });
+          break;
+        case 'arrow':
+        case 'line': {
+          if (points.length < 2) continue;
+          let start = el.startBinding, end = el.endBinding;
+          // A head only at the start: reverse so it points forward
+          if (el.startArrowhead && !el.endArrowhead) {
+            points.reverse();
+            [start, end] = [end, start];
+          }
+          shape = Shapes.create(el.type, {
+            ..._excalidrawProps(el),
+            id: el.id,
+            points,
+            arrowHead: el.type === 'arrow' && !!(el.startArrowhead || el.endArrowhead),
+            routing: el.elbowed ? 'elbow' : (el.roundness && points.length > 2 ? 'curved' : 'straight'),
+            startBinding: start ? { shapeId: start.elementId, angle: null } : null,
+            endBinding: end ? { shapeId: end.elementId, angle: null } : null,
+          });
+          break;
+        }
+        case 'freedraw':
+          if (points.length < 2) continue;
+          shape = Shapes.create('freehand', { ..._excalidrawProps(el), id: el.id, points });
+          break;
+        default:
+          continue;
+      }
+      shapes.push(shape);
+      byId.set(shape.id, shape);
+    }
+
+    // Bound text: the label of its container (shape or connector)
+    for (const el of elements) {
+      if (el.type !== 'text' || !el.containerId || !byId.has(el.containerId)) continue;
+      const container = byId.get(el.containerId);
+      container.text = el.originalText || el.text || '';
+      container.fontSize = el.fontSize || container.fontSize;
+      if (ShapeRegistry.isBox(container.type)) {
+        container.textHAlign = el.textAlign || 'center';
+        container.textVAlign = el.verticalAlign || 'middle';
+      }
+    }
+
+    // Bindings: the angle from the target's centre to the arrow's end
+    for (const shape of shapes) {
+      if (shape.type !== 'arrow' && shape.type !== 'line') continue;
+      for (const [key, point] of [['startBinding', shape.points[0]], ['endBinding', shape.points[shape.points.length - 1]]]) {
+        const target = shape[key] && byId.get(shape[key].shapeId);
+        if (!target || !ShapeRegistry.isBox(target.type)) {
+          shape[key] = null;
+          continue;
+        }
+        const cx = target.x + target.width / 2, cy = target.y + target.height / 2;
+        shape[key] = {
+          shapeId: target.id,
+          angle: Math.atan2(point.y - cy, point.x - cx) - ShapeRegistry.getRotation(target),
+        };
+      }
+    }
+
+    if (shapes.length === 0) throw new Error('The Excalidraw scene is empty');
+    Zones.assignParents(shapes);
+    Zones.orderByContainment(shapes);
+    Connectors.resolveAllBindings(shapes);
+    return shapes;
+  }
+
+  // === Architecture manifest ===
+
+  /**
+   * Lay out manifest components that carry no positions, the way a Mermaid
+   * flowchart is: arrows run left to right and zones wrap their members.
+   * Returns the component and zone boxes, id → { x, y, w, h }.
+   */
+  function _manifestLayout(components, zones, connections) {
+    const zoneIds = new Set(zones.map(z => z.id));
+    const graph = { direction: 'LR', nodes: new Map(), edges: [], subgraphs: new Map() };
+    for (const z of zones) {
+      graph.subgraphs.set(z.id, { id: z.id, parent: zoneIds.has(z.parentId) ? z.parentId : null });
+    }
+    // A hand-edited parent chain may loop; cut it where it does
+    for (const sg of graph.subgraphs.values()) {
+      const seen = new Set([sg.id]);
+      for (let s = sg; s.parent; s = graph.subgraphs.get(s.parent)) {
+        if (seen.has(s.parent)) { s.parent = null; break; }
+        seen.add(s.parent);
+      }
+    }
+    for (const c of components) {
+      const type = ShapeRegistry.isBox(c.type) ? c.type : 'rectangle';
+      graph.nodes.set(c.id, {
+        id: c.id, label: String(c.label || ''), type,
+        subgraph: zoneIds.has(c.parentId) ? c.parentId : null,
+      });
+    }
+    for (const conn of connections) {
+      if (graph.nodes.has(conn.from) && graph.nodes.has(conn.to)) graph.edges.push({ from: conn.from, to: conn.to });
+    }
+    const boxes = components.length > 0 ? _layout(graph) : new Map();
+    for (const [id, b] of _zoneBoxes(graph, boxes)) boxes.set(id, b);
+    // Empty zones go in a row underneath
+    let x = ORIGIN;
+    const y = Math.max(ORIGIN, ...[...boxes.values()].map(b => b.y + b.h + RANK_GAP));
+    for (const z of zones) {
+      if (boxes.has(z.id)) continue;
+      boxes.set(z.id, { x, y, w: 300, h: 200 });
+      x += 300 + GROUP_GAP;
+    }
+    return boxes;
+  }
+
+  /**
+   * Build shapes from an architecture manifest (.archsketch.json, see
+   * Export.buildManifest), including one edited by hand or with the MCP
+   * server's editing tools. Component, zone and connection ids are kept.
+   * Unknown component types become rectangles; freehand strokes and
+   * connections without both ends are skipped, since the manifest keeps
+   * no points for them. If any component has no position the whole
+   * diagram is laid out automatically. Throws on anything else.
+   */
+  function fromManifest(text) {
+    const manifest = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!manifest || !Array.isArray(manifest.components)) throw new Error('Not an architecture manifest');
+    const valid = list => (Array.isArray(list) ? list : []).filter(item => item && typeof item.id === 'string');
+    const components = valid(manifest.components);
+    const zones = valid(manifest.zones);
+    const connections = valid(manifest.connections);
+    if (components.length === 0 && zones.length === 0) throw new Error('The manifest has no components');
+
+    const laidOut = components.some(c => !c.position) ? _manifestLayout(components, zones, connections) : null;
+    const box = (item) => {
+      if (laidOut) return laidOut.get(item.id);
+      const pos = item.position || {}, size = item.size || {};
+      return { x: Number(pos.x) || 0, y: Number(pos.y) || 0, w: Number(size.width) || 140, h: Number(size.height) || 80 };
+    };
+    const shapes = [];
+    const byId = new Map();
+    const add = (shape) => {
+      shapes.push(shape);
+      byId.set(shape.id, shape);
+    };
+
+    for (const z of zones) {
+      if (byId.has(z.id)) continue;
+      const type = ShapeRegistry.isZone(z.type) ? z.type : 'region';
+      const b = box(z);
+      add(Shapes.create(type, {
+        ...ShapeRegistry.getDefaults(type),
+        id: z.id, x: b.x, y: b.y, width: b.w, height: b.h,
+        text: String(z.label || ''),
+      }));
+    }
+
+    for (const c of components) {
+      if (byId.has(c.id)) continue;
+      const type = ShapeRegistry.isBox(c.type) ? c.type : 'rectangle';
+      const meta = ShapeRegistry.getMeta(type);
+      const b = box(c);
+      const shape = Shapes.create(type, {
+        ...ShapeRegistry.getDefaults(type),
+        id: c.id, x: b.x, y: b.y, width: b.w, height: b.h,
+        // The export labels an unlabelled shape with its service name
+        text: meta.category === 'primitive' && c.label === meta.service ? '' : String(c.label || ''),
+      });
+      if (meta.category === 'primitive') shape.textVAlign = 'middle';
+      const fill = c.style && c.style.fillColor;
+      if (fill && fill !== 'transparent') {
+        shape.fillColor = fill;
+        if (shape.shapeFillStyle === 'none') shape.shapeFillStyle = 'solid';
+      }
+      add(shape);
+    }
+
+    const centre = (s) => ({ x: s.x + s.width / 2, y: s.y + s.height / 2 });
+    for (const conn of connections) {
+      if (byId.has(conn.id) || (conn.type !== 'directed' && conn.type !== 'undirected')) continue;
+      const from = byId.get(conn.from), to = byId.get(conn.to);
+      if (!from || !to || !ShapeRegistry.isBox(from.type) || !ShapeRegistry.isBox(to.type)) continue;
+      const a = centre(from), b = centre(to);
+      const out = from === to ? -Math.PI / 2 - 0.5 : Math.atan2(b.y - a.y, b.x - a.x);
+      const back = from === to ? -Math.PI / 2 + 0.5 : Math.atan2(a.y - b.y, a.x - b.x);
+      const type = conn.type === 'directed' ? 'arrow' : 'line';
+      add(Shapes.create(type, {
+        id: conn.id,
+        points: [{ ...a }, { ...b }],
+        arrowHead: type === 'arrow',
+        text: String(conn.label || ''),
+        protocol: conn.protocol ? String(conn.protocol) : '',
+        port: conn.port !== undefined && conn.port !== null ? String(conn.port) : '',
+        syncMode: conn.syncMode === 'sync' || conn.syncMode === 'async' ? conn.syncMode : '',
+        startBinding: { shapeId: from.id, angle: out },
+        endBinding: { shapeId: to.id, angle: back },
+      }));
+    }
+
+    Zones.assignParents(shapes);
+    Zones.orderByContainment(shapes);
+    Connectors.resolveAllBindings(shapes);
+    return shapes;
+  }
+
+  // === Files ===
+
+  /**
+   * Read a file chosen with the Load button and hand its shapes to
+   * `callback(shapes, label)`. Problems are reported with alert().
+   */
+  function readFile(file, callback) {
+    const name = file.name.toLowerCase();
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const text = e.target.result;
+      Promise.resolve().then(() => {
+        if (name.endsWith('.json')) {
+          // A saved diagram, or an architecture manifest (.archsketch.json)
+          const data = JSON.parse(text);
+          if (data && Array.isArray(data.shapes)) return [data.shapes, 'Loaded diagram'];
+          if (data && Array.isArray(data.components)) return [fromManifest(data), 'Imported architecture manifest'];
+          throw new Error('Not a SystemDraw diagram or architecture manifest');
+        }
+        if (name.endsWith('.drawio') || name.endsWith('.xml')) {
+          return fromDrawio(text).then(shapes => [shapes, 'Imported draw.io diagram']);
+        }
+        if (name.endsWith('.excalidraw')) return [fromExcalidraw(text), 'Imported Excalidraw scene'];
+        let source = text;
+        if (name.endsWith('.md') || name.endsWith('.markdown')) {
+          source = mermaidFromMarkdown(text);
+          if (!source) throw new Error('No Mermaid flowchart found in this Markdown file');
+        }
+        return [fromMermaid(source), 'Imported Mermaid diagram'];
+      }).then(
+        ([shapes, label]) => callback(shapes, label),
+        err => alert('Could not import ' + file.name + ': ' + err.message)
+      );
+    };
+    reader.readAsText(file);
+  }
+
+  return { parseMermaid, fromMermaid, mermaidFromMarkdown, fromDrawio, fromExcalidraw, fromManifest, readFile };
+})();
@@ -0,0 +1,1582 @@
+// ============================================================
+// registry.js — Shape type registry (drawing, geometry, metadata)
+// ============================================================
+//
+// Every shape type is declared exactly once here. The live canvas, the
+// PNG/SVG exporters, hit-testing, connector binding and the architecture
+// manifest all read from the same definition, so adding a shape means
+// adding one `define()` call. The MCP server loads this file too
+// (mcp-server/src/catalogue.js) and checks edits against the `meta`.
+
+const ShapeRegistry = (() => {
+  const _types = new Map();
+  const _icons = {};
+
+  // Kinds: 'box' (labelled container shapes), 'zone' (boundaries that own
+  // the shapes inside them), 'connector' (line/arrow), 'freehand' and 'text'.
+  const DEFAULT_SPEC = { kind: 'box', outline: 'rect' };
+
+  // === Outlines ===
+  // Hit-test and boundary geometry shared by box shapes.
+  // `b` is a bounds object { x, y, w, h }.
+
+  /**
+   * Ray from rectangle center to target, intersected with rect edges.
+   */
+  function _rayRectFromCenter(cx, cy, tx, ty, halfW, halfH) {
+    const dx = tx - cx;
+    const dy = ty - cy;
+    if (dx === 0 && dy === 0) return { x: cx + halfW, y: cy };
+    const absDx = Math.abs(dx);
+    const absDy = Math.abs(dy);
+    const scale = (absDx / halfW > absDy / halfH)
+      ? halfW / absDx
+      : halfH / absDy;
+    return { x: cx + dx * scale, y: cy + dy * scale };
+  }
+
+  /**
+   * Ray from ellipse center to target, intersected with ellipse boundary.
+   */
+  function _rayEllipseFromCenter(cx, cy, tx, ty, rx, ry) {
+    const dx = tx - cx;
+    const dy = ty - cy;
+    if (dx === 0 && dy === 0) return { x: cx + rx, y: cy };
+    const angle = Math.atan2(dy, dx);
+    return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
+  }
+
+  /**
+   * Ray from diamond center to target, intersected with diamond edges.
+   * Diamond edges satisfy |x/halfW| + |y/halfH| = 1.
+   */
+  function _rayDiamondFromCenter(cx, cy, tx, ty, halfW, halfH) {
+    const dx = tx - cx;
+    const dy = ty - cy;
+    if (dx === 0 && dy === 0) return { x: cx, y: cy - halfH };
+    const scale = 1 / (Math.abs(dx) / halfW + Math.abs(dy) / halfH);
+    return { x: cx + dx * scale, y: cy + dy * scale };
+  }
+
+  const OUTLINES = {
+    rect: {
+      contains: (b, px, py, tol) => Utils.pointInRect(px, py,
+        b.x - tol, b.y - tol, b.w + tol * 2, b.h + tol * 2),
+      boundaryPoint: (b, tx, ty) => _rayRectFromCenter(
+        b.x + b.w / 2, b.y + b.h / 2, tx, ty, b.w / 2, b.h / 2),
+    },
+    ellipse: {
+      contains: (b, px, py, tol) => Utils.pointInEllipse(px, py,
+        b.x + b.w / 2, b.y + b.h / 2, b.w / 2 + tol, b.h / 2 + tol),
+      boundaryPoint: (b, tx, ty) => _rayEllipseFromCenter(
+        b.x + b.w / 2, b.y + b.h / 2, tx, ty, b.w / 2, b.h / 2),
+    },
+    diamond: {
+      contains: (b, px, py, tol) => Utils.pointInDiamond(px, py,
+        b.x + b.w / 2, b.y + b.h / 2, b.w / 2 + tol, b.h / 2 + tol),
+      boundaryPoint: (b, tx, ty) => _rayDiamondFromCenter(
+        b.x + b.w / 2, b.y + b.h / 2, tx, ty, b.w / 2, b.h / 2),
+    },
+  };
+
+  // === Registration ===
+
+  /**
+   * Register a shape type.
+   * spec: { kind, outline, draw(ctx, rc, shape, opts), hitTest?, getBounds?,
+   *         icon?, defaults?, meta }
+   */
+  function define(type, spec) {
+    const def = { ...DEFAULT_SPEC, ...spec, type };
+    if (def.icon && typeof Image !== 'undefined') {
+      const img = new Image();
+      img.src = def.icon;
+      _icons[type] = img;
+    }
+    _types.set(type, def);
+  }
+
+  // === Shared drawing helpers ===
+  // All helpers take the target context explicitly so the same code paints
+  // the live canvas, the PNG export canvas and the SVG export context.
+
+  /** Build Rough.js options from a shape's style fields */
+  function styleOptions(shape) {
+    // Resolve fill
+    const fillStyle = shape.shapeFillStyle || 'none';
+    const hasFill = fillStyle !== 'none' && shape.fillColor && shape.fillColor !== 'transparent';
+
+    const opts = {
+      stroke: shape.strokeColor,
+      strokeWidth: shape.strokeWidth,
+      fill: hasFill ? shape.fillColor : undefined,
+      fillStyle: hasFill ? (fillStyle === 'solid' ? 'solid' : fillStyle) : undefined,
+      roughness: 1.2,
+      seed: shape.seed,
+    };
+
+    // Stroke dash pattern
+    const dash = shape.strokeDash || 'solid';
+    if (dash !== 'solid') {
+      const sw = shape.strokeWidth || 2;
+      switch (dash) {
+        case 'dashed':   opts.strokeLineDash = [sw * 5, sw * 3]; break;
+        case 'dotted':   opts.strokeLineDash = [sw * 1.2, sw * 2.5]; break;
+        case 'dashdot':  opts.strokeLineDash = [sw * 5, sw * 2, sw * 1.2, sw * 2]; break;
+      }
+    }
+
+    // If border is disabled, turn off Rough.js stroke for box shapes and zones.
+    // (Connectors/text have their own styling semantics.)
+    if ((isBox(shape.type) || isZone(shape.type)) && shape.strokeEnabled === false) {
+      opts.stroke = 'transparent';
+      opts.strokeWidth = 0;
+      delete opts.strokeLineDash;
+    }
+    return opts;
+  }
+
+  /**
+   * Draw a rectangle with rounded corners using Rough.js path
+   */
+  function roundedRect(rc, x, y, w, h, r, opts) {
+    r = Math.min(r, w / 2, h / 2);
+    // Build SVG path for a rounded rectangle
+    const path = `M ${x + r} ${y}
+      L ${x + w - r} ${y}
+      A ${r} ${r} 0 0 1 ${x + w} ${y + r}
+      L ${x + w} ${y + h - r}
+      A ${r} ${r} 0 0 1 ${x + w - r} ${y + h}
+      L ${x + r} ${y + h}
+      A ${r} ${r} 0 0 1 ${x} ${y + h - r}
+      L ${x} ${y + r}
+      A ${r} ${r} 0 0 1 ${x + r} ${y}
+      Z`;
+    rc.path(path, opts);
+  }
+
+  /** Helper: draw a base rect (rounded or sharp) */
+  function baseRect(rc, shape, opts) {
+    const { x, y, width: w, height: h } = shape;
+    const r = Math.min(12, Math.min(w, h) * 0.2);
+    if (shape.edgeStyle === 'round') {
+      roundedRect(rc, x, y, w, h, r, opts);
+    } else {
+      rc.rectangle(x, y, w, h, opts);
+    }
+  }
+
+  /** Helper: draw an icon character in top-right corner */
+  function drawGlyph(ctx, shape, icon, color) {
+    ctx.save();
+    const fs = Math.min(16, Math.min(shape.width, shape.height) * 0.25);
+    ctx.font = `${fs}px Segoe UI, system-ui, sans-serif`;
+    ctx.fillStyle = color || '#666';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(icon, shape.x + shape.width - 6, shape.y + 5);
+    ctx.restore();
+  }
+
+  /** Helper: draw a shape type's preloaded icon in the top-right corner */
+  function drawIcon(ctx, shape, typeKey) {
+    const img = _icons[typeKey];
+    if (!img || !img.complete || !img.naturalWidth) return;
+    const s = Math.min(24, Math.min(shape.width, shape.height) * 0.35);
+    ctx.drawImage(img, shape.x + shape.width - s - 4, shape.y + 4, s, s);
+  }
+
+  /** Break text into lines that fit `maxWidth`, keeping explicit newlines */
+  function wrapTextLines(ctx, text, maxWidth) {
+    // Preserve explicit newlines by wrapping each paragraph independently.
+    const paragraphs = (text || '').split('\n');
+    const out = [];
+    for (const para of paragraphs) {
+      if (para.trim() === '') {
+        out.push('');
+        continue;
+      }
+      const words = para.split(/\s+/).filter(Boolean);
+      let line = '';
+      for (const w of words) {
+        const test = line ? (line + ' ' + w) : w;
+        if (!line || ctx.measureText(test).width <= maxWidth) {
+          line = test;
+        } else {
+          out.push(line);
+          line = w;
+        }
+      }
+      if (line) out.push(line);
+    }
+    return out;
+  }
+
+  /**
+   * Draw the label of a box shape. 'top' / 'bottom' place it outside the
+   * shape, 'middle' centers it inside.
+   */
+  function drawShapeText(ctx, shape) {
+    if (!shape.text) return;
+    ctx.save();
+    const fs = shape.fontSize || 16;
+    ctx.font = `${fs}px ${shape.fontFamily || 'Segoe UI, system-ui, sans-serif'}`;
+    ctx.fillStyle = shape.strokeColor;
+    const hAlign = shape.textHAlign || 'center';
+    ctx.textAlign = (hAlign === 'right' || hAlign === 'center' || hAlign === 'left') ? hAlign : 'center';
+    ctx.textBaseline = 'top';
+
+    const pad = 6;
+    const maxW = (shape.wordWrap && shape.width && shape.width > pad * 2) ? (shape.width - pad * 2) : null;
+    const lines = (maxW ? wrapTextLines(ctx, shape.text, maxW) : shape.text.split('\n'));
+    const lineHeight = fs * 1.4;
+    const totalTextH = lines.length * lineHeight;
+
+    let x;
+    if (hAlign === 'left') x = shape.x + pad;
+    else if (hAlign === 'right') x = shape.x + shape.width - pad;
+    else x = shape.x + shape.width / 2;
+
+    let startY;
+    const vAlign = shape.textVAlign || 'bottom';
+    if (vAlign === 'top') {
+      // Outside, above the shape
+      startY = shape.y - totalTextH - pad;
+    } else if (vAlign === 'bottom') {
+      // Outside, below the shape
+      startY = shape.y + shape.height + pad;
+    } else {
+      // Middle — inside shape, vertically centered
+      startY = shape.y + (shape.height - totalTextH) / 2;
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      ctx.fillText(lines[i], x, startY + i * lineHeight);
+    }
+    ctx.restore();
+  }
+
+  function drawArrowHead(ctx, fromX, fromY, toX, toY, color, strokeW) {
+    const headLen = Math.max(12, strokeW * 4);
+    const ang = Utils.angle(fromX, fromY, toX, toY);
+    const a1 = ang + Math.PI * 0.82;
+    const a2 = ang - Math.PI * 0.82;
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = strokeW;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(toX + headLen * Math.cos(a1), toY + headLen * Math.sin(a1));
+    ctx.lineTo(toX, toY);
+    ctx.lineTo(toX + headLen * Math.cos(a2), toY + headLen * Math.sin(a2));
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /** Axis-aligned bounds of a point list, or null when there are none */
+  function _pointsBounds(points) {
+    if (!points || points.length === 0) return null;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    }
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+  }
+
+  /** True if (px, py) lies within `maxDist` of the polyline */
+  function _nearPolyline(points, px, py, maxDist) {
+    if (!points || points.length < 2) return false;
+    for (let i = 0; i < points.length - 1; i++) {
+      const d = Utils.pointToSegmentDist(px, py,
+        points[i].x, points[i].y, points[i + 1].x, points[i + 1].y);
+      if (d <= maxDist) return true;
+    }
+    return false;
+  }
+
+  // === Primitive shapes ==========================================
+
+  define('rectangle', {
+    meta: { category: 'primitive', service: 'Rectangle', provider: 'generic' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  define('ellipse', {
+    outline: 'ellipse',
+    meta: { category: 'primitive', service: 'Ellipse', provider: 'generic' },
+    draw(ctx, rc, shape, opts) {
+      const cx = shape.x + shape.width / 2;
+      const cy = shape.y + shape.height / 2;
+      rc.ellipse(cx, cy, shape.width, shape.height, opts);
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  define('diamond', {
+    outline: 'diamond',
+    meta: { category: 'primitive', service: 'Diamond', provider: 'generic' },
+    draw(ctx, rc, shape, opts) {
+      const cx = shape.x + shape.width / 2;
+      const cy = shape.y + shape.height / 2;
+      const hw = shape.width / 2;
+      const hh = shape.height / 2;
+      rc.polygon([
+        [cx, cy - hh],
+        [cx + hw, cy],
+        [cx, cy + hh],
+        [cx - hw, cy],
+      ], opts);
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  const CURVE_STEPS = 16; // samples per span of a curved connector
+
+  /**
+   * Polyline a connector is actually drawn along: its points, or the
+   * sampled spline through them for curved routing.
+   */
+  function connectorPath(shape) {
+    if (!shape.points) return [];
+    if (shape.routing === 'curved') return Utils.catmullRom(shape.points, CURVE_STEPS);
+    return shape.points;
+  }
+
+  /** Point halfway along a connector's drawn path (where its label sits) */
+  function connectorMidpoint(shape) {
+    const path = connectorPath(shape);
+    if (path.length === 0) return { x: shape.x, y: shape.y };
+    let total = 0;
+    for (let i = 1; i < path.length; i++) {
+      total += Utils.distance(path[i - 1].x, path[i - 1].y, path[i].x, path[i].y);
+    }
+    let remaining = total / 2;
+    for (let i = 1; i < path.length; i++) {
+      const seg = Utils.distance(path[i - 1].x, path[i - 1].y, path[i].x, path[i].y);
+      if (seg >= remaining && seg > 0) {
+        const t = remaining / seg;
+        return {
+          x: Utils.lerp(path[i - 1].x, path[i].x, t),
+          y: Utils.lerp(path[i - 1].y, path[i].y, t),
+        };
+      }
+      remaining -= seg;
+    }
+    return { x: path[0].x, y: path[0].y };
+  }
+
+  /** Secondary label line built from a connector's protocol / port / sync fields */
+  function connectorDetails(shape) {
+    const parts = [];
+    if (shape.protocol && shape.port) parts.push(`${shape.protocol}:${shape.port}`);
+    else if (shape.protocol) parts.push(shape.protocol);
+    else if (shape.port) parts.push(`port ${shape.port}`);
+    if (shape.syncMode) parts.push(shape.syncMode);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Draw a connector's label centred on its path, over a white knockout so
+   * the line does not run through the text.
+   */
+  function drawConnectorLabel(ctx, shape) {
+    const details = connectorDetails(shape);
+    if (!shape.text && !details) return;
+    const fs = shape.fontSize || 16;
+    const family = shape.fontFamily || 'Segoe UI, system-ui, sans-serif';
+    const rows = (shape.text ? shape.text.split('\n') : []).map(t => ({ text: t, size: fs }));
+    if (details) rows.push({ text: details, size: Math.round(fs * 0.8) });
+
+    ctx.save();
+    let maxW = 0, totalH = 0;
+    for (const row of rows) {
+      ctx.font = `${row.size}px ${family}`;
+      maxW = Math.max(maxW, ctx.measureText(row.text).width);
+      totalH += row.size * 1.3;
+    }
+
+    const mid = connectorMidpoint(shape);
+    const pad = 4;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(mid.x - maxW / 2 - pad, mid.y - totalH / 2 - pad, maxW + pad * 2, totalH + pad * 2);
+
+    ctx.fillStyle = shape.strokeColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    let y = mid.y - totalH / 2;
+    for (const row of rows) {
+      ctx.font = `${row.size}px ${family}`;
+      ctx.fillText(row.text, mid.x, y);
+      y += row.size * 1.3;
+    }
+    ctx.restore();
+  }
+
+  const CONNECTOR_SPEC = {
+    kind: 'connector',
+    getBounds: (shape) => (shape.points && shape.points.length >= 2) ? _pointsBounds(connectorPath(shape)) : null,
+    hitTest: (shape, px, py, tol) => _nearPolyline(connectorPath(shape), px, py, tol + shape.strokeWidth),
+    draw(ctx, rc, shape, opts) {
+      if (!shape.points || shape.points.length < 2) return;
+      const path = connectorPath(shape);
+      if (path.length > shape.points.length) {
+        rc.curve(path.map(p => [p.x, p.y]), { ...opts, fill: undefined, fillStyle: undefined });
+      } else {
+        for (let i = 0; i < path.length - 1; i++) {
+          rc.line(path[i].x, path[i].y, path[i + 1].x, path[i + 1].y, opts);
+        }
+      }
+      // Draw arrowhead along the final segment (tangent to the curve end)
+      if (shape.type === 'arrow' || shape.arrowHead) {
+        const last = path[path.length - 1];
+        const prev = path[path.length - 2];
+        drawArrowHead(ctx, prev.x, prev.y, last.x, last.y, shape.strokeColor, shape.strokeWidth);
+      }
+      drawConnectorLabel(ctx, shape);
+    },
+  };
+  define('line', CONNECTOR_SPEC);
+  define('arrow', CONNECTOR_SPEC);
+
+  define('freehand', {
+    kind: 'freehand',
+    getBounds: (shape) => _pointsBounds(shape.points),
+    hitTest: (shape, px, py, tol) => _nearPolyline(shape.points, px, py, tol + shape.strokeWidth + 2),
+    draw(ctx, rc, shape, opts) {
+      if (!shape.points || shape.points.length < 2) return;
+      const pathPoints = shape.points.map(p => [p.x, p.y]);
+      rc.curve(pathPoints, {
+        ...opts,
+        fill: undefined,
+        fillStyle: undefined,
+      });
+      drawConnectorLabel(ctx, shape);
+    },
+  });
+
+  define('text', {
+    kind: 'text',
+    meta: { category: 'primitive', service: 'Text', provider: 'generic' },
+    draw(ctx, rc, shape) {
+      ctx.save();
+      const fs = shape.fontSize || 16;
+      ctx.font = `${fs}px ${shape.fontFamily || 'Segoe UI, system-ui, sans-serif'}`;
+      ctx.fillStyle = shape.strokeColor;
+      ctx.textBaseline = 'top';
+
+      const hAlign = shape.textHAlign || 'left';
+      ctx.textAlign = (hAlign === 'right' || hAlign === 'center' || hAlign === 'left') ? hAlign : 'left';
+
+      const pad = 4;
+      const maxW = (shape.wordWrap && shape.width && shape.width > pad * 2) ? (shape.width - pad * 2) : null;
+      const lines = (maxW ? wrapTextLines(ctx, (shape.text || ''), maxW) : (shape.text || '').split('\n'));
+      const lineHeight = fs * 1.4;
+
+      const anchorW = (shape.width || 0);
+      let x = shape.x;
+      if (hAlign === 'center' && anchorW) x = shape.x + anchorW / 2;
+      if (hAlign === 'right' && anchorW) x = shape.x + anchorW - pad;
+      if (hAlign === 'left' && anchorW) x = shape.x + pad;
+
+      for (let i = 0; i < lines.length; i++) {
+        ctx.fillText(lines[i], x, shape.y + i * lineHeight);
+      }
+      ctx.restore();
+    },
+  });
+
+  // === System-design shapes ======================================
+
+  /** Database — cylinder */
+  define('database', {
+    meta: { category: 'database', service: 'Database', provider: 'generic', description: 'Relational or NoSQL database' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const ry = Math.min(h * 0.15, 20); // ellipse cap height
+
+      // Body rectangle (skip fill — we fill manually)
+      if (opts.fill) {
+        ctx.save();
+        ctx.fillStyle = opts.fill;
+        ctx.beginPath();
+        ctx.ellipse(x + w / 2, y + ry, w / 2, ry, 0, Math.PI, Math.PI * 2);
+        ctx.lineTo(x + w, y + h - ry);
+        ctx.ellipse(x + w / 2, y + h - ry, w / 2, ry, 0, 0, Math.PI);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+      }
+
+      // Top ellipse
+      rc.ellipse(x + w / 2, y + ry, w, ry * 2, { ...opts, fill: opts.fill, fillStyle: opts.fill ? 'hachure' : undefined });
+      // Left side
+      rc.line(x, y + ry, x, y + h - ry, opts);
+      // Right side
+      rc.line(x + w, y + ry, x + w, y + h - ry, opts);
+      // Bottom arc (half-ellipse)
+      const steps = 30;
+      for (let i = 0; i < steps; i++) {
+        const a1 = (i / steps) * Math.PI;
+        const a2 = ((i + 1) / steps) * Math.PI;
+        rc.line(
+          x + w / 2 + (w / 2) * Math.cos(a1), y + h - ry + ry * Math.sin(a1),
+          x + w / 2 + (w / 2) * Math.cos(a2), y + h - ry + ry * Math.sin(a2),
+          opts
+        );
+      }
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Queue — rectangle with horizontal dividers and right arrow */
+  define('queue', {
+    meta: { category: 'messaging', service: 'Message Queue', provider: 'generic', description: 'Message queue (FIFO)' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const r = Math.min(12, Math.min(w, h) * 0.2);
+      if (shape.edgeStyle === 'round') {
+        roundedRect(rc, x, y, w, h, r, opts);
+      } else {
+        rc.rectangle(x, y, w, h, opts);
+      }
+      // Horizontal dividers
+      const slots = 3;
+      const slotW = w / (slots + 1);
+      for (let i = 1; i <= slots; i++) {
+        rc.line(x + slotW * i, y + 4, x + slotW * i, y + h - 4, { ...opts, fill: undefined });
+      }
+      // Arrow pointing right
+      const arrowY = y + h / 2;
+      const arrowX1 = x + w + 6;
+      const arrowX2 = x + w + 18;
+      rc.line(arrowX1, arrowY, arrowX2, arrowY, opts);
+      rc.line(arrowX2 - 5, arrowY - 4, arrowX2, arrowY, opts);
+      rc.line(arrowX2 - 5, arrowY + 4, arrowX2, arrowY, opts);
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Cache — rounded rectangle with lightning bolt */
+  define('cache', {
+    meta: { category: 'database', service: 'Cache', provider: 'generic', description: 'In-memory caching layer' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const r = Math.min(12, Math.min(w, h) * 0.2);
+      if (shape.edgeStyle === 'round') {
+        roundedRect(rc, x, y, w, h, r, opts);
+      } else {
+        rc.rectangle(x, y, w, h, opts);
+      }
+      // Lightning bolt icon (top-right area)
+      const ix = x + w - 18;
+      const iy = y + 6;
+      const s = Math.min(14, h * 0.25);
+      ctx.save();
+      ctx.strokeStyle = '#f59e0b';
+      ctx.lineWidth = shape.strokeWidth || 2;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      ctx.moveTo(ix + s * 0.5, iy);
+      ctx.lineTo(ix, iy + s * 0.55);
+      ctx.lineTo(ix + s * 0.4, iy + s * 0.5);
+      ctx.lineTo(ix + s * 0.1, iy + s);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Server — rectangle with horizontal slot lines */
+  define('server', {
+    meta: { category: 'compute', service: 'Server', provider: 'generic', description: 'Application server' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const r = Math.min(12, Math.min(w, h) * 0.2);
+      if (shape.edgeStyle === 'round') {
+        roundedRect(rc, x, y, w, h, r, opts);
+      } else {
+        rc.rectangle(x, y, w, h, opts);
+      }
+      // Rack lines
+      const lines = Math.min(3, Math.floor(h / 20));
+      const gap = h / (lines + 1);
+      for (let i = 1; i <= lines; i++) {
+        const ly = y + gap * i;
+        rc.line(x + 6, ly, x + w - 6, ly, { ...opts, fill: undefined });
+        // Small status circle
+        ctx.save();
+        ctx.fillStyle = '#22c55e';
+        ctx.beginPath();
+        ctx.arc(x + w - 14, ly - gap * 0.25, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+      }
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Cloud — cloud shape using bezier curves */
+  define('cloud', {
+    outline: 'ellipse',
+    meta: { category: 'network', service: 'Cloud', provider: 'generic', description: 'Cloud boundary / provider' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      // Classic cloud silhouette using cubic bezier curves
+      // Flat bottom, 3 distinct puffs on top, small bumps on sides
+      const path = [
+        // Start at bottom-left
+        `M ${x + w * 0.15} ${y + h * 0.78}`,
+        // Left side bump going up
+        `C ${x - w * 0.02} ${y + h * 0.78}, ${x - w * 0.02} ${y + h * 0.42}, ${x + w * 0.12} ${y + h * 0.42}`,
+        // Left puff to upper-left
+        `C ${x + w * 0.04} ${y + h * 0.18}, ${x + w * 0.24} ${y + h * 0.06}, ${x + w * 0.38} ${y + h * 0.18}`,
+        // Top-center big puff
+        `C ${x + w * 0.38} ${y - h * 0.02}, ${x + w * 0.64} ${y - h * 0.02}, ${x + w * 0.68} ${y + h * 0.18}`,
+        // Upper-right puff
+        `C ${x + w * 0.82} ${y + h * 0.06}, ${x + w * 0.98} ${y + h * 0.22}, ${x + w * 0.92} ${y + h * 0.42}`,
+        // Right side bump going down
+        `C ${x + w * 1.04} ${y + h * 0.48}, ${x + w * 1.02} ${y + h * 0.78}, ${x + w * 0.85} ${y + h * 0.78}`,
+        // Flat bottom
+        `Z`
+      ].join(' ');
+      rc.path(path, opts);
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Firewall — rectangle with brick-wall pattern */
+  define('firewall', {
+    // Firewalls default to a red colour scheme
+    defaults: { strokeColor: '#8b0000', fillColor: '#fde8e8', shapeFillStyle: 'solid' },
+    meta: { category: 'network', service: 'Firewall', provider: 'generic', description: 'Network firewall' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const r = Math.min(12, Math.min(w, h) * 0.2);
+      if (shape.edgeStyle === 'round') {
+        roundedRect(rc, x, y, w, h, r, opts);
+      } else {
+        rc.rectangle(x, y, w, h, opts);
+      }
+      // Brick pattern — red bricks
+      ctx.save();
+      ctx.strokeStyle = '#cc3333';   // red brick lines
+      ctx.lineWidth = (shape.strokeWidth || 2) * 0.7;
+      ctx.globalAlpha = 0.5;
+      const brickH = Math.max(10, h / 4);
+      const brickW = Math.max(16, w / 3);
+      for (let row = 0; row < Math.ceil(h / brickH); row++) {
+        const ly = y + row * brickH;
+        if (ly > y && ly < y + h) {
+          ctx.beginPath();
+          ctx.moveTo(x + 3, ly);
+          ctx.lineTo(x + w - 3, ly);
+          ctx.stroke();
+        }
+        const offset = (row % 2) * (brickW / 2);
+        for (let col = 0; col < Math.ceil(w / brickW) + 1; col++) {
+          const lx = x + col * brickW + offset;
+          if (lx > x + 3 && lx < x + w - 3) {
+            const topY = ly;
+            const botY = Math.min(ly + brickH, y + h);
+            ctx.beginPath();
+            ctx.moveTo(lx, Math.max(topY, y + 3));
+            ctx.lineTo(lx, botY - 3);
+            ctx.stroke();
+          }
+        }
+      }
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Load Balancer — rect with branching arrows */
+  define('loadbalancer', {
+    meta: { category: 'network', service: 'Load Balancer', provider: 'generic', description: 'Traffic load balancer' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#3b82f6';
+      ctx.lineWidth = Math.max(1.5, (shape.strokeWidth || 2) * 0.8);
+      ctx.lineCap = 'round';
+      const cx = x + w - 18, cy = y + 8, s = Math.min(12, h * 0.2);
+      ctx.beginPath();
+      ctx.moveTo(cx, cy + s);
+      ctx.lineTo(cx, cy + s * 0.4);
+      ctx.lineTo(cx - s * 0.5, cy);
+      ctx.moveTo(cx, cy + s * 0.4);
+      ctx.lineTo(cx + s * 0.5, cy);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** API Gateway — rect with arrow-through-gate icon */
+  define('apigateway', {
+    meta: { category: 'network', service: 'API Gateway', provider: 'generic', description: 'API gateway / reverse proxy' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#8b5cf6';
+      ctx.lineWidth = Math.max(1.5, (shape.strokeWidth || 2) * 0.8);
+      ctx.lineCap = 'round';
+      const ix = x + w - 20, iy = y + 7, s = Math.min(12, h * 0.2);
+      ctx.beginPath();
+      ctx.moveTo(ix, iy); ctx.lineTo(ix, iy + s);
+      ctx.moveTo(ix + s, iy); ctx.lineTo(ix + s, iy + s);
+      ctx.moveTo(ix - 2, iy + s * 0.5); ctx.lineTo(ix + s + 2, iy + s * 0.5);
+      ctx.moveTo(ix + s - 2, iy + s * 0.3); ctx.lineTo(ix + s + 2, iy + s * 0.5);
+      ctx.moveTo(ix + s - 2, iy + s * 0.7); ctx.lineTo(ix + s + 2, iy + s * 0.5);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** CDN — globe with horizontal line and vertical ellipse */
+  define('cdn', {
+    meta: { category: 'network', service: 'CDN', provider: 'generic', description: 'Content delivery network' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#06b6d4';
+      ctx.lineWidth = Math.max(1, (shape.strokeWidth || 2) * 0.6);
+      const cx = x + w - 15, cy = y + 13, r = Math.min(7, h * 0.12);
+      ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(cx - r, cy); ctx.lineTo(cx + r, cy); ctx.stroke();
+      ctx.beginPath(); ctx.ellipse(cx, cy, r * 0.45, r, 0, 0, Math.PI * 2); ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** User — circle head + body arc */
+  define('user', {
+    outline: 'ellipse',
+    meta: { category: 'client', service: 'User', provider: 'generic', description: 'End user / actor' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      rc.ellipse(x + w / 2, y + h * 0.65, w * 0.8, h * 0.55, opts);
+      const headR = Math.min(w, h) * 0.28;
+      rc.ellipse(x + w / 2, y + h * 0.25, headR, headR, { ...opts, fill: opts.fill || undefined });
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Microservice — hexagon */
+  define('microservice', {
+    outline: 'diamond',
+    meta: { category: 'compute', service: 'Microservice', provider: 'generic', description: 'Microservice component' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const cx = x + w / 2, cy = y + h / 2;
+      const rx = w / 2, ry = h / 2;
+      rc.polygon([
+        [cx - rx, cy],
+        [cx - rx * 0.5, cy - ry],
+        [cx + rx * 0.5, cy - ry],
+        [cx + rx, cy],
+        [cx + rx * 0.5, cy + ry],
+        [cx - rx * 0.5, cy + ry],
+      ], opts);
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Pub/Sub — rect with broadcast icon */
+  define('pubsub', {
+    meta: { category: 'messaging', service: 'Pub/Sub', provider: 'generic', description: 'Publish-subscribe messaging' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#ec4899';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      const cx = x + w - 16, cy = y + 12, r = Math.min(5, h * 0.08);
+      ctx.beginPath(); ctx.arc(cx, cy, 2, 0, Math.PI * 2);
+      ctx.fillStyle = '#ec4899'; ctx.fill();
+      for (let i = 1; i <= 2; i++) {
+        ctx.beginPath(); ctx.arc(cx, cy, r * i, -Math.PI * 0.4, Math.PI * 0.4); ctx.stroke();
+      }
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Object Storage — rect with barrel icon */
+  define('storage', {
+    meta: { category: 'storage', service: 'Storage', provider: 'generic', description: 'Generic storage' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#f97316';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      const ix = x + w - 18, iy = y + 5, iw = 12, ih = 14;
+      ctx.beginPath(); ctx.ellipse(ix + iw / 2, iy + 3, iw / 2, 3, 0, 0, Math.PI * 2); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(ix, iy + 3); ctx.lineTo(ix, iy + ih - 3); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(ix + iw, iy + 3); ctx.lineTo(ix + iw, iy + ih - 3); ctx.stroke();
+      ctx.beginPath(); ctx.ellipse(ix + iw / 2, iy + ih - 3, iw / 2, 3, 0, 0, Math.PI); ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Serverless Function — rect with lambda symbol */
+  define('function', {
+    meta: { category: 'compute', service: 'Serverless Function', provider: 'generic', description: 'Serverless function / FaaS' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      drawGlyph(ctx, shape, '\u03BB', '#e11d48');
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Container — rect with 3D box icon */
+  define('container', {
+    meta: { category: 'compute', service: 'Container', provider: 'generic', description: 'Container workload' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#2563eb';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      const ix = x + w - 20, iy = y + 5, s = Math.min(13, h * 0.2);
+      ctx.beginPath(); ctx.rect(ix, iy + s * 0.25, s * 0.7, s * 0.7); ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(ix, iy + s * 0.25); ctx.lineTo(ix + s * 0.3, iy);
+      ctx.lineTo(ix + s, iy); ctx.lineTo(ix + s * 0.7, iy + s * 0.25); ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(ix + s * 0.7, iy + s * 0.25); ctx.lineTo(ix + s, iy);
+      ctx.lineTo(ix + s, iy + s * 0.7); ctx.lineTo(ix + s * 0.7, iy + s * 0.95); ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Event Bus — rect with horizontal bus lines */
+  define('eventbus', {
+    meta: { category: 'messaging', service: 'Event Bus', provider: 'generic', description: 'Event bus / event-driven messaging' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#a855f7';
+      ctx.lineWidth = Math.max(1.5, (shape.strokeWidth || 2) * 0.7);
+      ctx.lineCap = 'round';
+      const gap = Math.min(5, h * 0.08);
+      const ix = x + 8, iw = w - 16, iy = y + h - 12;
+      for (let i = -1; i <= 1; i++) {
+        ctx.beginPath(); ctx.moveTo(ix, iy + i * gap);
+        ctx.lineTo(ix + iw, iy + i * gap); ctx.stroke();
+      }
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Browser — rect with address bar and traffic-light dots */
+  define('browser', {
+    meta: { category: 'client', service: 'Browser', provider: 'generic', description: 'Web browser client' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      const barH = Math.min(14, h * 0.18);
+      rc.line(x + 4, y + barH, x + w - 4, y + barH, { ...opts, fill: undefined });
+      ctx.save();
+      ctx.fillStyle = '#ef4444';
+      ctx.beginPath(); ctx.arc(x + 8, y + barH / 2, 2.5, 0, Math.PI * 2); ctx.fill();
+      ctx.fillStyle = '#f59e0b';
+      ctx.beginPath(); ctx.arc(x + 16, y + barH / 2, 2.5, 0, Math.PI * 2); ctx.fill();
+      ctx.fillStyle = '#22c55e';
+      ctx.beginPath(); ctx.arc(x + 24, y + barH / 2, 2.5, 0, Math.PI * 2); ctx.fill();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Mobile — tall rounded rect with home indicator */
+  define('mobile', {
+    meta: { category: 'client', service: 'Mobile App', provider: 'generic', description: 'Mobile application client' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const r = Math.min(16, Math.min(w, h) * 0.25);
+      roundedRect(rc, x, y, w, h, r, opts);
+      rc.line(x + 6, y + 14, x + w - 6, y + 14, { ...opts, fill: undefined });
+      ctx.save();
+      ctx.strokeStyle = opts.stroke || '#1e1e1e';
+      ctx.lineWidth = 2; ctx.lineCap = 'round';
+      ctx.beginPath();
+      ctx.moveTo(x + w * 0.35, y + h - 6);
+      ctx.lineTo(x + w * 0.65, y + h - 6);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Monitor — rect with graph pulse line */
+  define('monitor', {
+    meta: { category: 'ops', service: 'Monitor', provider: 'generic', description: 'Monitoring dashboard' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#22c55e';
+      ctx.lineWidth = Math.max(1.5, (shape.strokeWidth || 2) * 0.7);
+      ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+      const gy = y + h - 14, gx = x + 8, gw = w - 16;
+      ctx.beginPath();
+      ctx.moveTo(gx, gy);
+      ctx.lineTo(gx + gw * 0.2, gy - 4);
+      ctx.lineTo(gx + gw * 0.35, gy + 2);
+      ctx.lineTo(gx + gw * 0.45, gy - 8);
+      ctx.lineTo(gx + gw * 0.55, gy + 3);
+      ctx.lineTo(gx + gw * 0.7, gy - 3);
+      ctx.lineTo(gx + gw * 0.85, gy + 1);
+      ctx.lineTo(gx + gw, gy);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Notification — rect with bell icon */
+  define('notification', {
+    meta: { category: 'integration', service: 'Notification', provider: 'generic', description: 'Notification / alerting service' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#f59e0b';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      ctx.lineCap = 'round';
+      const cx = x + w - 15, cy = y + 8, s = Math.min(10, h * 0.15);
+      ctx.beginPath();
+      ctx.moveTo(cx - s * 0.4, cy + s);
+      ctx.lineTo(cx - s * 0.5, cy + s * 0.5);
+      ctx.quadraticCurveTo(cx - s * 0.5, cy - s * 0.2, cx, cy - s * 0.3);
+      ctx.quadraticCurveTo(cx + s * 0.5, cy - s * 0.2, cx + s * 0.5, cy + s * 0.5);
+      ctx.lineTo(cx + s * 0.4, cy + s);
+      ctx.stroke();
+      ctx.beginPath(); ctx.arc(cx, cy + s + 2, 1.5, 0, Math.PI * 2);
+      ctx.fillStyle = '#f59e0b'; ctx.fill();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Auth / Identity — rect with lock icon */
+  define('auth', {
+    meta: { category: 'security', service: 'Auth', provider: 'generic', description: 'Authentication / authorization' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#0ea5e9';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      const cx = x + w - 15, cy = y + 7, s = Math.min(10, h * 0.15);
+      ctx.beginPath(); ctx.rect(cx - s * 0.4, cy + s * 0.3, s * 0.8, s * 0.6); ctx.stroke();
+      ctx.beginPath(); ctx.arc(cx, cy + s * 0.3, s * 0.3, Math.PI, 0); ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** External API — rect with plug icon */
+  define('externalapi', {
+    meta: { category: 'integration', service: 'External API', provider: 'generic', description: 'Third-party API integration' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#6366f1';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      ctx.lineCap = 'round';
+      const ix = x + w - 18, iy = y + 7, s = Math.min(10, h * 0.15);
+      ctx.beginPath();
+      ctx.moveTo(ix, iy); ctx.lineTo(ix, iy + s * 0.4);
+      ctx.moveTo(ix + s * 0.5, iy); ctx.lineTo(ix + s * 0.5, iy + s * 0.4);
+      ctx.moveTo(ix - s * 0.1, iy + s * 0.4); ctx.lineTo(ix + s * 0.6, iy + s * 0.4);
+      ctx.moveTo(ix + s * 0.25, iy + s * 0.4); ctx.lineTo(ix + s * 0.25, iy + s);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Scheduler — rect with clock icon */
+  define('scheduler', {
+    meta: { category: 'ops', service: 'Scheduler', provider: 'generic', description: 'Task scheduler / cron' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#14b8a6';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      const cx = x + w - 14, cy = y + 12, r = Math.min(7, h * 0.1);
+      ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(cx, cy); ctx.lineTo(cx, cy - r * 0.65);
+      ctx.moveTo(cx, cy); ctx.lineTo(cx + r * 0.5, cy + r * 0.2);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Logger — rect with document lines icon */
+  define('logger', {
+    meta: { category: 'ops', service: 'Logger', provider: 'generic', description: 'Logging service' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#78716c';
+      ctx.lineWidth = Math.max(1, (shape.strokeWidth || 2) * 0.5);
+      ctx.lineCap = 'round';
+      const ix = x + w - 20, iy = y + 6, s = Math.min(12, h * 0.18);
+      for (let i = 0; i < 3; i++) {
+        const lineW = i === 1 ? s * 0.6 : s;
+        ctx.beginPath();
+        ctx.moveTo(ix, iy + i * (s * 0.45));
+        ctx.lineTo(ix + lineW, iy + i * (s * 0.45));
+        ctx.stroke();
+      }
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Search Index — rect with magnifying glass icon */
+  define('search', {
+    meta: { category: 'database', service: 'Search Engine', provider: 'generic', description: 'Full-text search service' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      const { x, y, width: w, height: h } = shape;
+      ctx.save();
+      ctx.strokeStyle = '#ea580c';
+      ctx.lineWidth = Math.max(1.2, (shape.strokeWidth || 2) * 0.6);
+      ctx.lineCap = 'round';
+      const cx = x + w - 16, cy = y + 10, r = Math.min(5, h * 0.08);
+      ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(cx + r * 0.7, cy + r * 0.7);
+      ctx.lineTo(cx + r * 1.6, cy + r * 1.6);
+      ctx.stroke();
+      ctx.restore();
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Data Warehouse — stacked cylinder */
+  define('datawarehouse', {
+    meta: { category: 'database', service: 'Data Warehouse', provider: 'generic', description: 'Analytical data warehouse' },
+    draw(ctx, rc, shape, opts) {
+      const { x, y, width: w, height: h } = shape;
+      const ry = Math.min(h * 0.12, 16);
+      if (opts.fill) {
+        ctx.save();
+        ctx.fillStyle = opts.fill;
+        ctx.beginPath();
+        ctx.ellipse(x + w / 2, y + ry, w / 2, ry, 0, Math.PI, Math.PI * 2);
+        ctx.lineTo(x + w, y + h - ry);
+        ctx.ellipse(x + w / 2, y + h - ry, w / 2, ry, 0, 0, Math.PI);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+      }
+      rc.ellipse(x + w / 2, y + ry, w, ry * 2, { ...opts, fill: opts.fill, fillStyle: opts.fill ? 'hachure' : undefined });
+      rc.line(x, y + ry, x, y + h - ry, opts);
+      rc.line(x + w, y + ry, x + w, y + h - ry, opts);
+      // Middle shelf
+      const midY = y + h * 0.5;
+      const steps = 20;
+      for (let i = 0; i < steps; i++) {
+        const a1 = (i / steps) * Math.PI;
+        const a2 = ((i + 1) / steps) * Math.PI;
+        rc.line(
+          x + w / 2 + (w / 2) * Math.cos(a1), midY + ry * 0.6 * Math.sin(a1),
+          x + w / 2 + (w / 2) * Math.cos(a2), midY + ry * 0.6 * Math.sin(a2),
+          { ...opts, fill: undefined }
+        );
+      }
+      // Bottom arc
+      for (let i = 0; i < steps; i++) {
+        const a1 = (i / steps) * Math.PI;
+        const a2 = ((i + 1) / steps) * Math.PI;
+        rc.line(
+          x + w / 2 + (w / 2) * Math.cos(a1), y + h - ry + ry * Math.sin(a1),
+          x + w / 2 + (w / 2) * Math.cos(a2), y + h - ry + ry * Math.sin(a2),
+          opts
+        );
+      }
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Object Storage — rect with package icon */
+  define('objectstorage', {
+    meta: { category: 'storage', service: 'Object Storage', provider: 'generic', description: 'Object / blob storage (S3-like)' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      drawGlyph(ctx, shape, '\u{1F4E6}', '#f97316');
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Block Storage — rect with disk icon */
+  define('blockstorage', {
+    meta: { category: 'storage', service: 'Block Storage', provider: 'generic', description: 'Block-level storage volumes' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      drawGlyph(ctx, shape, '\u{1F4BF}', '#6366f1');
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** File Share — rect with folder icon */
+  define('fileshare', {
+    meta: { category: 'storage', service: 'File Share', provider: 'generic', description: 'Network file share (NFS/SMB)' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      drawGlyph(ctx, shape, '\u{1F4C1}', '#0ea5e9');
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  /** Archive Storage — rect with cabinet icon */
+  define('archivestorage', {
+    meta: { category: 'storage', service: 'Archive Storage', provider: 'generic', description: 'Cold / archive tier storage' },
+    draw(ctx, rc, shape, opts) {
+      baseRect(rc, shape, opts);
+      drawGlyph(ctx, shape, '\u{1F5C4}', '#78716c');
+      drawShapeText(ctx, shape);
+    },
+  });
+
+  // === Icon shapes ===============================================
+  // Base rect with an official Azure / Kubernetes icon in the top-right corner.
+
+  function defineIconShape(type, icon, meta) {
+    define(type, {
+      icon,
+      meta,
+      draw(ctx, rc, shape, opts) {
+        baseRect(rc, shape, opts);
+        drawIcon(ctx, shape, type);
+        drawShapeText(ctx, shape);
+      },
+    });
+  }
+
+  // Azure Storage
+  defineIconShape('blobstorage', 'icons/azure-storage/blob-storage.svg',
+    { category: 'storage', service: 'Azure Blob Storage', provider: 'azure', azureService: 'Microsoft.Storage/storageAccounts', description: 'Object / blob storage' });
+  defineIconShape('filestorage', 'icons/azure-storage/file-storage.svg',
+    { category: 'storage', service: 'Azure Files', provider: 'azure', azureService: 'Microsoft.Storage/storageAccounts', description: 'Managed file shares (SMB/NFS)' });
+  defineIconShape('queuestorage', 'icons/azure-storage/queue-storage.svg',
+    { category: 'storage', service: 'Azure Queue Storage', provider: 'azure', azureService: 'Microsoft.Storage/storageAccounts', description: 'Simple message queue storage' });
+  defineIconShape('tablestorage', 'icons/azure-storage/table-storage.svg',
+    { category: 'storage', service: 'Azure Table Storage', provider: 'azure', azureService: 'Microsoft.Storage/storageAccounts', description: 'NoSQL key-value table storage' });
+  defineIconShape('datalake', 'icons/azure-storage/data-lake.svg',
+    { category: 'storage', service: 'Azure Data Lake Storage', provider: 'azure', azureService: 'Microsoft.Storage/storageAccounts', description: 'Hierarchical data lake (ADLS Gen2)' });
+  defineIconShape('manageddisks', 'icons/azure-storage/managed-disks.svg',
+    { category: 'storage', service: 'Azure Managed Disks', provider: 'azure', azureService: 'Microsoft.Compute/disks', description: 'Block-level managed disks' });
+
+  // Azure Database
+  defineIconShape('azuresql', 'icons/azure-database/azure-sql.svg',
+    { category: 'database', service: 'Azure SQL Database', provider: 'azure', azureService: 'Microsoft.Sql/servers', description: 'Managed SQL Server database' });
+  defineIconShape('cosmosdb', 'icons/azure-database/cosmos-db.svg',
+    { category: 'database', service: 'Azure Cosmos DB', provider: 'azure', azureService: 'Microsoft.DocumentDB/databaseAccounts', description: 'Globally-distributed multi-model database' });
+  defineIconShape('azuremysql', 'icons/azure-database/mysql.svg',
+    { category: 'database', service: 'Azure Database for MySQL', provider: 'azure', azureService: 'Microsoft.DBforMySQL/flexibleServers', description: 'Managed MySQL database' });
+  defineIconShape('azurepostgres', 'icons/azure-database/postgresql.svg',
+    { category: 'database', service: 'Azure Database for PostgreSQL', provider: 'azure', azureService: 'Microsoft.DBforPostgreSQL/flexibleServers', description: 'Managed PostgreSQL database' });
+  defineIconShape('sqlmanaged', 'icons/azure-database/sql-managed-instance.svg',
+    { category: 'database', service: 'SQL Managed Instance', provider: 'azure', azureService: 'Microsoft.Sql/managedInstances', description: 'SQL Server managed instance' });
+  defineIconShape('rediscache', 'icons/azure-database/redis-cache.svg',
+    { category: 'database', service: 'Azure Cache for Redis', provider: 'azure', azureService: 'Microsoft.Cache/redis', description: 'Managed Redis cache' });
+  defineIconShape('datafactory', 'icons/azure-database/data-factory.svg',
+    { category: 'database', service: 'Azure Data Factory', provider: 'azure', azureService: 'Microsoft.DataFactory/factories', description: 'Data integration / ETL service' });
+  defineIconShape('synapse', 'icons/azure-database/synapse.svg',
+    { category: 'database', service: 'Azure Synapse Analytics', provider: 'azure', azureService: 'Microsoft.Synapse/workspaces', description: 'Unified analytics platform' });
+
+  // Azure Compute
+  defineIconShape('azurevm', 'icons/azure-compute/vm.svg',
+    { category: 'compute', service: 'Azure Virtual Machine', provider: 'azure', azureService: 'Microsoft.Compute/virtualMachines', description: 'IaaS virtual machine' });
+  defineIconShape('appservice', 'icons/azure-compute/app-service.svg',
+    { category: 'compute', service: 'Azure App Service', provider: 'azure', azureService: 'Microsoft.Web/sites', description: 'Managed web app hosting (PaaS)' });
+  defineIconShape('azurefunc', 'icons/azure-compute/functions.svg',
+    { category: 'compute', service: 'Azure Functions', provider: 'azure', azureService: 'Microsoft.Web/sites', description: 'Serverless compute (Functions)' });
+  defineIconShape('aks', 'icons/azure-compute/kubernetes.svg',
+    { category: 'compute', service: 'Azure Kubernetes Service', provider: 'azure', azureService: 'Microsoft.ContainerService/managedClusters', description: 'Managed Kubernetes cluster' });
+  defineIconShape('aci', 'icons/azure-compute/container-instances.svg',
+    { category: 'compute', service: 'Azure Container Instances', provider: 'azure', azureService: 'Microsoft.ContainerInstance/containerGroups', description: 'Serverless container instances' });
+  defineIconShape('springapps', 'icons/azure-compute/spring-apps.svg',
+    { category: 'compute', service: 'Azure Spring Apps', provider: 'azure', azureService: 'Microsoft.AppPlatform/Spring', description: 'Managed Spring Boot hosting' });
+
+  // Azure Networking
+  defineIconShape('vnet', 'icons/azure-network/virtual-network.svg',
+    { category: 'network', service: 'Azure Virtual Network', provider: 'azure', azureService: 'Microsoft.Network/virtualNetworks', description: 'Virtual network (VNet)' });
+  defineIconShape('azurelb', 'icons/azure-network/load-balancer.svg',
+    { category: 'network', service: 'Azure Load Balancer', provider: 'azure', azureService: 'Microsoft.Network/loadBalancers', description: 'Layer-4 load balancer' });
+  defineIconShape('appgateway', 'icons/azure-network/app-gateway.svg',
+    { category: 'network', service: 'Azure Application Gateway', provider: 'azure', azureService: 'Microsoft.Network/applicationGateways', description: 'Layer-7 application gateway / WAF' });
+  defineIconShape('expressroute', 'icons/azure-network/expressroute.svg',
+    { category: 'network', service: 'Azure ExpressRoute', provider: 'azure', azureService: 'Microsoft.Network/expressRouteCircuits', description: 'Private connection to Azure' });
+  defineIconShape('azurefirewall', 'icons/azure-network/firewall.svg',
+    { category: 'network', service: 'Azure Firewall', provider: 'azure', azureService: 'Microsoft.Network/azureFirewalls', description: 'Cloud-native network firewall' });
+  defineIconShape('frontdoor', 'icons/azure-network/front-door.svg',
+    { category: 'network', service: 'Azure Front Door', provider: 'azure', azureService: 'Microsoft.Cdn/profiles', description: 'Global CDN + load balancer + WAF' });
+  defineIconShape('azuredns', 'icons/azure-network/dns.svg',
+    { category: 'network', service: 'Azure DNS', provider: 'azure', azureService: 'Microsoft.Network/dnsZones', description: 'DNS hosting service' });
+  defineIconShape('bastion', 'icons/azure-network/bastion.svg',
+    { category: 'network', service: 'Azure Bastion', provider: 'azure', azureService: 'Microsoft.Network/bastionHosts', description: 'Secure RDP/SSH jump host' });
+
+  // Azure Integration
+  defineIconShape('apim', 'icons/azure-integration/api-management.svg',
+    { category: 'messaging', service: 'Azure API Management', provider: 'azure', azureService: 'Microsoft.ApiManagement/service', description: 'API management gateway' });
+  defineIconShape('servicebus', 'icons/azure-integration/service-bus.svg',
+    { category: 'messaging', service: 'Azure Service Bus', provider: 'azure', azureService: 'Microsoft.ServiceBus/namespaces', description: 'Enterprise message broker' });
+  defineIconShape('eventgrid', 'icons/azure-integration/event-grid.svg',
+    { category: 'messaging', service: 'Azure Event Grid', provider: 'azure', azureService: 'Microsoft.EventGrid/topics', description: 'Event routing service' });
+  defineIconShape('eventhubs', 'icons/azure-integration/event-hubs.svg',
+    { category: 'messaging', service: 'Azure Event Hubs', provider: 'azure', azureService: 'Microsoft.EventHub/namespaces', description: 'Big data event streaming' });
+  defineIconShape('logicapps', 'icons/azure-integration/logic-apps.svg',
+    { category: 'messaging', service: 'Azure Logic Apps', provider: 'azure', azureService: 'Microsoft.Logic/workflows', description: 'Workflow automation (low-code)' });
+  defineIconShape('appconfig', 'icons/azure-integration/app-config.svg',
+    { category: 'messaging', service: 'Azure App Configuration', provider: 'azure', azureService: 'Microsoft.AppConfiguration/configurationStores', description: 'Centralized app configuration' });
+
+  // Azure Security
+  defineIconShape('keyvault', 'icons/azure-security/key-vault.svg',
+    { category: 'security', service: 'Azure Key Vault', provider: 'azure', azureService: 'Microsoft.KeyVault/vaults', description: 'Secrets, keys & certificate management' });
+  defineIconShape('sentinel', 'icons/azure-security/sentinel.svg',
+    { category: 'security', service: 'Microsoft Sentinel', provider: 'azure', azureService: 'Microsoft.SecurityInsights', description: 'Cloud-native SIEM' });
+  defineIconShape('defender', 'icons/azure-security/defender.svg',
+    { category: 'security', service: 'Microsoft Defender for Cloud', provider: 'azure', azureService: 'Microsoft.Security', description: 'Cloud security posture management' });
+  defineIconShape('entraid', 'icons/azure-security/entra-id.svg',
+    { category: 'security', service: 'Microsoft Entra ID', provider: 'azure', azureService: 'Microsoft.AzureActiveDirectory', description: 'Identity & access management' });
+  defineIconShape('managedid', 'icons/azure-security/managed-identity.svg',
+    { category: 'security', service: 'Managed Identity', provider: 'azure', azureService: 'Microsoft.ManagedIdentity/userAssignedIdentities', description: 'Managed identity for Azure resources' });
+
+  // Azure DevOps & Monitoring
+  defineIconShape('azuredevops', 'icons/azure-devops/devops.svg',
+    { category: 'ops', service: 'Azure DevOps', provider: 'azure', description: 'CI/CD and project management' });
+  defineIconShape('appinsights', 'icons/azure-devops/app-insights.svg',
+    { category: 'ops', service: 'Application Insights', provider: 'azure', azureService: 'Microsoft.Insights/components', description: 'APM and diagnostics' });
+  defineIconShape('loganalytics', 'icons/azure-devops/log-analytics.svg',
+    { category: 'ops', service: 'Log Analytics', provider: 'azure', azureService: 'Microsoft.OperationalInsights/workspaces', description: 'Log aggregation and query' });
+  defineIconShape('azuremonitor', 'icons/azure-devops/monitor.svg',
+    { category: 'ops', service: 'Azure Monitor', provider: 'azure', azureService: 'Microsoft.Insights', description: 'Full-stack monitoring' });
+  defineIconShape('loadtest', 'icons/azure-devops/load-testing.svg',
+    { category: 'ops', service: 'Azure Load Testing', provider: 'azure', azureService: 'Microsoft.LoadTestService/loadTests', description: 'Cloud-based load testing' });
+
+  // Azure AI & ML
+  defineIconShape('openai', 'icons/azure-ai/openai.svg',
+    { category: 'ai', service: 'Azure OpenAI Service', provider: 'azure', azureService: 'Microsoft.CognitiveServices/accounts', description: 'GPT, DALL-E, Embeddings' });
+  defineIconShape('cogservices', 'icons/azure-ai/cognitive-services.svg',
+    { category: 'ai', service: 'Azure Cognitive Services', provider: 'azure', azureService: 'Microsoft.CognitiveServices/accounts', description: 'Vision, Speech, Language, Decision' });
+  defineIconShape('azureml', 'icons/azure-ai/machine-learning.svg',
+    { category: 'ai', service: 'Azure Machine Learning', provider: 'azure', azureService: 'Microsoft.MachineLearningServices/workspaces', description: 'ML model training & deployment' });
+  defineIconShape('botservice', 'icons/azure-ai/bot-service.svg',
+    { category: 'ai', service: 'Azure Bot Service', provider: 'azure', azureService: 'Microsoft.BotService/botServices', description: 'Conversational AI bot framework' });
+  defineIconShape('aisearch', 'icons/azure-ai/ai-search.svg',
+    { category: 'ai', service: 'Azure AI Search', provider: 'azure', azureService: 'Microsoft.Search/searchServices', description: 'AI-powered search (formerly Cognitive Search)' });
+  defineIconShape('aistudio', 'icons/azure-ai/ai-studio.svg',
+    { category: 'ai', service: 'Azure AI Studio', provider: 'azure', description: 'Unified AI development platform' });
+
+  // Azure IoT
+  defineIconShape('iothub', 'icons/azure-iot/iot-hub.svg',
+    { category: 'iot', service: 'Azure IoT Hub', provider: 'azure', azureService: 'Microsoft.Devices/IotHubs', description: 'IoT device connectivity & management' });
+  defineIconShape('iotcentral', 'icons/azure-iot/iot-central.svg',
+    { category: 'iot', service: 'Azure IoT Central', provider: 'azure', azureService: 'Microsoft.IoTCentral/iotApps', description: 'IoT SaaS application platform' });
+  defineIconShape('digitaltwins', 'icons/azure-iot/digital-twins.svg',
+    { category: 'iot', service: 'Azure Digital Twins', provider: 'azure', azureService: 'Microsoft.DigitalTwins/digitalTwinsInstances', description: 'Digital twin modeling' });
+  defineIconShape('iotedge', 'icons/azure-iot/iot-edge.svg',
+    { category: 'iot', service: 'Azure IoT Edge', provider: 'azure', azureService: 'Microsoft.Devices/IotHubs', description: 'Edge compute for IoT devices' });
+
+  // Azure Analytics
+  defineIconShape('databricks', 'icons/azure-analytics/databricks.svg',
+    { category: 'analytics', service: 'Azure Databricks', provider: 'azure', azureService: 'Microsoft.Databricks/workspaces', description: 'Apache Spark analytics platform' });
+  defineIconShape('hdinsight', 'icons/azure-analytics/hdinsight.svg',
+    { category: 'analytics', service: 'Azure HDInsight', provider: 'azure', azureService: 'Microsoft.HDInsight/clusters', description: 'Managed Hadoop / Spark clusters' });
+  defineIconShape('dataexplorer', 'icons/azure-analytics/data-explorer.svg',
+    { category: 'analytics', service: 'Azure Data Explorer', provider: 'azure', azureService: 'Microsoft.Kusto/clusters', description: 'Real-time data analytics (Kusto)' });
+  defineIconShape('powerbi', 'icons/azure-analytics/power-bi.svg',
+    { category: 'analytics', service: 'Power BI', provider: 'azure', description: 'Business intelligence & dashboards' });
+
+  // Kubernetes resources
+  defineIconShape('k8spod', 'icons/kubernetes/pod.png',
+    { category: 'compute', service: 'Pod', provider: 'kubernetes', description: 'Smallest deployable unit in Kubernetes' });
+  defineIconShape('k8sdeploy', 'icons/kubernetes/deploy.png',
+    { category: 'compute', service: 'Deployment', provider: 'kubernetes', description: 'Manages ReplicaSets and rolling updates' });
+  defineIconShape('k8ssvc', 'icons/kubernetes/svc.png',
+    { category: 'network', service: 'Service', provider: 'kubernetes', description: 'Stable network endpoint for pods' });
+  defineIconShape('k8sing', 'icons/kubernetes/ing.png',
+    { category: 'network', service: 'Ingress', provider: 'kubernetes', description: 'HTTP/HTTPS routing to services' });
+  defineIconShape('k8sns', 'icons/kubernetes/ns.png',
+    { category: 'compute', service: 'Namespace', provider: 'kubernetes', description: 'Virtual cluster partition' });
+  defineIconShape('k8scrd', 'icons/kubernetes/crd.png',
+    { category: 'compute', service: 'Custom Resource Definition', provider: 'kubernetes', description: 'Extension of the Kubernetes API' });
+  defineIconShape('k8scm', 'icons/kubernetes/cm.png',
+    { category: 'config', service: 'ConfigMap', provider: 'kubernetes', description: 'Configuration data as key-value pairs' });
+  defineIconShape('k8ssecret', 'icons/kubernetes/secret.png',
+    { category: 'security', service: 'Secret', provider: 'kubernetes', description: 'Sensitive data (passwords, tokens, keys)' });
+  defineIconShape('k8spv', 'icons/kubernetes/pv.png',
+    { category: 'storage', service: 'PersistentVolume', provider: 'kubernetes', description: 'Cluster-level storage resource' });
+  defineIconShape('k8spvc', 'icons/kubernetes/pvc.png',
+    { category: 'storage', service: 'PersistentVolumeClaim', provider: 'kubernetes', description: 'Request for storage by a pod' });
+  defineIconShape('k8ssc', 'icons/kubernetes/sc.png',
+    { category: 'storage', service: 'StorageClass', provider: 'kubernetes', description: 'Defines storage provisioner and parameters' });
+  defineIconShape('k8ssts', 'icons/kubernetes/sts.png',
+    { category: 'compute', service: 'StatefulSet', provider: 'kubernetes', description: 'Manages stateful pod workloads' });
+  defineIconShape('k8sds', 'icons/kubernetes/ds.png',
+    { category: 'compute', service: 'DaemonSet', provider: 'kubernetes', description: 'Runs a pod on every (or selected) node' });
+  defineIconShape('k8srs', 'icons/kubernetes/rs.png',
+    { category: 'compute', service: 'ReplicaSet', provider: 'kubernetes', description: 'Ensures a specified number of pod replicas' });
+  defineIconShape('k8sjob', 'icons/kubernetes/job.png',
+    { category: 'compute', service: 'Job', provider: 'kubernetes', description: 'Runs a task to completion' });
+  defineIconShape('k8scronjob', 'icons/kubernetes/cronjob.png',
+    { category: 'compute', service: 'CronJob', provider: 'kubernetes', description: 'Scheduled job execution (cron)' });
+  defineIconShape('k8shpa', 'icons/kubernetes/hpa.png',
+    { category: 'compute', service: 'Horizontal Pod Autoscaler', provider: 'kubernetes', description: 'Auto-scales pods based on metrics' });
+  defineIconShape('k8ssa', 'icons/kubernetes/sa.png',
+    { category: 'security', service: 'ServiceAccount', provider: 'kubernetes', description: 'Identity for pods to access the API' });
+  defineIconShape('k8srole', 'icons/kubernetes/role.png',
+    { category: 'security', service: 'Role', provider: 'kubernetes', description: 'RBAC permissions within a namespace' });
+  defineIconShape('k8snetpol', 'icons/kubernetes/netpol.png',
+    { category: 'network', service: 'NetworkPolicy', provider: 'kubernetes', description: 'Controls pod-to-pod network traffic' });
+  defineIconShape('k8sep', 'icons/kubernetes/ep.png',
+    { category: 'network', service: 'Endpoint', provider: 'kubernetes', description: 'Network endpoint backing a service' });
+  defineIconShape('k8svol', 'icons/kubernetes/vol.png',
+    { category: 'storage', service: 'Volume', provider: 'kubernetes', description: 'Ephemeral or persistent storage mount' });
+  defineIconShape('k8slimits', 'icons/kubernetes/limits.png',
+    { category: 'config', service: 'LimitRange', provider: 'kubernetes', description: 'Default resource limits per namespace' });
+  defineIconShape('k8squota', 'icons/kubernetes/quota.png',
+    { category: 'config', service: 'ResourceQuota', provider: 'kubernetes', description: 'Resource consumption limits per namespace' });
+
+  // === Zones =====================================================
+  // Boundary containers (VPC, subnet, ...). Shapes inside a zone become its
+  // children (see zones.js); the zone itself is only grabbed by its border
+  // or header strip so the area inside stays free for rubber-band selection.
+
+  const ZONE_HEADER = 28; // height of the clickable label strip
+
+  /** Draw a zone's name in its top-left corner, inside the boundary */
+  function drawZoneLabel(ctx, shape) {
+    const meta = getMeta(shape.type);
+    const label = shape.text || (meta && meta.service) || '';
+    if (!label) return;
+    ctx.save();
+    const fs = Math.min(shape.fontSize || 16, 14);
+    ctx.font = `600 ${fs}px ${shape.fontFamily || 'Segoe UI, system-ui, sans-serif'}`;
+    ctx.fillStyle = shape.strokeColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(label, shape.x + 8, shape.y + (ZONE_HEADER - fs) / 2);
+    ctx.restore();
+  }
+
+  function defineZone(type, color, meta) {
+    define(type, {
+      kind: 'zone',
+      defaults: { strokeColor: color, strokeDash: 'dashed', strokeWidth: 1.5, edgeStyle: 'round', textHAlign: 'left' },
+      meta: { category: 'boundary', ...meta },
+      hitTest(shape, px, py, tol) {
+        const b = getBox(shape);
+        if (!Utils.pointInRect(px, py, b.x - tol, b.y - tol, b.w + tol * 2, b.h + tol * 2)) return false;
+        const inner = tol + Math.max(4, shape.strokeWidth);
+        const onBorder = px <= b.x + inner || px >= b.x + b.w - inner ||
+          py <= b.y + inner || py >= b.y + b.h - inner;
+        return onBorder || py <= b.y + ZONE_HEADER;
+      },
+      draw(ctx, rc, shape, opts) {
+        baseRect(rc, shape, opts);
+        drawZoneLabel(ctx, shape);
+      },
+    });
+  }
+
+  defineZone('region', '#5b6b7b',
+    { service: 'Region', provider: 'generic', description: 'Cloud region or geographic location' });
+  defineZone('vpc', '#2f7d32',
+    { service: 'VPC / VNet', provider: 'generic', description: 'Isolated virtual network' });
+  defineZone('subnet', '#1565c0',
+    { service: 'Subnet', provider: 'generic', description: 'Address range inside a virtual network' });
+  defineZone('resourcegroup', '#6a3d9a',
+    { service: 'Resource Group', provider: 'azure', azureService: 'Microsoft.Resources/resourceGroups', description: 'Logical container for Azure resources' });
+  defineZone('namespace', '#326ce5',
+    { service: 'Namespace', provider: 'kubernetes', description: 'Kubernetes namespace scoping the resources inside it' });
+
+  // === Lookups ===
+
+  function get(type) { return _types.get(type) || null; }
+
+  function has(type) { return _types.has(type); }
+
+  /** Box shapes carry labels, bind connectors and appear as manifest components */
+  function isBox(type) {
+    const def = _types.get(type);
+    return !!def && def.kind === 'box';
+  }
+
+  /** Zones are boundary containers that own the shapes drawn inside them */
+  function isZone(type) {
+    const def = _types.get(type);
+    return !!def && def.kind === 'zone';
+  }
+
+  function types() { return [..._types.keys()]; }
+
+  function boxTypes() { return types().filter(isBox); }
+
+  function zoneTypes() { return types().filter(isZone); }
+
+  /** Default shape props for a newly drawn shape of this type */
+  function getDefaults(type) {
+    const def = _types.get(type);
+    return (def && def.defaults) ? { ...def.defaults } : {};
+  }
+
+  /** Semantic metadata for the architecture manifest (or null) */
+  function getMeta(type) {
+    const def = _types.get(type);
+    return (def && def.meta) || null;
+  }
+
+  /** Preloaded icon image for a shape type (or null) */
+  function getIcon(type) { return _icons[type] || null; }
+
+  // === Geometry ===
+  // `shape.rotation` (radians) turns a shape about the centre of its box.
+  // Outlines, hit-tests and handles work in the shape's own unrotated frame;
+  // world points are rotated into that frame and results rotated back out.
+
+  /** Rotation applied to a shape (connectors and freehand never rotate) */
+  function getRotation(shape) {
+    const def = _types.get(shape.type) || DEFAULT_SPEC;
+    if (def.kind === 'connector' || def.kind === 'freehand') return 0;
+    return shape.rotation || 0;
+  }
+
+  /**
+   * Unrotated bounds { x, y, w, h } from the type's own geometry,
+   * falling back to the shape's box.
+   */
+  function getBox(shape) {
+    const def = _types.get(shape.type);
+    const b = (def && def.getBounds) ? def.getBounds(shape) : null;
+    return b || { x: shape.x, y: shape.y, w: shape.width, h: shape.height };
+  }
+
+  /** Axis-aligned bounds { x, y, w, h } of the shape as drawn (rotation included) */
+  function getBounds(shape) {
+    const b = getBox(shape);
+    const rot = getRotation(shape);
+    if (!rot) return b;
+    const cx = b.x + b.w / 2, cy = b.y + b.h / 2;
+    const corners = [[b.x, b.y], [b.x + b.w, b.y], [b.x + b.w, b.y + b.h], [b.x, b.y + b.h]]
+      .map(([x, y]) => Utils.rotatePoint(x, y, cx, cy, rot));
+    return _pointsBounds(corners);
+  }
+
+  /** Map a world point into the shape's unrotated frame */
+  function toLocal(shape, px, py) {
+    const rot = getRotation(shape);
+    if (!rot) return { x: px, y: py };
+    const b = getBox(shape);
+    return Utils.rotatePoint(px, py, b.x + b.w / 2, b.y + b.h / 2, -rot);
+  }
+
+  /** Map a point in the shape's unrotated frame back to world coords */
+  function toWorld(shape, px, py) {
+    const rot = getRotation(shape);
+    if (!rot) return { x: px, y: py };
+    const b = getBox(shape);
+    return Utils.rotatePoint(px, py, b.x + b.w / 2, b.y + b.h / 2, rot);
+  }
+
+  function hitTest(shape, px, py, tolerance) {
+    const def = _types.get(shape.type) || DEFAULT_SPEC;
+    const p = toLocal(shape, px, py);
+    if (def.hitTest) return def.hitTest(shape, p.x, p.y, tolerance);
+    return OUTLINES[def.outline].contains(getBox(shape), p.x, p.y, tolerance);
+  }
+
+  /**
+   * Point where the ray centre→target leaves the shape's (rotated) outline.
+   * Unknown types are treated as rectangles so they can still be connected.
+   */
+  function getBoundaryPoint(shape, targetX, targetY) {
+    const def = _types.get(shape.type) || DEFAULT_SPEC;
+    const t = toLocal(shape, targetX, targetY);
+    const bp = OUTLINES[def.outline].boundaryPoint(getBox(shape), t.x, t.y);
+    return toWorld(shape, bp.x, bp.y);
+  }
+
+  // === Rendering ===
+
+  /**
+   * Draw a shape onto any canvas-like context with its matching Rough.js
+   * instance (live canvas, PNG export canvas or the SVG export context).
+   */
+  function draw(ctx, rc, shape) {
+    const def = _types.get(shape.type);
+    if (!def) return;
+    ctx.globalAlpha = shape.opacity || 1;
+    const rot = getRotation(shape);
+    if (rot) {
+      const b = getBox(shape);
+      const cx = b.x + b.w / 2, cy = b.y + b.h / 2;
+      ctx.save();
+      ctx.translate(cx, cy);
+      ctx.rotate(rot);
+      ctx.translate(-cx, -cy);
+    }
+    def.draw(ctx, rc, shape, styleOptions(shape));
+    if (rot) ctx.restore();
+    ctx.globalAlpha = 1;
+  }
+
+  return {
+    define,
+    get,
+    has,
+    isBox,
+    isZone,
+    types,
+    boxTypes,
+    zoneTypes,
+    getDefaults,
+    getMeta,
+    getIcon,
+    getRotation,
+    getBox,
+    getBounds,
+    toLocal,
+    toWorld,
+    hitTest,
+    getBoundaryPoint,
+    connectorPath,
+    connectorMidpoint,
+    connectorDetails,
+    draw,
+  };
+})();
+
+// The MCP server loads this file too (mcp-server/src/catalogue.js)
+if (typeof module === 'object' && module.exports) module.exports = ShapeRegistry;
@@ -3,47 +3,9 @@
 // ============================================================
 
 const Shapes = (() => {
-  // Shape types: rectangle, ellipse, diamond, line, arrow, freehand, text
-  // System shapes: database, queue, cache, server, cloud, firewall
-
-  const CONTAINER_TYPES = new Set([
-    'rectangle', 'ellipse', 'diamond',
-    'database', 'queue', 'cache', 'server', 'cloud', 'firewall',
-    'loadbalancer', 'apigateway', 'cdn', 'user', 'microservice',
-    'pubsub', 'storage', 'function', 'container', 'eventbus',
-    'browser', 'mobile', 'monitor', 'notification', 'auth',
-    'externalapi', 'scheduler', 'logger', 'search', 'datawarehouse',
-    // Generic Storage
-    'objectstorage', 'blockstorage', 'fileshare', 'archivestorage',
-    // Azure Storage
-    'blobstorage', 'filestorage', 'queuestorage', 'tablestorage',
-    'datalake', 'manageddisks',
-    // Azure Database
-    'azuresql', 'cosmosdb', 'azuremysql', 'azurepostgres',
-    'sqlmanaged', 'rediscache', 'datafactory', 'synapse',
-    // Azure Compute
-    'azurevm', 'appservice', 'azurefunc', 'aks', 'aci', 'springapps',
-    // Azure Networking
-    'vnet', 'azurelb', 'appgateway', 'expressroute',
-    'azurefirewall', 'frontdoor', 'azuredns', 'bastion',
-    // Azure Integration
-    'apim', 'servicebus', 'eventgrid', 'eventhubs', 'logicapps', 'appconfig',
-    // Azure Security
-    'keyvault', 'sentinel', 'defender', 'entraid', 'managedid',
-    // Azure DevOps & Monitoring
-    'azuredevops', 'appinsights', 'loganalytics', 'azuremonitor', 'loadtest',
-    // Azure AI & ML
-    'openai', 'cogservices', 'azureml', 'botservice', 'aisearch', 'aistudio',
-    // Azure IoT
-    'iothub', 'iotcentral', 'digitaltwins', 'iotedge',
-    // Azure Analytics
-    'databricks', 'hdinsight', 'dataexplorer', 'powerbi',
-    // Kubernetes (CRD / K8s resources)
-    'k8spod', 'k8sdeploy', 'k8ssvc', 'k8sing', 'k8sns', 'k8scrd',
-    'k8scm', 'k8ssecret', 'k8spv', 'k8spvc', 'k8ssc', 'k8ssts',
-    'k8sds', 'k8srs', 'k8sjob', 'k8scronjob', 'k8shpa', 'k8ssa',
-    'k8srole', 'k8snetpol', 'k8sep', 'k8svol', 'k8slimits', 'k8squota',
-  ]);
+  // Shape types and their geometry are declared in registry.js.
+  // Every labelled box shape and zone:
+  const CONTAINER_TYPES = new Set([...ShapeRegistry.boxTypes(), ...ShapeRegistry.zoneTypes()]);
 
   /**
    * Create a new shape object
@@ -73,6 +35,12 @@ const Shapes = (() => {
       wordWrap: false,
       // For arrow
       arrowHead: type === 'arrow',
+      // Connector routing for line/arrow: 'straight' | 'elbow' | 'curved'
+      routing: 'straight',
+      // Connector details shown under the label and exported to the manifest
+      protocol: '',         // e.g. 'HTTPS', 'gRPC', 'AMQP'
+      port: '',
+      syncMode: '',         // '' | 'sync' | 'async'
       // Edge style: 'sharp' or 'round'
       edgeStyle: 'sharp',
       // Stroke dash: 'solid' | 'dashed' | 'dotted' | 'dashdot'
@@ -83,6 +51,10 @@ const Shapes = (() => {
       // { shapeId, angle } or null
       startBinding: null,
       endBinding: null,
+      // Id of the zone this shape sits inside (see zones.js), or null
+      parentId: null,
+      // Groups this shape belongs to, innermost first (see groups.js)
+      groupIds: [],
       // Rough.js seed for consistent hand-drawn look
       seed: Math.floor(Math.random() * 2147483647),
     };
@@ -93,32 +65,7 @@ const Shapes = (() => {
    * Get the axis-aligned bounding box of a shape (world coords)
    */
   function getBounds(shape) {
-    if (shape.type === 'line' || shape.type === 'arrow') {
-      if (shape.points && shape.points.length >= 2) {
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        for (const p of shape.points) {
-          minX = Math.min(minX, p.x);
-          minY = Math.min(minY, p.y);
-          maxX = Math.max(maxX, p.x);
-          maxY = Math.max(maxY, p.y);
-        }
-        return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
-      }
-      return { x: shape.x, y: shape.y, w: shape.width, h: shape.height };
-    }
-    if (shape.type === 'freehand') {
-      if (shape.points && shape.points.length > 0) {
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        for (const p of shape.points) {
-          minX = Math.min(minX, p.x);
-          minY = Math.min(minY, p.y);
-          maxX = Math.max(maxX, p.x);
-          maxY = Math.max(maxY, p.y);
-        }
-        return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
-      }
-    }
-    return { x: shape.x, y: shape.y, w: shape.width, h: shape.height };
+    return ShapeRegistry.getBounds(shape);
   }
 
   /**
@@ -139,114 +86,13 @@ const Shapes = (() => {
    * Hit-test: is point (px, py) on/inside the shape?
    */
   function hitTest(shape, px, py, tolerance = 6) {
-    const b = getBounds(shape);
-
-    switch (shape.type) {
-      case 'rectangle':
-        return Utils.pointInRect(px, py,
-          b.x - tolerance, b.y - tolerance,
-          b.w + tolerance * 2, b.h + tolerance * 2);
-
-      case 'ellipse': {
-        const cx = b.x + b.w / 2;
-        const cy = b.y + b.h / 2;
-        return Utils.pointInEllipse(px, py, cx, cy,
-          b.w / 2 + tolerance, b.h / 2 + tolerance);
-      }
-
-      case 'diamond': {
-        const cx = b.x + b.w / 2;
-        const cy = b.y + b.h / 2;
-        return Utils.pointInDiamond(px, py, cx, cy,
-          b.w / 2 + tolerance, b.h / 2 + tolerance);
-      }
-
-      case 'line':
-      case 'arrow': {
-        if (shape.points && shape.points.length >= 2) {
-          for (let i = 0; i < shape.points.length - 1; i++) {
-            const d = Utils.pointToSegmentDist(px, py,
-              shape.points[i].x, shape.points[i].y,
-              shape.points[i + 1].x, shape.points[i + 1].y);
-            if (d <= tolerance + shape.strokeWidth) return true;
-          }
-          return false;
-        }
-        return false;
-      }
-
-      case 'freehand': {
-        if (shape.points && shape.points.length >= 2) {
-          for (let i = 0; i < shape.points.length - 1; i++) {
-            const d = Utils.pointToSegmentDist(px, py,
-              shape.points[i].x, shape.points[i].y,
-              shape.points[i + 1].x, shape.points[i + 1].y);
-            if (d <= tolerance + shape.strokeWidth + 2) return true;
-          }
-          return false;
-        }
-        return false;
-      }
-
-      case 'text':
-      case 'database':
-      case 'queue':
-      case 'cache':
-      case 'server':
-      case 'firewall':
-      case 'loadbalancer':
-      case 'apigateway':
-      case 'cdn':
-      case 'pubsub':
-      case 'storage':
-      case 'function':
-      case 'container':
-      case 'eventbus':
-      case 'browser':
-      case 'mobile':
-      case 'monitor':
-      case 'notification':
-      case 'auth':
-      case 'externalapi':
-      case 'scheduler':
-      case 'logger':
-      case 'search':
-      case 'datawarehouse': {
-        return Utils.pointInRect(px, py,
-          b.x - tolerance, b.y - tolerance,
-          b.w + tolerance * 2, b.h + tolerance * 2);
-      }
-
-      case 'cloud': {
-        const ccx = b.x + b.w / 2;
-        const ccy = b.y + b.h / 2;
-        return Utils.pointInEllipse(px, py, ccx, ccy,
-          b.w / 2 + tolerance, b.h / 2 + tolerance);
-      }
-
-      case 'user': {
-        const ucx = b.x + b.w / 2;
-        const ucy = b.y + b.h / 2;
-        return Utils.pointInEllipse(px, py, ucx, ucy,
-          b.w / 2 + tolerance, b.h / 2 + tolerance);
-      }
-
-      case 'microservice': {
-        const mcx = b.x + b.w / 2;
-        const mcy = b.y + b.h / 2;
-        return Utils.pointInDiamond(px, py, mcx, mcy,
-          b.w / 2 + tolerance, b.h / 2 + tolerance);
-      }
-
-      default:
-        return Utils.pointInRect(px, py, b.x - tolerance, b.y - tolerance,
-          b.w + tolerance * 2, b.h + tolerance * 2);
-    }
+    return ShapeRegistry.hitTest(shape, px, py, tolerance);
   }
 
   /**
    * Get resize handle at point. Returns handle name or null.
-   * Handles: nw, n, ne, e, se, s, sw, w
+   * Handles: nw, n, ne, e, se, s, sw, w, plus 'rotate' above the top edge.
+   * Box handles follow the shape's rotation.
    */
   function getHandleAtPoint(shape, px, py, handleSize = 8) {
     // Freehand: allow endpoint handles for connector binding
@@ -260,7 +106,7 @@ const Shapes = (() => {
       return null;
     }
 
-    const b = getBounds(shape);
+    const b = ShapeRegistry.getBox(shape);
     const hs = handleSize;
     const handles = {
       nw: { x: b.x,         y: b.y },
@@ -273,23 +119,62 @@ const Shapes = (() => {
       w:  { x: b.x,         y: b.y + b.h/2 },
     };
 
-    // For lines/arrows, only start and end handles
+    // For lines/arrows, start and end handles (plus control points when curved)
     if (shape.type === 'line' || shape.type === 'arrow') {
       if (shape.points && shape.points.length >= 2) {
         const startP = shape.points[0];
         const endP = shape.points[shape.points.length - 1];
         if (Utils.distance(px, py, startP.x, startP.y) <= hs) return 'lineStart';
         if (Utils.distance(px, py, endP.x, endP.y) <= hs) return 'lineEnd';
+        if (shape.routing === 'curved') {
+          for (let i = 1; i < shape.points.length - 1; i++) {
+            const p = shape.points[i];
+            if (Utils.distance(px, py, p.x, p.y) <= hs) return 'point:' + i;
+          }
+          for (const ins of getCurveInsertPoints(shape)) {
+            if (Utils.distance(px, py, ins.x, ins.y) <= hs) return 'insert:' + ins.index;
+          }
+        }
       }
       return null;
     }
 
+    // Compare in the shape's unrotated frame
+    const p = ShapeRegistry.toLocal(shape, px, py);
+    const rot = getRotationHandle(shape, hs);
+    if (Utils.distance(p.x, p.y, rot.x, rot.y) <= hs) return 'rotate';
     for (const [name, pos] of Object.entries(handles)) {
-      if (Utils.distance(px, py, pos.x, pos.y) <= hs) return name;
+      if (Utils.distance(p.x, p.y, pos.x, pos.y) <= hs) return name;
     }
     return null;
   }
 
+  /**
+   * Position of the rotation handle in the shape's unrotated frame:
+   * centred above the top edge, `handleSize * 3` away from it.
+   */
+  function getRotationHandle(shape, handleSize = 8) {
+    const b = ShapeRegistry.getBox(shape);
+    return { x: b.x + b.w / 2, y: b.y - handleSize * 3 };
+  }
+
+  /**
+   * Midpoints of each span of a curved connector, where dragging inserts a
+   * new control point. Returns [{ index, x, y }] with `index` being the
+   * position the new point takes in `shape.points`.
+   */
+  function getCurveInsertPoints(shape) {
+    const path = ShapeRegistry.connectorPath(shape);
+    const spans = shape.points.length - 1;
+    const steps = (path.length - 1) / spans;
+    const out = [];
+    for (let i = 0; i < spans; i++) {
+      const p = path[Math.round((i + 0.5) * steps)];
+      out.push({ index: i + 1, x: p.x, y: p.y });
+    }
+    return out;
+  }
+
   /**
    * Move shape by delta
    */
@@ -316,6 +201,12 @@ const Shapes = (() => {
       shape.points[shape.points.length - 1].y += dy;
       return;
     }
+    if (handle.startsWith('point:') && shape.points) {
+      const p = shape.points[parseInt(handle.slice(6), 10)];
+      p.x += dx;
+      p.y += dy;
+      return;
+    }
 
     switch (handle) {
       case 'nw': shape.x += dx; shape.y += dy; shape.width -= dx; shape.height -= dy; break;
@@ -333,103 +224,26 @@ const Shapes = (() => {
     if (shape.height < 10) shape.height = 10;
   }
 
-  // === Boundary-point intersection helpers ===
-
-  /**
-   * Ray from rectangle center to target, intersected with rect edges.
-   */
-  function _rayRectFromCenter(cx, cy, tx, ty, halfW, halfH) {
-    const dx = tx - cx;
-    const dy = ty - cy;
-    if (dx === 0 && dy === 0) return { x: cx + halfW, y: cy };
-    const absDx = Math.abs(dx);
-    const absDy = Math.abs(dy);
-    const scale = (absDx / halfW > absDy / halfH)
-      ? halfW / absDx
-      : halfH / absDy;
-    return { x: cx + dx * scale, y: cy + dy * scale };
-  }
-
-  /**
-   * Ray from ellipse center to target, intersected with ellipse boundary.
-   */
-  function _rayEllipseFromCenter(cx, cy, tx, ty, rx, ry) {
-    const dx = tx - cx;
-    const dy = ty - cy;
-    if (dx === 0 && dy === 0) return { x: cx + rx, y: cy };
-    const angle = Math.atan2(dy, dx);
-    return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
-  }
-
-  /**
-   * Ray from diamond center to target, intersected with diamond edges.
-   * Diamond edges satisfy |x/halfW| + |y/halfH| = 1.
-   */
-  function _rayDiamondFromCenter(cx, cy, tx, ty, halfW, halfH) {
-    const dx = tx - cx;
-    const dy = ty - cy;
-    if (dx === 0 && dy === 0) return { x: cx, y: cy - halfH };
-    const scale = 1 / (Math.abs(dx) / halfW + Math.abs(dy) / halfH);
-    return { x: cx + dx * scale, y: cy + dy * scale };
-  }
-
   /**
    * Get the point on a shape's boundary closest to the line from centre→target.
-   * Returns { x, y } in world coords or null if shape type is not connectable.
+   * Returns { x, y } in world coords.
    */
   function getBoundaryPoint(shape, targetX, targetY) {
-    const b = getBounds(shape);
-    const cx = b.x + b.w / 2;
-    const cy = b.y + b.h / 2;
-    switch (shape.type) {
-      case 'rectangle':
-      case 'database':
-      case 'queue':
-      case 'cache':
-      case 'server':
-      case 'firewall':
-      case 'loadbalancer':
-      case 'apigateway':
-      case 'cdn':
-      case 'pubsub':
-      case 'storage':
-      case 'function':
-      case 'container':
-      case 'eventbus':
-      case 'browser':
-      case 'mobile':
-      case 'monitor':
-      case 'notification':
-      case 'auth':
-      case 'externalapi':
-      case 'scheduler':
-      case 'logger':
-      case 'search':
-      case 'datawarehouse':
-        return _rayRectFromCenter(cx, cy, targetX, targetY, b.w / 2, b.h / 2);
-      case 'ellipse':
-      case 'cloud':
-      case 'user':
-        return _rayEllipseFromCenter(cx, cy, targetX, targetY, b.w / 2, b.h / 2);
-      case 'diamond':
-      case 'microservice':
-        return _rayDiamondFromCenter(cx, cy, targetX, targetY, b.w / 2, b.h / 2);
-      default:
-        // Fallback: treat as rectangle so unknown shapes can still be connected
-        return _rayRectFromCenter(cx, cy, targetX, targetY, b.w / 2, b.h / 2);
-    }
+    return ShapeRegistry.getBoundaryPoint(shape, targetX, targetY);
   }
 
   /**
-   * Resolve a boundary point from a stored angle (radians from center).
-   * Used to re-compute the connection point after a shape moves/resizes.
+   * Resolve a boundary point from a stored angle (radians from center,
+   * measured in the shape's unrotated frame so bindings turn with the shape).
+   * Used to re-compute the connection point after a shape moves/resizes/rotates.
    */
   function getBoundaryPointFromAngle(shape, angle) {
     const b = getBounds(shape);
     const cx = b.x + b.w / 2;
     const cy = b.y + b.h / 2;
     const far = 10000;
-    return getBoundaryPoint(shape, cx + Math.cos(angle) * far, cy + Math.sin(angle) * far);
+    const a = angle + ShapeRegistry.getRotation(shape);
+    return getBoundaryPoint(shape, cx + Math.cos(a) * far, cy + Math.sin(a) * far);
   }
 
   return {
@@ -438,6 +252,8 @@ const Shapes = (() => {
     getAnchors,
     hitTest,
     getHandleAtPoint,
+    getCurveInsertPoints,
+    getRotationHandle,
     move,
     resize,
     getBoundaryPoint,
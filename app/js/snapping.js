@@ -0,0 +1,215 @@
+// ============================================================
+// snapping.js — Snap-to-grid and smart alignment guides
+// ============================================================
+//
+// While shapes are moved, resized or drawn, their edges and centre lines
+// snap to those of nearby shapes (and to equal spacing between neighbours).
+// Whatever lines up is reported back as magenta guide segments for
+// CanvasView to draw. Snap-to-grid applies on any axis no guide claimed.
+
+const Snapping = (() => {
+  const THRESHOLD = 6; // screen px within which a guide snaps
+
+  let gridEnabled = false;
+  let guidesEnabled = true;
+
+  function setGridEnabled(on) { gridEnabled = !!on; }
+  function isGridEnabled() { return gridEnabled; }
+  function setGuidesEnabled(on) { guidesEnabled = !!on; }
+  function isGuidesEnabled() { return guidesEnabled; }
+
+  function _tolerance() { return THRESHOLD / CanvasView.getScale(); }
+
+  function _gridDelta(v) {
+    const g = CanvasView.GRID_SIZE;
+    return Math.round(v / g) * g - v;
+  }
+
+  /**
+   * Bounds of the shapes guides can snap to: everything except the shapes
+   * being dragged and connectors (which follow their bound shapes).
+   */
+  function references(shapes, excludeIds) {
+    const skip = new Set(excludeIds);
+    return shapes
+      .filter(s => !skip.has(s.id) && !s.points)
+      .map(s => Shapes.getBounds(s));
+  }
+
+  // Left / centre / right (or top / middle / bottom) lines of a box
+  function _lines(b, axis) {
+    return axis === 'x' ? [b.x, b.x + b.w / 2, b.x + b.w] : [b.y, b.y + b.h / 2, b.y + b.h];
+  }
+
+  /** Smallest shift that puts one of `moving` on a reference line, or null */
+  function _alignDelta(moving, refs, axis, tol) {
+    let best = null;
+    for (const r of refs) {
+      for (const t of _lines(r, axis)) {
+        for (const m of moving) {
+          const d = t - m;
+          if (Math.abs(d) <= tol && (best === null || Math.abs(d) < Math.abs(best))) best = d;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Equal-spacing snap along `axis`: place the box after, before or midway
+   * between two neighbours in the same row (or column) so the gaps match.
+   * Returns { delta, pairs } or null; `pairs` lists [left, right] boxes
+   * whose gaps are equal, with null standing for the moving box.
+   */
+  function _spacingSnap(b, refs, axis, tol) {
+    const P = axis, S = axis === 'x' ? 'w' : 'h';
+    const Q = axis === 'x' ? 'y' : 'x', T = axis === 'x' ? 'h' : 'w';
+    const row = refs
+      .filter(r => r[Q] < b[Q] + b[T] && r[Q] + r[T] > b[Q])
+      .sort((m, n) => m[P] - n[P]);
+
+    let best = null;
+    const consider = (pos, pairs) => {
+      const d = pos - b[P];
+      if (Math.abs(d) <= tol && (best === null || Math.abs(d) < Math.abs(best.delta))) {
+        best = { delta: d, pairs };
+      }
+    };
+    for (let i = 0; i < row.length - 1; i++) {
+      const A = row[i], B = row[i + 1];
+      const gap = B[P] - (A[P] + A[S]);
+      if (gap <= 0) continue;
+      consider(B[P] + B[S] + gap, [[A, B], [B, null]]);
+      consider(A[P] - gap - b[S], [[null, A], [A, B]]);
+      if (gap > b[S]) consider((A[P] + A[S] + B[P] - b[S]) / 2, [[A, null], [null, B]]);
+    }
+    return best;
+  }
+
+  /** Guide segments for every line of `box` that matches a reference line */
+  function _alignGuides(box, refs) {
+    const guides = [];
+    for (const axis of ['x', 'y']) {
+      const Q = axis === 'x' ? 'y' : 'x', T = axis === 'x' ? 'h' : 'w';
+      for (const m of new Set(_lines(box, axis))) {
+        let lo = box[Q], hi = box[Q] + box[T], hit = false;
+        for (const r of refs) {
+          if (!_lines(r, axis).some(t => Math.abs(t - m) < 0.5)) continue;
+          hit = true;
+          lo = Math.min(lo, r[Q]);
+          hi = Math.max(hi, r[Q] + r[T]);
+        }
+        if (!hit) continue;
+        guides.push(axis === 'x'
+          ? { x1: m, y1: lo, x2: m, y2: hi }
+          : { x1: lo, y1: m, x2: hi, y2: m });
+      }
+    }
+    return guides;
+  }
+
+  /** Gap markers between each pair of an equal-spacing snap */
+  function _spacingGuides(box, pairs, axis) {
+    const P = axis, S = axis === 'x' ? 'w' : 'h';
+    const Q = axis === 'x' ? 'y' : 'x', T = axis === 'x' ? 'h' : 'w';
+    return pairs.map(([l, r]) => {
+      l = l || box;
+      r = r || box;
+      const lo = Math.max(l[Q], r[Q]);
+      const hi = Math.min(l[Q] + l[T], r[Q] + r[T]);
+      const c = hi > lo ? (lo + hi) / 2 : (l[Q] + l[T] / 2 + r[Q] + r[T] / 2) / 2;
+      const a = l[P] + l[S], z = r[P];
+      return axis === 'x'
+        ? { x1: a, y1: c, x2: z, y2: c, gap: true }
+        : { x1: c, y1: a, x2: c, y2: z, gap: true };
+    });
+  }
+
+  /**
+   * Snap a box being moved. `box` is its unsnapped bounds { x, y, w, h }.
+   * Returns { dx, dy, guides } — the correction to apply on top of the drag.
+   */
+  function snapMove(box, refs) {
+    const tol = _tolerance();
+    const out = { dx: 0, dy: 0, guides: [] };
+    const spacing = {};
+
+    for (const axis of ['x', 'y']) {
+      let delta = null;
+      if (guidesEnabled) {
+        delta = _alignDelta(_lines(box, axis), refs, axis, tol);
+        const sp = _spacingSnap(box, refs, axis, tol);
+        if (sp && (delta === null || Math.abs(sp.delta) < Math.abs(delta))) {
+          delta = sp.delta;
+          spacing[axis] = sp.pairs;
+        }
+      }
+      if (delta === null && gridEnabled) delta = _gridDelta(box[axis]);
+      if (delta !== null) out[axis === 'x' ? 'dx' : 'dy'] = delta;
+    }
+
+    if (guidesEnabled) {
+      const final = { x: box.x + out.dx, y: box.y + out.dy, w: box.w, h: box.h };
+      out.guides = _alignGuides(final, refs);
+      for (const axis of Object.keys(spacing)) {
+        out.guides.push(..._spacingGuides(final, spacing[axis], axis));
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Snap the edges a resize handle drags ('n', 'se', ...). `box` is the
+   * unsnapped result { x, y, w, h }. Returns { box, guides }.
+   */
+  function snapResize(box, handle, refs) {
+    const tol = _tolerance();
+    const b = { ...box };
+    const edges = {
+      x: handle.includes('w') ? 'start' : (handle.includes('e') ? 'end' : null),
+      y: handle.includes('n') ? 'start' : (handle.includes('s') ? 'end' : null),
+    };
+
+    for (const axis of ['x', 'y']) {
+      if (!edges[axis]) continue;
+      const S = axis === 'x' ? 'w' : 'h';
+      const edge = edges[axis] === 'start' ? b[axis] : b[axis] + b[S];
+      let delta = guidesEnabled ? _alignDelta([edge], refs, axis, tol) : null;
+      if (delta === null && gridEnabled) delta = _gridDelta(edge);
+      if (delta === null) continue;
+      // Never snap a shape below the minimum size enforced by Shapes.resize
+      const size = edges[axis] === 'start' ? b[S] - delta : b[S] + delta;
+      if (size < 10) continue;
+      if (edges[axis] === 'start') b[axis] += delta;
+      b[S] = size;
+    }
+    return { box: b, guides: guidesEnabled ? _alignGuides(b, refs) : [] };
+  }
+
+  /**
+   * Snap a single point, e.g. the corner of a shape being drawn.
+   * Returns { x, y, guides }.
+   */
+  function snapPoint(pt, refs) {
+    const tol = _tolerance();
+    const out = { x: pt.x, y: pt.y, guides: [] };
+    for (const axis of ['x', 'y']) {
+      let delta = guidesEnabled ? _alignDelta([pt[axis]], refs, axis, tol) : null;
+      if (delta === null && gridEnabled) delta = _gridDelta(pt[axis]);
+      if (delta !== null) out[axis] += delta;
+    }
+    if (guidesEnabled) out.guides = _alignGuides({ x: out.x, y: out.y, w: 0, h: 0 }, refs);
+    return out;
+  }
+
+  return {
+    setGridEnabled,
+    isGridEnabled,
+    setGuidesEnabled,
+    isGuidesEnabled,
+    references,
+    snapMove,
+    snapResize,
+    snapPoint,
+  };
+})();
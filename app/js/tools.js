@@ -6,10 +6,11 @@ const Tools = (() => {
   let currentTool = 'select';
   let shapes = [];
   let selectedIds = new Set();
+  let editingGroupId = null; // group drilled into by double-click (see groups.js)
 
   // Drag state
   let isDragging = false;
-  let dragType = null; // 'draw', 'move', 'resize', 'pan', 'select-rect'
+  let dragType = null; // 'draw', 'move', 'resize', 'rotate', 'pan', 'select-rect'
   let dragHandle = null;
   let dragStartWorld = null;
   let dragStartScreen = null;
@@ -17,6 +18,8 @@ const Tools = (() => {
   let dragOrigShapes = null; // snapshot for move
   let selectionRect = null;
   let drawingShape = null;
+  let resizeOrigin = null;  // { world, x, y, width, height } when a box resize starts
+  let snapGuides = null;    // smart guides shown while dragging (see snapping.js)
 
   // Live cursor position in world coords (for anchor hints)
   let cursorWorld = null;
@@ -33,6 +36,7 @@ const Tools = (() => {
   let edgeStyle = 'sharp';      // 'sharp' | 'round'
   let strokeDash = 'solid';     // 'solid' | 'dashed' | 'dotted' | 'dashdot'
   let shapeFillStyle = 'none';  // 'none' | 'solid' | 'hachure' | 'cross-hatch' | 'zigzag'
+  let routing = 'straight';     // 'straight' | 'elbow' | 'curved' (lines/arrows)
 
   // Text style state
   let fontSize = 16;            // px
@@ -73,6 +77,7 @@ const Tools = (() => {
   function setShapes(s) {
     shapes = Array.isArray(s) ? s : [];
     selectedIds.clear();
+    editingGroupId = null;
   }
   function getSelectedIds() { return selectedIds; }
   function getSelectionRect() { return selectionRect; }
@@ -90,6 +95,7 @@ const Tools = (() => {
       case 'fontSize': fontSize = parseInt(value, 10) || 16; break;
       case 'textHAlign': textHAlign = value; break;
       case 'wordWrap': wordWrap = !!value; break;
+      case 'routing': routing = value; break;
     }
     // Apply to selected shapes
     for (const id of selectedIds) {
@@ -119,10 +125,22 @@ const Tools = (() => {
           s.shapeFillStyle = value;
           s.fillColor = value !== 'none' ? fillColor : 'transparent';
         }
+        if (prop === 'routing' && (s.type === 'line' || s.type === 'arrow')) {
+          // Elbow corners become curve control points; straight drops them
+          s.routing = value;
+          if (value === 'straight' && s.points && s.points.length > 2) {
+            s.points = [s.points[0], s.points[s.points.length - 1]];
+          }
+          Connectors.reroute(s, shapes);
+        }
       }
     }
     if (selectedIds.size > 0) {
-      History.push(shapes);
+      // Scrubbing a colour picker or slider fires many events; undo them as one
+      History.record(shapes, {
+        label: _describe(`Changed ${STYLE_NAMES[prop] || prop} of`, _selectedShapes()),
+        coalesce: 'style:' + prop + ':' + [...selectedIds].sort().join(','),
+      });
       redraw();
     }
   }
@@ -139,7 +157,7 @@ const Tools = (() => {
         snapTarget: drawingShape ? drawingShape._hoverSnap : null,
       };
     }
-    if (onRedraw) onRedraw(shapes, selectedIds, selectionRect, anchorHintCtx);
+    if (onRedraw) onRedraw(shapes, selectedIds, selectionRect, anchorHintCtx, snapGuides);
   }
 
   /** Check if current selection contains an arrow or line */
@@ -176,101 +194,6 @@ const Tools = (() => {
         handleSelectDown(world, e.shiftKey);
         break;
 
-      case 'rectangle':
-      case 'ellipse':
-      case 'diamond':
-      case 'database':
-      case 'queue':
-      case 'cache':
-      case 'server':
-      case 'cloud':
-      case 'firewall':
-      case 'loadbalancer':
-      case 'apigateway':
-      case 'cdn':
-      case 'user':
-      case 'microservice':
-      case 'pubsub':
-      case 'storage':
-      case 'function':
-      case 'container':
-      case 'eventbus':
-      case 'browser':
-      case 'mobile':
-      case 'monitor':
-      case 'notification':
-      case 'auth':
-      case 'externalapi':
-      case 'scheduler':
-      case 'logger':
-      case 'search':
-      case 'datawarehouse':
-      case 'blobstorage':
-      case 'filestorage':
-      case 'queuestorage':
-      case 'tablestorage':
-      case 'datalake':
-      case 'manageddisks':
-      case 'objectstorage':
-      case 'blockstorage':
-      case 'fileshare':
-      case 'archivestorage':
-      case 'azuresql':
-      case 'cosmosdb':
-      case 'azuremysql':
-      case 'azurepostgres':
-      case 'sqlmanaged':
-      case 'rediscache':
-      case 'datafactory':
-      case 'synapse':
-      case 'azurevm': case 'appservice': case 'azurefunc':
-      case 'aks': case 'aci': case 'springapps':
-      case 'vnet': case 'azurelb': case 'appgateway':
-      case 'expressroute': case 'azurefirewall': case 'frontdoor':
-      case 'azuredns': case 'bastion':
-      case 'apim': case 'servicebus': case 'eventgrid':
-      case 'eventhubs': case 'logicapps': case 'appconfig':
-      case 'keyvault': case 'sentinel': case 'defender':
-      case 'entraid': case 'managedid':
-      case 'azuredevops': case 'appinsights': case 'loganalytics':
-      case 'azuremonitor': case 'loadtest':
-      case 'openai': case 'cogservices': case 'azureml':
-      case 'botservice': case 'aisearch': case 'aistudio':
-      case 'iothub': case 'iotcentral': case 'digitaltwins': case 'iotedge':
-      case 'databricks': case 'hdinsight': case 'dataexplorer': case 'powerbi':
-      // Kubernetes
-      case 'k8spod': case 'k8sdeploy': case 'k8ssvc': case 'k8sing':
-      case 'k8sns': case 'k8scrd': case 'k8scm': case 'k8ssecret':
-      case 'k8spv': case 'k8spvc': case 'k8ssc': case 'k8ssts':
-      case 'k8sds': case 'k8srs': case 'k8sjob': case 'k8scronjob':
-      case 'k8shpa': case 'k8ssa': case 'k8srole': case 'k8snetpol':
-      case 'k8sep': case 'k8svol': case 'k8slimits': case 'k8squota': {
-        // Firewall gets default red color scheme
-        let shapeStroke = strokeColor;
-        let shapeFill = fillEnabled ? fillColor : 'transparent';
-        let shapeFillSt = shapeFillStyle;
-        if (currentTool === 'firewall') {
-          shapeStroke = '#8b0000';        // dark red border
-          shapeFill = '#fde8e8';           // light red background
-          shapeFillSt = 'solid';
-        }
-        drawingShape = Shapes.create(currentTool, {
-          x: world.x, y: world.y,
-          width: 0, height: 0,
-          strokeColor: shapeStroke,
-          fillColor: shapeFill,
-          strokeEnabled,
-          strokeWidth, edgeStyle, strokeDash,
-          shapeFillStyle: shapeFillSt,
-          fontSize,
-          textHAlign,
-          wordWrap,
-        });
-      }
-        isDragging = true;
-        dragType = 'draw';
-        break;
-
       case 'line':
       case 'arrow': {
         // Snap start point to nearest boundary point if close
@@ -285,6 +208,7 @@ const Tools = (() => {
           points: [{ ...startPt }, { ...startPt }],
           strokeColor, strokeWidth, strokeDash,
           arrowHead: currentTool === 'arrow',
+          routing,
           startBinding,
         });
         isDragging = true;
@@ -313,6 +237,30 @@ const Tools = (() => {
       case 'text':
         handleTextClick(world);
         break;
+
+      default: {
+        // Any registered box shape or zone: drag out its bounds
+        if (!ShapeRegistry.isBox(currentTool) && !ShapeRegistry.isZone(currentTool)) break;
+        const start = Snapping.snapPoint(world, Snapping.references(shapes, []));
+        dragStartWorld = { x: start.x, y: start.y };
+        drawingShape = Shapes.create(currentTool, {
+          x: world.x, y: world.y,
+          width: 0, height: 0,
+          strokeColor,
+          fillColor: fillEnabled ? fillColor : 'transparent',
+          strokeEnabled,
+          strokeWidth, edgeStyle, strokeDash,
+          shapeFillStyle,
+          fontSize,
+          textHAlign,
+          wordWrap,
+          // Per-type style defaults (e.g. firewall's red scheme)
+          ...ShapeRegistry.getDefaults(currentTool),
+        });
+        isDragging = true;
+        dragType = 'draw';
+        break;
+      }
     }
   }
 
@@ -351,6 +299,10 @@ const Tools = (() => {
         handleResizeMove(world);
         break;
 
+      case 'rotate':
+        handleRotateMove(world, e.shiftKey);
+        break;
+
       case 'select-rect': {
         const bounds = Utils.normalizeBounds(
           dragStartWorld.x, dragStartWorld.y, world.x, world.y
@@ -374,12 +326,19 @@ const Tools = (() => {
 
       case 'move':
         _tryRebindArrowsAfterMove();
-        History.push(shapes);
+        _updateContainment();
+        History.record(shapes, { label: _describe('Moved', _selectedShapes()) });
         break;
 
       case 'resize':
         _tryRebindAfterResize(world);
-        History.push(shapes);
+        _updateContainment();
+        History.record(shapes, { label: _describe(dragShape.points ? 'Reshaped' : 'Resized', [dragShape]) });
+        break;
+
+      case 'rotate':
+        _updateContainment();
+        History.record(shapes, { label: _describe('Rotated', [dragShape]) });
         break;
 
       case 'select-rect':
@@ -392,7 +351,9 @@ const Tools = (() => {
     dragHandle = null;
     drawingShape = null;
     dragOrigShapes = null;
+    resizeOrigin = null;
     selectionRect = null;
+    snapGuides = null;
     redraw();
   }
 
@@ -403,12 +364,19 @@ const Tools = (() => {
     for (const id of selectedIds) {
       const shape = shapes.find(s => s.id === id);
       if (!shape) continue;
-      const handle = Shapes.getHandleAtPoint(shape, world.x, world.y, 8 / CanvasView.getScale());
+      let handle = Shapes.getHandleAtPoint(shape, world.x, world.y, 8 / CanvasView.getScale());
       if (handle) {
+        // Dragging a span midpoint of a curved connector adds a control point
+        if (handle.startsWith('insert:')) {
+          const index = parseInt(handle.slice(7), 10);
+          shape.points.splice(index, 0, { x: world.x, y: world.y });
+          handle = 'point:' + index;
+        }
         isDragging = true;
-        dragType = 'resize';
+        dragType = handle === 'rotate' ? 'rotate' : 'resize';
         dragHandle = handle;
         dragShape = shape;
+        resizeOrigin = { world: { ...world }, x: shape.x, y: shape.y, width: shape.width, height: shape.height };
         return;
       }
     }
@@ -423,27 +391,37 @@ const Tools = (() => {
     }
 
     if (clickedShape) {
+      // Clicking outside the group being edited leaves it
+      if (editingGroupId && !(clickedShape.groupIds || []).includes(editingGroupId)) {
+        editingGroupId = null;
+      }
+      // A click picks the whole group at the current nesting level
+      const picked = Groups.expandSelection(shapes, new Set([clickedShape.id]), editingGroupId);
       if (shiftKey) {
         if (selectedIds.has(clickedShape.id)) {
-          selectedIds.delete(clickedShape.id);
+          for (const id of picked) selectedIds.delete(id);
         } else {
-          selectedIds.add(clickedShape.id);
+          for (const id of picked) selectedIds.add(id);
         }
       } else {
         if (!selectedIds.has(clickedShape.id)) {
           selectedIds.clear();
-          selectedIds.add(clickedShape.id);
+          for (const id of picked) selectedIds.add(id);
         }
       }
       isDragging = true;
       dragType = 'move';
+      // Zones carry everything inside them along
+      const inside = Zones.descendantIds(shapes, selectedIds);
       dragOrigShapes = Utils.deepClone(
-        shapes.filter(s => selectedIds.has(s.id))
+        shapes.filter(s => selectedIds.has(s.id) || inside.has(s.id))
       );
-      History.push(shapes);
       redraw();
     } else {
-      if (!shiftKey) selectedIds.clear();
+      if (!shiftKey) {
+        selectedIds.clear();
+        editingGroupId = null;
+      }
       isDragging = true;
       dragType = 'select-rect';
       selectionRect = { x: world.x, y: world.y, w: 0, h: 0 };
@@ -457,97 +435,22 @@ const Tools = (() => {
     if (!drawingShape) return;
 
     switch (drawingShape.type) {
-      case 'rectangle':
-      case 'ellipse':
-      case 'diamond':
-      case 'database':
-      case 'queue':
-      case 'cache':
-      case 'server':
-      case 'cloud':
-      case 'firewall':
-      case 'loadbalancer':
-      case 'apigateway':
-      case 'cdn':
-      case 'user':
-      case 'microservice':
-      case 'pubsub':
-      case 'storage':
-      case 'function':
-      case 'container':
-      case 'eventbus':
-      case 'browser':
-      case 'mobile':
-      case 'monitor':
-      case 'notification':
-      case 'auth':
-      case 'externalapi':
-      case 'scheduler':
-      case 'logger':
-      case 'search':
-      case 'datawarehouse':
-      case 'blobstorage':
-      case 'filestorage':
-      case 'queuestorage':
-      case 'tablestorage':
-      case 'datalake':
-      case 'manageddisks':
-      case 'objectstorage':
-      case 'blockstorage':
-      case 'fileshare':
-      case 'archivestorage':
-      case 'azuresql':
-      case 'cosmosdb':
-      case 'azuremysql':
-      case 'azurepostgres':
-      case 'sqlmanaged':
-      case 'rediscache':
-      case 'datafactory':
-      case 'synapse':
-      case 'azurevm': case 'appservice': case 'azurefunc':
-      case 'aks': case 'aci': case 'springapps':
-      case 'vnet': case 'azurelb': case 'appgateway':
-      case 'expressroute': case 'azurefirewall': case 'frontdoor':
-      case 'azuredns': case 'bastion':
-      case 'apim': case 'servicebus': case 'eventgrid':
-      case 'eventhubs': case 'logicapps': case 'appconfig':
-      case 'keyvault': case 'sentinel': case 'defender':
-      case 'entraid': case 'managedid':
-      case 'azuredevops': case 'appinsights': case 'loganalytics':
-      case 'azuremonitor': case 'loadtest':
-      case 'openai': case 'cogservices': case 'azureml':
-      case 'botservice': case 'aisearch': case 'aistudio':
-      case 'iothub': case 'iotcentral': case 'digitaltwins': case 'iotedge':
-      case 'databricks': case 'hdinsight': case 'dataexplorer': case 'powerbi':
-      // Kubernetes
-      case 'k8spod': case 'k8sdeploy': case 'k8ssvc': case 'k8sing':
-      case 'k8sns': case 'k8scrd': case 'k8scm': case 'k8ssecret':
-      case 'k8spv': case 'k8spvc': case 'k8ssc': case 'k8ssts':
-      case 'k8sds': case 'k8srs': case 'k8sjob': case 'k8scronjob':
-      case 'k8shpa': case 'k8ssa': case 'k8srole': case 'k8snetpol':
-      case 'k8sep': case 'k8svol': case 'k8slimits': case 'k8squota': {
-        const bounds = Utils.normalizeBounds(
-          dragStartWorld.x, dragStartWorld.y, world.x, world.y
-        );
-        drawingShape.x = bounds.x;
-        drawingShape.y = bounds.y;
-        drawingShape.width = bounds.w;
-        drawingShape.height = bounds.h;
-        break;
-      }
-
       case 'line':
       case 'arrow': {
         // Snap end point to nearest boundary point
         const endSnap = Connectors.findNearestBoundaryPoint(shapes, world.x, world.y,
           drawingShape.startBinding ? [drawingShape.startBinding.shapeId] : []);
+        const startPt = drawingShape.points[0];
         if (endSnap) {
-          drawingShape.points[1] = { x: endSnap.x, y: endSnap.y };
+          drawingShape.points = [startPt, { x: endSnap.x, y: endSnap.y }];
+          drawingShape.endBinding = { shapeId: endSnap.shapeId, angle: endSnap.angle };
           drawingShape._hoverSnap = endSnap; // temp ref for finishDraw
         } else {
-          drawingShape.points[1] = { x: world.x, y: world.y };
+          drawingShape.points = [startPt, { x: world.x, y: world.y }];
+          drawingShape.endBinding = null;
           drawingShape._hoverSnap = null;
         }
+        Connectors.reroute(drawingShape, shapes);
         break;
       }
 
@@ -559,6 +462,20 @@ const Tools = (() => {
         drawingShape._hoverSnap = fhEndSnap || null;
         break;
       }
+
+      default: {
+        // Box shapes: drag out bounds from the start point
+        const corner = Snapping.snapPoint(world, Snapping.references(shapes, []));
+        snapGuides = corner.guides;
+        const bounds = Utils.normalizeBounds(
+          dragStartWorld.x, dragStartWorld.y, corner.x, corner.y
+        );
+        drawingShape.x = bounds.x;
+        drawingShape.y = bounds.y;
+        drawingShape.width = bounds.w;
+        drawingShape.height = bounds.h;
+        break;
+      }
     }
 
     // Temporarily render the in-progress shape
@@ -568,7 +485,8 @@ const Tools = (() => {
       null,
       (drawingShape.type === 'arrow' || drawingShape.type === 'line' || drawingShape.type === 'freehand')
         ? { cursorWorld: cursorWorld, snapTarget: drawingShape._hoverSnap || null }
-        : null
+        : null,
+      snapGuides
     );
   }
 
@@ -580,9 +498,10 @@ const Tools = (() => {
     if (Shapes.CONTAINER_TYPES.has(drawingShape.type)) {
       if (drawingShape.width < 5 && drawingShape.height < 5) tooSmall = true;
     } else if ((drawingShape.type === 'line' || drawingShape.type === 'arrow') && drawingShape.points) {
+      const last = drawingShape.points[drawingShape.points.length - 1];
       const d = Utils.distance(
         drawingShape.points[0].x, drawingShape.points[0].y,
-        drawingShape.points[1].x, drawingShape.points[1].y
+        last.x, last.y
       );
       if (d < 5) tooSmall = true;
     } else if (drawingShape.type === 'freehand' && drawingShape.points) {
@@ -611,8 +530,9 @@ const Tools = (() => {
         drawingShape.text = pendingShapeLabel;
       }
 
-      History.push(shapes);
       shapes.push(drawingShape);
+      _updateContainment();
+      History.record(shapes, { label: _describe('Added', [drawingShape]) });
       selectedIds.clear();
       selectedIds.add(drawingShape.id);
     }
@@ -624,11 +544,23 @@ const Tools = (() => {
   // === MOVE ===
 
   function handleMoveMove(world) {
-    const dx = world.x - dragStartWorld.x;
-    const dy = world.y - dragStartWorld.y;
+    let dx = world.x - dragStartWorld.x;
+    let dy = world.y - dragStartWorld.y;
 
     const movedIds = new Set(dragOrigShapes.map(o => o.id));
 
+    // Snap the dragged shapes' combined bounds to guides / the grid.
+    // Loose connectors have no edges of their own to align.
+    const boxes = dragOrigShapes.filter(o => !o.points);
+    if (boxes.length > 0) {
+      const b = Groups.getBounds(boxes);
+      const snap = Snapping.snapMove({ x: b.x + dx, y: b.y + dy, w: b.w, h: b.h },
+        Snapping.references(shapes, movedIds));
+      dx += snap.dx;
+      dy += snap.dy;
+      snapGuides = snap.guides;
+    }
+
     // First pass: move all selected shapes to their new positions
     for (const orig of dragOrigShapes) {
       const shape = shapes.find(s => s.id === orig.id);
@@ -684,6 +616,51 @@ const Tools = (() => {
       } else {
         Shapes.resize(dragShape, dragHandle, dx, dy);
       }
+      if (dragShape.routing === 'elbow') {
+        // Route against the live snap target, not the binding being dragged away
+        const binding = snap ? { shapeId: snap.shapeId, angle: snap.angle } : null;
+        if (dragHandle === 'lineStart') dragShape.startBinding = binding;
+        else dragShape.endBinding = binding;
+        Connectors.reroute(dragShape, shapes);
+      }
+    } else if (resizeOrigin && !dragShape.points) {
+      // Box handles: resize from the original bounds by the total drag so
+      // snapping never drifts away from the pointer
+      const o = resizeOrigin;
+      const target = { x: o.x, y: o.y, width: o.width, height: o.height };
+      const rot = ShapeRegistry.getRotation(dragShape);
+      let snap;
+      if (rot) {
+        // Rotated: resize along the shape's own axes, then shift the box so
+        // the opposite edge stays put on screen. Guides only apply unrotated.
+        const d = Utils.rotatePoint(world.x - o.world.x, world.y - o.world.y, 0, 0, -rot);
+        Shapes.resize(target, dragHandle, d.x, d.y);
+        const c0 = { x: o.x + o.width / 2, y: o.y + o.height / 2 };
+        const c = Utils.rotatePoint(target.x + target.width / 2, target.y + target.height / 2, c0.x, c0.y, rot);
+        snap = {
+          box: { x: c.x - target.width / 2, y: c.y - target.height / 2, w: target.width, h: target.height },
+          guides: null,
+        };
+      } else {
+        Shapes.resize(target, dragHandle, world.x - o.world.x, world.y - o.world.y);
+        const exclude = [dragShape.id, ...Zones.descendantIds(shapes, [dragShape.id])];
+        snap = Snapping.snapResize(
+          { x: target.x, y: target.y, w: target.width, h: target.height },
+          dragHandle, Snapping.references(shapes, exclude));
+      }
+      snapGuides = snap.guides;
+
+      const prev = { x: dragShape.x, y: dragShape.y, width: dragShape.width, height: dragShape.height };
+      dragShape.x = snap.box.x;
+      dragShape.y = snap.box.y;
+      dragShape.width = snap.box.w;
+      dragShape.height = snap.box.h;
+      // Keep a zone's children in place relative to its new bounds
+      if (ShapeRegistry.isZone(dragShape.type)) {
+        for (const id of Zones.fitChildren(shapes, dragShape, prev)) {
+          Connectors.updateBindings(shapes, id);
+        }
+      }
     } else {
       Shapes.resize(dragShape, dragHandle, dx, dy);
     }
@@ -692,6 +669,23 @@ const Tools = (() => {
     redraw();
   }
 
+  // === ROTATE ===
+
+  const ROTATE_SNAP = Math.PI / 12; // 15° steps while Shift is held
+
+  function handleRotateMove(world, shiftKey) {
+    const b = ShapeRegistry.getBox(dragShape);
+    const cx = b.x + b.w / 2;
+    const cy = b.y + b.h / 2;
+    // The handle sits straight above the centre, so "up" is zero rotation
+    let angle = Math.atan2(world.y - cy, world.x - cx) + Math.PI / 2;
+    if (shiftKey) angle = Math.round(angle / ROTATE_SNAP) * ROTATE_SNAP;
+    angle = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    dragShape.rotation = angle;
+    Connectors.updateBindings(shapes, dragShape.id);
+    redraw();
+  }
+
   /**
    * After finishing a move of arrow/line/freehand shapes, try to re-bind
    * their endpoints to nearby shape boundaries.
@@ -726,6 +720,8 @@ const Tools = (() => {
           shape.endBinding = { shapeId: endSnap.shapeId, angle: endSnap.angle };
         }
       }
+
+      Connectors.reroute(shape, shapes);
     }
   }
 
@@ -760,6 +756,16 @@ const Tools = (() => {
         dragShape.endBinding = null;
       }
     }
+    Connectors.reroute(dragShape, shapes);
+  }
+
+  /**
+   * Re-derive which zone each shape sits in and keep every zone drawn
+   * behind its contents. Run after anything that moves, adds or removes shapes.
+   */
+  function _updateContainment() {
+    Zones.assignParents(shapes);
+    Zones.orderByContainment(shapes);
   }
 
   // === SELECTION RECT ===
@@ -767,12 +773,21 @@ const Tools = (() => {
   function finishSelectRect() {
     if (!selectionRect) return;
 
+    const r = selectionRect;
     for (const shape of shapes) {
       const b = Shapes.getBounds(shape);
-      if (Utils.rectsOverlap(selectionRect, b)) {
+      // Zones are only picked up when fully enclosed, so a rubber band
+      // drawn inside a zone selects its contents rather than the zone
+      const hit = ShapeRegistry.isZone(shape.type)
+        ? (b.x >= r.x && b.y >= r.y && b.x + b.w <= r.x + r.w && b.y + b.h <= r.y + r.h)
+        : Utils.rectsOverlap(r, b);
+      if (hit) {
         selectedIds.add(shape.id);
       }
     }
+    for (const id of Groups.expandSelection(shapes, selectedIds, editingGroupId)) {
+      selectedIds.add(id);
+    }
     selectionRect = null;
   }
 
@@ -849,11 +864,16 @@ const Tools = (() => {
   let _editingInShapeRef = null;
 
   /**
-   * Start editing text inside a container shape (rectangle, ellipse, diamond).
+   * Start editing text inside a container shape (rectangle, ellipse, diamond),
+   * or the label of a connector.
    * Called when Enter is pressed with a shape selected, or on double-click.
    */
   function editShapeText(shape) {
     if (!shape) return;
+    if (shape.type === 'line' || shape.type === 'arrow' || shape.type === 'freehand') {
+      _editConnectorLabel(shape);
+      return;
+    }
     // Only container shapes can hold text
     if (!Shapes.CONTAINER_TYPES.has(shape.type)) return;
 
@@ -898,8 +918,8 @@ const Tools = (() => {
     const input = document.getElementById('textInput');
     if (!_editingInShapeRef) return;
 
-    History.push(shapes);
     _editingInShapeRef.text = input.value;
+    History.record(shapes, { label: _describe('Edited text of', [_editingInShapeRef]) });
 
     _editingInShapeRef = null;
     input.style.display = 'none';
@@ -909,7 +929,86 @@ const Tools = (() => {
     redraw();
   }
 
+  // Connector whose label is being edited (null when the editor is closed)
+  let _editingConnectorRef = null;
+
+  /**
+   * Open the connector label editor at the middle of the connector's path.
+   * Besides the label it edits the protocol, port and sync/async fields.
+   */
+  function _editConnectorLabel(shape) {
+    const editor = document.getElementById('connectorEditor');
+    const labelInput = document.getElementById('connLabelInput');
+    const canvasEl = document.getElementById('drawCanvas');
+    const canvasRect = canvasEl.getBoundingClientRect();
+    const mid = ShapeRegistry.connectorMidpoint(shape);
+    const screen = CanvasView.worldToScreen(mid.x, mid.y);
+
+    editor.style.display = 'block';
+    editor.style.left = (canvasRect.left + screen.x) + 'px';
+    editor.style.top = (canvasRect.top + screen.y) + 'px';
+    labelInput.value = shape.text || '';
+    document.getElementById('connProtocolInput').value = shape.protocol || '';
+    document.getElementById('connPortInput').value = shape.port || '';
+    document.getElementById('connSyncSelect').value = shape.syncMode || '';
+
+    _textEditOpenedAt = Date.now();
+    _editingConnectorRef = shape;
+
+    editor.onkeydown = (e) => {
+      if (e.key === 'Escape') {
+        _closeConnectorEditor(false);
+      } else if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        _closeConnectorEditor(true);
+      }
+    };
+    editor.onfocusout = (e) => {
+      // Moving focus between the editor's own fields keeps it open
+      if (e.relatedTarget && editor.contains(e.relatedTarget)) return;
+      if (Date.now() - _textEditOpenedAt < 300) {
+        setTimeout(() => labelInput.focus(), 0);
+        return;
+      }
+      _closeConnectorEditor(true);
+    };
+
+    setTimeout(() => { labelInput.focus(); labelInput.select(); }, 100);
+  }
+
+  function _closeConnectorEditor(commit) {
+    const editor = document.getElementById('connectorEditor');
+    const shape = _editingConnectorRef;
+    if (!shape) return;
+    _editingConnectorRef = null;
+
+    if (commit) {
+      const text = document.getElementById('connLabelInput').value;
+      const protocol = document.getElementById('connProtocolInput').value.trim();
+      const port = document.getElementById('connPortInput').value.trim();
+      const syncMode = document.getElementById('connSyncSelect').value;
+      if (text !== (shape.text || '') || protocol !== (shape.protocol || '') ||
+          port !== String(shape.port || '') || syncMode !== (shape.syncMode || '')) {
+        shape.text = text;
+        shape.protocol = protocol;
+        shape.port = port;
+        shape.syncMode = syncMode;
+        History.record(shapes, { label: _describe('Edited label of', [shape]) });
+      }
+    }
+
+    editor.onfocusout = null;
+    editor.style.display = 'none';
+    redraw();
+  }
+
   function finishTextEditing() {
+    // If editing a connector label, commit it
+    if (_editingConnectorRef) {
+      _closeConnectorEditor(true);
+      return;
+    }
+
     // If editing text inside a shape, use that handler
     if (_editingInShapeRef) {
       _finishShapeTextEditing();
@@ -934,8 +1033,8 @@ const Tools = (() => {
       editingTextShape.width = maxW + 8;
       editingTextShape.height = lines.length * editingTextShape.fontSize * 1.4;
 
-      History.push(shapes);
       shapes.push(editingTextShape);
+      History.record(shapes, { label: _describe('Added', [editingTextShape]) });
     }
 
     editingTextShape = null;
@@ -951,13 +1050,13 @@ const Tools = (() => {
    */
   function setTextVAlign(align) {
     if (selectedIds.size === 0) return;
-    History.push(shapes);
     for (const id of selectedIds) {
       const s = shapes.find(sh => sh.id === id);
       if (s && (Shapes.CONTAINER_TYPES.has(s.type) || s.type === 'text')) {
         s.textVAlign = align;
       }
     }
+    History.record(shapes, { label: _describe('Changed text alignment of', _selectedShapes()) });
     redraw();
   }
 
@@ -992,6 +1091,7 @@ const Tools = (() => {
           n: 'ns-resize', s: 'ns-resize',
           e: 'ew-resize', w: 'ew-resize',
           lineStart: 'grab', lineEnd: 'grab',
+          rotate: 'grab',
         };
         canvas.style.cursor = cursors[handle] || 'move';
         return;
@@ -1009,11 +1109,45 @@ const Tools = (() => {
     canvas.style.cursor = 'default';
   }
 
+  // === HISTORY DESCRIPTIONS ===
+
+  const STYLE_NAMES = {
+    strokeColor: 'stroke color',
+    fillColor: 'fill',
+    strokeWidth: 'stroke width',
+    strokeEnabled: 'border',
+    edgeStyle: 'edges',
+    strokeDash: 'line style',
+    shapeFillStyle: 'fill style',
+    fontSize: 'font size',
+    textHAlign: 'text alignment',
+    wordWrap: 'word wrap',
+    routing: 'routing',
+  };
+
+  function _selectedShapes() {
+    return shapes.filter(s => selectedIds.has(s.id));
+  }
+
+  /** Short name of a shape for history entries: its text, else its service */
+  function _shapeName(shape) {
+    const text = (shape.text || '').split('\n')[0].trim();
+    if (text) return text.length > 24 ? text.slice(0, 23) + '…' : text;
+    const meta = ShapeRegistry.getMeta(shape.type);
+    return meta ? meta.service : shape.type;
+  }
+
+  /** "Moved Cosmos DB" for one shape, "Moved 3 shapes" for several */
+  function _describe(verb, list) {
+    if (list.length === 1) return `${verb} ${_shapeName(list[0])}`;
+    return `${verb} ${list.length} shapes`;
+  }
+
   // === ACTIONS ===
 
   function deleteSelected() {
     if (selectedIds.size === 0) return;
-    History.push(shapes);
+    const label = _describe('Deleted', _selectedShapes());
     // Clean up bindings referencing deleted shapes
     const deletedIds = new Set(selectedIds);
     for (const shape of shapes) {
@@ -1026,26 +1160,45 @@ const Tools = (() => {
       }
     }
     shapes = shapes.filter(s => !selectedIds.has(s.id));
+    _updateContainment();
+    History.record(shapes, { label });
     selectedIds.clear();
     redraw();
   }
 
-  function duplicateSelected() {
-    if (selectedIds.size === 0) return;
-    History.push(shapes);
-    const newIds = new Set();
-    for (const id of selectedIds) {
-      const orig = shapes.find(s => s.id === id);
-      if (!orig) continue;
+  /**
+   * Add offset copies of `originals` on top of the canvas and select them.
+   * Connector bindings between copied shapes are remapped to the copies;
+   * bindings to shapes that were not copied are cleared. Copied groups
+   * become new groups.
+   */
+  function _insertCopies(originals, offset) {
+    const idMap = new Map();
+    const copies = originals.map(orig => {
       const copy = Utils.deepClone(orig);
       copy.id = Utils.generateId();
       copy.seed = Math.floor(Math.random() * 2147483647);
-      Shapes.move(copy, 20, 20);
-      shapes.push(copy);
-      newIds.add(copy.id);
+      idMap.set(orig.id, copy.id);
+      return copy;
+    });
+    for (const copy of copies) {
+      for (const key of ['startBinding', 'endBinding']) {
+        const b = copy[key];
+        if (b) copy[key] = idMap.has(b.shapeId) ? { ...b, shapeId: idMap.get(b.shapeId) } : null;
+      }
+      Shapes.move(copy, offset, offset);
     }
+    Groups.remapCopies(shapes, copies);
+    shapes.push(...copies);
+    _updateContainment();
     selectedIds.clear();
-    for (const id of newIds) selectedIds.add(id);
+    for (const copy of copies) selectedIds.add(copy.id);
+  }
+
+  function duplicateSelected() {
+    if (selectedIds.size === 0) return;
+    _insertCopies(shapes.filter(s => selectedIds.has(s.id)), 20);
+    History.record(shapes, { label: _describe('Duplicated', _selectedShapes()) });
     redraw();
   }
 
@@ -1054,12 +1207,8 @@ const Tools = (() => {
    */
   function copySelected() {
     if (selectedIds.size === 0) return;
-    clipboard = [];
+    clipboard = Utils.deepClone(shapes.filter(s => selectedIds.has(s.id)));
     pasteCount = 0;
-    for (const id of selectedIds) {
-      const orig = shapes.find(s => s.id === id);
-      if (orig) clipboard.push(Utils.deepClone(orig));
-    }
   }
 
   /**
@@ -1078,43 +1227,184 @@ const Tools = (() => {
     if (clipboard.length === 0) return;
     pasteCount++;
     const offset = pasteCount * 20;
-    History.push(shapes);
-    const newIds = new Set();
-    for (const item of clipboard) {
-      const copy = Utils.deepClone(item);
-      copy.id = Utils.generateId();
-      copy.seed = Math.floor(Math.random() * 2147483647);
-      // Clear bindings — pasted shapes are independent
-      copy.startBinding = null;
-      copy.endBinding = null;
-      Shapes.move(copy, offset, offset);
-      shapes.push(copy);
-      newIds.add(copy.id);
-    }
-    selectedIds.clear();
-    for (const id of newIds) selectedIds.add(id);
+    _insertCopies(clipboard, offset);
+    History.record(shapes, { label: _describe('Pasted', _selectedShapes()) });
     redraw();
   }
 
   function bringToFront() {
     if (selectedIds.size === 0) return;
-    History.push(shapes);
     const sel = shapes.filter(s => selectedIds.has(s.id));
     shapes = shapes.filter(s => !selectedIds.has(s.id));
     shapes.push(...sel);
+    Zones.orderByContainment(shapes);
+    History.record(shapes, { label: _describe('Brought', sel) + ' to front' });
     redraw();
   }
 
   function sendToBack() {
     if (selectedIds.size === 0) return;
-    History.push(shapes);
     const sel = shapes.filter(s => selectedIds.has(s.id));
     shapes = shapes.filter(s => !selectedIds.has(s.id));
     shapes.unshift(...sel);
+    Zones.orderByContainment(shapes);
+    History.record(shapes, { label: _describe('Sent', sel) + ' to back' });
+    redraw();
+  }
+
+  // === ALIGN / DISTRIBUTE ===
+
+  /**
+   * Split the selection into units that align as one block: each selected
+   * group at the current nesting level, and every other selected shape.
+   * Loose connectors are skipped — they follow their bound shapes.
+   * Returns [{ members, bounds }].
+   */
+  function _selectionUnits() {
+    const units = new Map();
+    for (const shape of shapes) {
+      if (!selectedIds.has(shape.id)) continue;
+      const gid = Groups.groupAtLevel(shape, editingGroupId);
+      if (!gid && shape.points) continue;
+      const key = gid || shape.id;
+      if (!units.has(key)) units.set(key, []);
+      units.get(key).push(shape);
+    }
+    return [...units.values()].map(members => ({ members, bounds: Groups.getBounds(members) }));
+  }
+
+  /**
+   * Move alignment units by per-unit offsets, carrying zone contents along,
+   * then let bound connectors follow.
+   */
+  function _moveUnits(units, offsets) {
+    const moved = new Set();
+    units.forEach((unit, i) => {
+      const { dx, dy } = offsets[i];
+      if (dx === 0 && dy === 0) return;
+      const ids = new Set(unit.members.map(m => m.id));
+      for (const id of Zones.descendantIds(shapes, ids)) ids.add(id);
+      for (const id of ids) {
+        if (moved.has(id)) continue;
+        Shapes.move(shapes.find(s => s.id === id), dx, dy);
+        moved.add(id);
+      }
+    });
+    for (const id of moved) Connectors.updateBindings(shapes, id);
+    _updateContainment();
+  }
+
+  /**
+   * Align the selection to the edge or centre line of its combined bounds.
+   * edge: 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'
+   */
+  function alignSelected(edge) {
+    const units = _selectionUnits();
+    if (units.length < 2) return;
+    const all = Groups.getBounds(units.flatMap(u => u.members));
+    const offsets = units.map(({ bounds: b }) => {
+      switch (edge) {
+        case 'left':   return { dx: all.x - b.x, dy: 0 };
+        case 'center': return { dx: all.x + all.w / 2 - (b.x + b.w / 2), dy: 0 };
+        case 'right':  return { dx: all.x + all.w - (b.x + b.w), dy: 0 };
+        case 'top':    return { dx: 0, dy: all.y - b.y };
+        case 'middle': return { dx: 0, dy: all.y + all.h / 2 - (b.y + b.h / 2) };
+        case 'bottom': return { dx: 0, dy: all.y + all.h - (b.y + b.h) };
+        default:       return { dx: 0, dy: 0 };
+      }
+    });
+    _moveUnits(units, offsets);
+    History.record(shapes, { label: `${_describe('Aligned', _selectedShapes())} ${edge}` });
+    redraw();
+  }
+
+  /**
+   * Space the selection evenly between its outermost shapes so the gaps
+   * between neighbours are equal. axis: 'horizontal' | 'vertical'
+   */
+  function distributeSelected(axis) {
+    const units = _selectionUnits();
+    if (units.length < 3) return;
+    const pos = axis === 'vertical' ? 'y' : 'x';
+    const size = axis === 'vertical' ? 'h' : 'w';
+    const order = units
+      .map((u, i) => ({ i, b: u.bounds }))
+      .sort((a, b) => (a.b[pos] + a.b[size] / 2) - (b.b[pos] + b.b[size] / 2));
+
+    const first = order[0].b;
+    const last = order[order.length - 1].b;
+    const span = last[pos] + last[size] - first[pos];
+    const occupied = order.reduce((sum, o) => sum + o.b[size], 0);
+    const gap = (span - occupied) / (order.length - 1);
+
+    const offsets = units.map(() => ({ dx: 0, dy: 0 }));
+    let cursor = first[pos];
+    for (const o of order) {
+      const delta = cursor - o.b[pos];
+      offsets[o.i] = axis === 'vertical' ? { dx: 0, dy: delta } : { dx: delta, dy: 0 };
+      cursor += o.b[size] + gap;
+    }
+    _moveUnits(units, offsets);
+    History.record(shapes, { label: _describe('Distributed', _selectedShapes()) });
+    redraw();
+  }
+
+  /**
+   * Group the selection (Ctrl+G). Inside a drilled-into group the new group
+   * nests within it.
+   */
+  function groupSelected() {
+    if (selectedIds.size < 2) return;
+    Groups.group(shapes, selectedIds, editingGroupId);
+    History.record(shapes, { label: _describe('Grouped', _selectedShapes()) });
+    redraw();
+  }
+
+  /**
+   * Dissolve the selected group(s) at the current nesting level (Ctrl+Shift+G).
+   */
+  function ungroupSelected() {
+    const grouped = shapes.some(s => selectedIds.has(s.id) && Groups.groupAtLevel(s, editingGroupId));
+    if (!grouped) return;
+    Groups.ungroup(shapes, selectedIds, editingGroupId);
+    History.record(shapes, { label: _describe('Ungrouped', _selectedShapes()) });
+    redraw();
+  }
+
+  /**
+   * Double-click drill-in: if `shape` is selected as part of a group, start
+   * editing that group and select the shape's next level down.
+   * Returns false when there is no group to enter.
+   */
+  function enterGroup(shape) {
+    const gid = Groups.groupAtLevel(shape, editingGroupId);
+    if (!gid) return false;
+    editingGroupId = gid;
+    selectedIds.clear();
+    for (const id of Groups.expandSelection(shapes, new Set([shape.id]), editingGroupId)) {
+      selectedIds.add(id);
+    }
+    redraw();
+    return true;
+  }
+
+  /**
+   * Select a shape (with the rest of its group) unless it already is.
+   */
+  function selectShape(shape) {
+    if (selectedIds.has(shape.id)) return;
+    if (editingGroupId && !(shape.groupIds || []).includes(editingGroupId)) {
+      editingGroupId = null;
+    }
+    selectedIds.clear();
+    for (const id of Groups.expandSelection(shapes, new Set([shape.id]), editingGroupId)) {
+      selectedIds.add(id);
+    }
     redraw();
   }
 
   function selectAll() {
+    editingGroupId = null;
     selectedIds.clear();
     for (const s of shapes) selectedIds.add(s.id);
     redraw();
@@ -1125,6 +1415,7 @@ const Tools = (() => {
     if (prev) {
       shapes = prev;
       selectedIds.clear();
+      editingGroupId = null;
       redraw();
     }
   }
@@ -1134,6 +1425,38 @@ const Tools = (() => {
     if (next) {
       shapes = next;
       selectedIds.clear();
+      editingGroupId = null;
+      redraw();
+    }
+  }
+
+  /** Jump to any step of the history tree (history panel) */
+  function goToHistory(stepId) {
+    const result = History.goTo(shapes, stepId);
+    if (result) {
+      shapes = result;
+      selectedIds.clear();
+      editingGroupId = null;
+      redraw();
+    }
+  }
+
+  /** Replace the whole diagram as one undoable step (e.g. restoring a version) */
+  function replaceShapes(list, label) {
+    shapes = list;
+    selectedIds.clear();
+    editingGroupId = null;
+    History.record(shapes, { label });
+    redraw();
+  }
+
+  /** Restore a pinned checkpoint as a new step, keeping undone steps as a branch */
+  function restoreCheckpoint(id) {
+    const result = History.restoreCheckpoint(shapes, id);
+    if (result) {
+      shapes = result;
+      selectedIds.clear();
+      editingGroupId = null;
       redraw();
     }
   }
@@ -1157,9 +1480,18 @@ const Tools = (() => {
     pasteClipboard,
     bringToFront,
     sendToBack,
+    alignSelected,
+    distributeSelected,
+    groupSelected,
+    ungroupSelected,
+    enterGroup,
+    selectShape,
     selectAll,
     undo,
     redo,
+    goToHistory,
+    restoreCheckpoint,
+    replaceShapes,
     redraw,
     finishTextEditing,
     editShapeText,
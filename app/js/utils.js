@@ -5,8 +5,10 @@
 const Utils = (() => {
   let _idCounter = 0;
 
+  // The random part keeps ids from different collaborators apart
   function generateId() {
-    return 'shape_' + Date.now().toString(36) + '_' + (++_idCounter);
+    return 'shape_' + Date.now().toString(36) + '_' + (++_idCounter) +
+      Math.random().toString(36).slice(2, 6);
   }
 
   // Distance between two points
@@ -70,6 +72,35 @@ const Utils = (() => {
     return a + (b - a) * t;
   }
 
+  // Rotate point (px, py) by `rad` radians around (cx, cy)
+  function rotatePoint(px, py, cx, cy, rad) {
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    const dx = px - cx, dy = py - cy;
+    return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+  }
+
+  // Sample a Catmull-Rom spline through `points` (steps samples per span).
+  // The result starts and ends on the first/last point and passes through
+  // every point in between.
+  function catmullRom(points, steps = 16) {
+    if (points.length < 2) return points.map(p => ({ x: p.x, y: p.y }));
+    const out = [{ x: points[0].x, y: points[0].y }];
+    for (let i = 0; i < points.length - 1; i++) {
+      const p0 = points[Math.max(0, i - 1)];
+      const p1 = points[i];
+      const p2 = points[i + 1];
+      const p3 = points[Math.min(points.length - 1, i + 2)];
+      for (let k = 1; k <= steps; k++) {
+        const t = k / steps, t2 = t * t, t3 = t2 * t;
+        out.push({
+          x: 0.5 * (2 * p1.x + (-p0.x + p2.x) * t + (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 + (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3),
+          y: 0.5 * (2 * p1.y + (-p0.y + p2.y) * t + (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 + (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3),
+        });
+      }
+    }
+    return out;
+  }
+
   // Deep clone (JSON-safe)
   function deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
@@ -87,6 +118,8 @@ const Utils = (() => {
     rectsOverlap,
     angle,
     lerp,
+    rotatePoint,
+    catmullRom,
     deepClone,
   };
 })();
@@ -0,0 +1,308 @@
+// ============================================================
+// workspace.js — Multi-document storage in IndexedDB
+// ============================================================
+//
+// Every diagram is a document. Object stores:
+//   documents — { id, name, thumbnail, created, modified, versionedAt, shapeCount }
+//   contents  — { id, shapes } (kept apart so listing stays cheap)
+//   versions  — { id, docId, time, shapes, shapeCount }, indexed by docId
+//
+// The open document is saved shortly after each change; a version snapshot
+// is taken at most every VERSION_INTERVAL, keeping the newest MAX_VERSIONS.
+// Storage errors (quota above all) are reported to the user once until the
+// next successful save.
+
+const Workspace = (() => {
+  const DB_NAME = 'systemdraw';
+  const DB_VERSION = 1;
+  const CURRENT_KEY = 'systemdraw_current_doc';
+  const LEGACY_KEY = 'systemdraw_autosave';
+  const SAVE_DELAY = 800;
+  const VERSION_INTERVAL = 10 * 60 * 1000;
+  const MAX_VERSIONS = 20;
+
+  let dbPromise = null;
+  let currentId = null;
+  let pendingShapes = null;
+  let saveTimer = null;
+  let savedJson = null;       // open document as last written, to skip no-op saves
+  let thumbnailStale = false; // routine saves leave the thumbnail behind
+  let errorReported = false;
+
+  function _openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          db.createObjectStore('documents', { keyPath: 'id' });
+          db.createObjectStore('contents', { keyPath: 'id' });
+          db.createObjectStore('versions', { keyPath: 'id' }).createIndex('docId', 'docId');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run `fn(...stores)` inside one transaction. Resolves once it commits,
+   * with the result of the request `fn` returned (or `fn`'s own value).
+   */
+  function _tx(storeNames, mode, fn) {
+    return _openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      // A failed request aborts the transaction; tx.error then carries the
+      // cause (e.g. QuotaExceededError) rather than the requests' AbortError
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+      result = fn(...storeNames.map(n => tx.objectStore(n)));
+    }));
+  }
+
+  /** Tell the user a save failed — once, until a save succeeds again */
+  function _report(err) {
+    if (!errorReported) {
+      errorReported = true;
+      if (err && err.name === 'QuotaExceededError') {
+        alert('Storage is full, so your latest changes are not saved. ' +
+          'Delete diagrams or old versions to free up space.');
+      } else {
+        alert('Could not save the diagram: ' + (err && err.message ? err.message : err));
+      }
+    }
+    throw err;
+  }
+
+  function _sortByModified(docs) {
+    return docs.sort((a, b) => b.modified - a.modified);
+  }
+
+  // === Documents ===
+
+  /** All documents (without their shapes), most recently modified first */
+  function list() {
+    return _tx(['documents'], 'readonly', docs => docs.getAll()).then(_sortByModified);
+  }
+
+  /** Create a document; resolves with its metadata */
+  function create(name, shapes = []) {
+    const now = Date.now();
+    const doc = {
+      id: Utils.generateId(),
+      name: name || 'Untitled diagram',
+      thumbnail: Export.toThumbnail(shapes),
+      created: now,
+      modified: now,
+      versionedAt: 0,
+      shapeCount: shapes.length,
+    };
+    const data = Utils.deepClone(shapes);
+    return _tx(['documents', 'contents'], 'readwrite', (docs, contents) => {
+      docs.put(doc);
+      contents.put({ id: doc.id, shapes: data });
+    }).then(() => doc, _report);
+  }
+
+  /**
+   * Load a document and make it the open one.
+   * Resolves with { ...metadata, shapes }, or null if it does not exist.
+   */
+  function openDocument(id) {
+    let doc = null, content = null;
+    return _tx(['documents', 'contents'], 'readonly', (docs, contents) => {
+      docs.get(id).onsuccess = (e) => { doc = e.target.result; };
+      contents.get(id).onsuccess = (e) => { content = e.target.result; };
+    }).then(() => {
+      if (!doc) return null;
+      const shapes = content ? content.shapes : [];
+      clearTimeout(saveTimer);
+      pendingShapes = null;
+      currentId = id;
+      savedJson = JSON.stringify(shapes);
+      thumbnailStale = false;
+      localStorage.setItem(CURRENT_KEY, id);
+      return { ...doc, shapes };
+    });
+  }
+
+  function rename(id, name) {
+    return _tx(['documents'], 'readwrite', docs => {
+      docs.get(id).onsuccess = (e) => {
+        const doc = e.target.result;
+        if (!doc) return;
+        doc.name = name;
+        docs.put(doc);
+      };
+    }).catch(_report);
+  }
+
+  /**
+   * Copy a document (not its versions); resolves with the copy's metadata.
+   * Failures are reported to the user, like create's.
+   */
+  function duplicate(id) {
+    return _tx(['documents', 'contents'], 'readonly', (docs, contents) => {
+      const out = {};
+      docs.get(id).onsuccess = (e) => { out.doc = e.target.result; };
+      contents.get(id).onsuccess = (e) => { out.content = e.target.result; };
+      return out;
+    }).then(({ doc, content }) => {
+      if (!doc) return null;
+      return create(`${doc.name} (copy)`, content ? content.shapes : []);
+    }, _report);
+  }
+
+  /** Delete a document with its contents and versions */
+  function remove(id) {
+    if (id === currentId) {
+      clearTimeout(saveTimer);
+      pendingShapes = null;
+      currentId = null;
+    }
+    return _tx(['documents', 'contents', 'versions'], 'readwrite', (docs, contents, versions) => {
+      docs.delete(id);
+      contents.delete(id);
+      versions.index('docId').getAllKeys(id).onsuccess = (e) => {
+        for (const key of e.target.result) versions.delete(key);
+      };
+    });
+  }
+
+  // === Saving ===
+
+  /**
+   * Write `shapes` to document `id`. Takes a version snapshot when the last
+   * one is older than VERSION_INTERVAL; `opts.thumbnail` refreshes the
+   * preview image (skipped on routine saves to keep them cheap).
+   */
+  function save(id, shapes, opts = {}) {
+    const now = Date.now();
+    const data = Utils.deepClone(shapes);
+    const thumbnail = opts.thumbnail ? Export.toThumbnail(shapes) : null;
+    return _tx(['documents', 'contents', 'versions'], 'readwrite', (docs, contents, versions) => {
+      docs.get(id).onsuccess = (e) => {
+        const doc = e.target.result;
+        if (!doc) return;
+        doc.modified = now;
+        doc.shapeCount = data.length;
+        if (thumbnail !== null) doc.thumbnail = thumbnail;
+        if (now - (doc.versionedAt || 0) >= VERSION_INTERVAL) {
+          doc.versionedAt = now;
+          versions.put({ id: Utils.generateId(), docId: id, time: now, shapes: data, shapeCount: data.length });
+          _pruneVersions(versions, id);
+        }
+        docs.put(doc);
+        contents.put({ id, shapes: data });
+      };
+    }).then(() => { errorReported = false; }, _report);
+  }
+
+  function _pruneVersions(versions, docId) {
+    versions.index('docId').getAll(docId).onsuccess = (e) => {
+      const all = e.target.result.sort((a, b) => a.time - b.time);
+      for (const v of all.slice(0, Math.max(0, all.length - MAX_VERSIONS))) {
+        versions.delete(v.id);
+      }
+    };
+  }
+
+  /** Write the open document if it differs from what was last saved */
+  function _saveIfChanged(shapes, withThumbnail) {
+    const json = JSON.stringify(shapes);
+    const changed = json !== savedJson;
+    if (!changed && !(withThumbnail && thumbnailStale)) return Promise.resolve();
+    return save(currentId, shapes, { thumbnail: withThumbnail }).then(() => {
+      savedJson = json;
+      thumbnailStale = !withThumbnail && (thumbnailStale || changed);
+    });
+  }
+
+  /** Save the open document a moment after the last change */
+  function scheduleSave(shapes) {
+    if (!currentId) return;
+    pendingShapes = shapes;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      const toSave = pendingShapes;
+      pendingShapes = null;
+      if (currentId && toSave) _saveIfChanged(toSave, false).catch(() => { /* already reported */ });
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Save the open document right away, refreshing its thumbnail (before
+   * switching documents or showing the document list).
+   */
+  function flush(shapes) {
+    clearTimeout(saveTimer);
+    const toSave = shapes || pendingShapes;
+    pendingShapes = null;
+    if (!currentId || !toSave) return Promise.resolve();
+    return _saveIfChanged(toSave, true);
+  }
+
+  // === Versions ===
+
+  /** Version snapshots of a document (without shapes), newest first */
+  function listVersions(docId) {
+    return _tx(['versions'], 'readonly', versions => versions.index('docId').getAll(docId))
+      .then(all => all
+        .map(v => ({ id: v.id, docId: v.docId, time: v.time, shapeCount: v.shapeCount }))
+        .sort((a, b) => b.time - a.time));
+  }
+
+  /** Shapes of one version snapshot, or null */
+  function loadVersion(versionId) {
+    return _tx(['versions'], 'readonly', versions => versions.get(versionId))
+      .then(v => (v ? v.shapes : null));
+  }
+
+  // === Startup ===
+
+  /**
+   * Open the workspace and the last used document, creating a first one
+   * (from the old single-slot localStorage autosave, if any) when empty.
+   * Resolves with the open document.
+   */
+  function init() {
+    return list().then(docs => {
+      if (docs.length > 0) {
+        const last = localStorage.getItem(CURRENT_KEY);
+        return docs.find(d => d.id === last) || docs[0];
+      }
+      let legacy = [];
+      try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_KEY)) || [];
+      } catch (e) { /* ignore */ }
+      return create('Untitled diagram', legacy).then(doc => {
+        localStorage.removeItem(LEGACY_KEY);
+        return doc;
+      });
+    }).then(doc => openDocument(doc.id));
+  }
+
+  function getCurrentId() { return currentId; }
+
+  return {
+    init,
+    list,
+    create,
+    openDocument,
+    rename,
+    duplicate,
+    remove,
+    save,
+    scheduleSave,
+    flush,
+    listVersions,
+    loadVersion,
+    getCurrentId,
+  };
+})();
@@ -0,0 +1,136 @@
+// ============================================================
+// zones.js — Containment of shapes inside zone boundaries
+// ============================================================
+//
+// A shape belongs to the smallest zone that contains its centre; that zone's
+// id is stored in `shape.parentId`. Connectors and freehand strokes never
+// belong to a zone — they follow their bound shapes instead.
+
+const Zones = (() => {
+
+  function _area(b) { return b.w * b.h; }
+
+  /** Shapes that can be placed inside a zone */
+  function canNest(shape) {
+    return !shape.points;
+  }
+
+  /**
+   * Find the zone that should own `shape`: the smallest zone containing its
+   * centre. A zone can only sit inside a strictly larger zone, which keeps
+   * the hierarchy free of cycles. Between equally sized zones the current
+   * parent wins (so a duplicated zone does not steal its original's
+   * children), otherwise the topmost one.
+   * Returns the zone id or null.
+   */
+  function findParent(shapes, shape) {
+    if (!canNest(shape)) return null;
+    const b = Shapes.getBounds(shape);
+    const cx = b.x + b.w / 2;
+    const cy = b.y + b.h / 2;
+    const ownArea = ShapeRegistry.isZone(shape.type) ? _area(b) : 0;
+
+    let best = null;
+    let bestArea = Infinity;
+    for (const zone of shapes) {
+      if (zone.id === shape.id || !ShapeRegistry.isZone(zone.type)) continue;
+      const zb = Shapes.getBounds(zone);
+      if (!Utils.pointInRect(cx, cy, zb.x, zb.y, zb.w, zb.h)) continue;
+      const area = _area(zb);
+      if (area <= ownArea) continue;
+      const tieWins = area === bestArea && best.id !== shape.parentId;
+      if (area < bestArea || tieWins) {
+        best = zone;
+        bestArea = area;
+      }
+    }
+    return best ? best.id : null;
+  }
+
+  /**
+   * Recompute `parentId` for every shape from the current geometry.
+   */
+  function assignParents(shapes) {
+    for (const shape of shapes) {
+      shape.parentId = findParent(shapes, shape);
+    }
+  }
+
+  /**
+   * Ids of all shapes nested (at any depth) inside the given zones.
+   */
+  function descendantIds(shapes, zoneIds) {
+    const out = new Set();
+    let frontier = new Set(zoneIds);
+    while (frontier.size > 0) {
+      const next = new Set();
+      for (const shape of shapes) {
+        if (shape.parentId && frontier.has(shape.parentId) && !out.has(shape.id)) {
+          out.add(shape.id);
+          next.add(shape.id);
+        }
+      }
+      frontier = next;
+    }
+    return out;
+  }
+
+  /**
+   * Reorder `shapes` in place so every zone is drawn behind everything it
+   * contains. Each zone that is above one of its descendants moves down to
+   * just below the lowest one; all other shapes keep their order.
+   */
+  function orderByContainment(shapes) {
+    const zones = shapes.filter(s => ShapeRegistry.isZone(s.type));
+    for (const zone of zones) {
+      const inside = descendantIds(shapes, [zone.id]);
+      if (inside.size === 0) continue;
+      const zoneIndex = shapes.indexOf(zone);
+      const firstChild = shapes.findIndex(s => inside.has(s.id));
+      if (firstChild > zoneIndex) continue;
+      shapes.splice(zoneIndex, 1);
+      shapes.splice(firstChild, 0, zone);
+    }
+    return shapes;
+  }
+
+  /**
+   * After a zone is resized from `prev` bounds ({ x, y, width, height }),
+   * move its direct children so their centres keep the same relative
+   * position inside it. Nested zones take their own contents along.
+   * Returns the ids of every shape that moved.
+   */
+  function fitChildren(shapes, zone, prev) {
+    const moved = new Set();
+    if (prev.width <= 0 || prev.height <= 0) return moved;
+    const sx = zone.width / prev.width;
+    const sy = zone.height / prev.height;
+
+    for (const child of shapes) {
+      if (child.parentId !== zone.id) continue;
+      const b = Shapes.getBounds(child);
+      const cx = b.x + b.w / 2;
+      const cy = b.y + b.h / 2;
+      const dx = zone.x + (cx - prev.x) * sx - cx;
+      const dy = zone.y + (cy - prev.y) * sy - cy;
+      if (dx === 0 && dy === 0) continue;
+
+      Shapes.move(child, dx, dy);
+      moved.add(child.id);
+      for (const id of descendantIds(shapes, [child.id])) {
+        Shapes.move(shapes.find(s => s.id === id), dx, dy);
+        moved.add(id);
+      }
+    }
+    return moved;
+  }
+
+  return {
+    canNest,
+    findParent,
+    assignParents,
+    descendantIds,
+    orderByContainment,
+    fitChildren,
+  };
+})();
@@ -0,0 +1,35 @@
+// Run with: node --test app/test
+// Loads the browser scripts into a bare context, the way index.html does.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadHistory() {
+  const context = vm.createContext({ console });
+  for (const file of ['utils.js', 'history.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'), context, { filename: file });
+  }
+  return vm.runInContext('History', context);
+}
+
+test('coalesced edit after the root was pruned up to the current step', () => {
+  const History = loadHistory();
+  const shapes = [{ id: 'a', x: 0, fill: '#fff' }];
+  History.reset(shapes);
+  for (let i = 1; i <= 1000; i++) {
+    shapes[0].x = i;
+    History.record(shapes, { label: 'Move' });
+  }
+  while (History.undo(shapes)) { /* back to the root */ }
+
+  shapes[0].fill = '#f00';
+  History.record(shapes, { label: 'Fill', coalesce: 'fill' });
+  shapes[0].fill = '#0f0';
+  assert.doesNotThrow(() => History.record(shapes, { label: 'Fill', coalesce: 'fill' }));
+
+  History.undo(shapes);
+  assert.strictEqual(shapes[0].fill, '#f00');
+});
@@ -150,9 +150,10 @@ Write-Host "`n============================================" -ForegroundColor Gre
 Write-Host "  MCP Server Deployment complete!" -ForegroundColor Green
 Write-Host "  FQDN   : http://${fqdn}:${Port}" -ForegroundColor Green
 Write-Host "  IP     : http://${ip}:${Port}" -ForegroundColor Green
-Write-Host "  SSE    : http://${fqdn}:${Port}/sse" -ForegroundColor Green
+Write-Host "  MCP    : http://${fqdn}:${Port}/mcp" -ForegroundColor Green
+Write-Host "  SSE    : http://${fqdn}:${Port}/sse (legacy)" -ForegroundColor Green
 Write-Host "  Health : http://${fqdn}:${Port}/health" -ForegroundColor Green
 Write-Host "============================================" -ForegroundColor Green
 Write-Host ""
 Write-Host "  Add to VS Code mcp.json:" -ForegroundColor Yellow
-Write-Host "  { ""type"": ""sse"", ""url"": ""http://${fqdn}:${Port}/sse"" }" -ForegroundColor Yellow
+Write-Host "  { ""type"": ""http"", ""url"": ""http://${fqdn}:${Port}/mcp"" }" -ForegroundColor Yellow
@@ -0,0 +1,37 @@
+// ============================================================
+// Shape catalogue
+// The component and zone types the ArchSketch web app can draw,
+// with the metadata its manifest export records for each one.
+// Read from the shape definitions in app/js/registry.js, so a
+// shape added there is accepted by the editing tools as well.
+// ============================================================
+
+import { createRequire } from "module";
+
+const ShapeRegistry = createRequire(import.meta.url)("../../app/js/registry.js");
+
+const CONNECTOR_TYPES = new Set(["line", "arrow", "freehand"]);
+
+/** A shape's `meta` in the manifest's terms (as Export.buildManifest writes it) */
+function manifestMeta(meta) {
+  const out = { category: meta.category, service: meta.service, provider: meta.provider };
+  if (meta.azureService) out.azureResourceType = meta.azureService;
+  if (meta.description) out.description = meta.description;
+  return out;
+}
+
+function catalogue(types) {
+  return Object.fromEntries(
+    types
+      .filter((type) => ShapeRegistry.getMeta(type))
+      .map((type) => [type, manifestMeta(ShapeRegistry.getMeta(type))])
+  );
+}
+
+/** Component types → manifest metadata */
+export const SHAPE_TYPES = catalogue(
+  ShapeRegistry.types().filter((type) => !CONNECTOR_TYPES.has(type) && !ShapeRegistry.isZone(type))
+);
+
+/** Zone (boundary) types → manifest metadata */
+export const ZONE_TYPES = catalogue(ShapeRegistry.zoneTypes());
@@ -0,0 +1,166 @@
+// ============================================================
+// Collaboration relay
+// WebSocket rooms for live co-editing in the ArchSketch web app.
+//
+// The document is a last-writer-wins map: every shape property
+// (plus the special `$deleted` flag and `$z` stacking key) carries
+// the timestamp [lamport, clientId] of the op that set it. Merging
+// keeps the larger timestamp per property, so peers and the relay
+// converge on the same document whatever order ops arrive in.
+//
+// Wire messages (JSON):
+//   client → relay  hello    { clientId, name, color }
+//                   ops      { ops: [{ id, props, ts }] }
+//                   presence { cursor, selection }
+//   relay → client  welcome  { state, clock, peers }
+//                   ops      { ops, from }
+//                   presence { clientId, cursor, selection }
+//                   join     { peer } / leave { clientId }
+// ============================================================
+
+import { WebSocketServer } from "ws";
+
+const MAX_PAYLOAD = 5 * 1024 * 1024;
+const ROOM_TTL_MS = 30 * 60 * 1000;   // keep an empty room's document this long
+
+// ── LWW merge ────────────────────────────────────────────────
+
+/** Order op timestamps: lamport clock first, client id breaks ties */
+function compareTs(a, b) {
+  if (!b) return 1;
+  if (a[0] !== b[0]) return a[0] - b[0];
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function isValidOp(op) {
+  return op && typeof op.id === "string" &&
+    op.props && typeof op.props === "object" && !Array.isArray(op.props) &&
+    Array.isArray(op.ts) && Number.isFinite(op.ts[0]) && typeof op.ts[1] === "string";
+}
+
+/** Merge one op into a room's state; returns true if any property changed */
+function applyOp(room, op) {
+  let entry = room.state.get(op.id);
+  if (!entry) {
+    entry = { props: {}, ts: {} };
+    room.state.set(op.id, entry);
+  }
+  let changed = false;
+  for (const [key, value] of Object.entries(op.props)) {
+    if (compareTs(op.ts, entry.ts[key]) > 0) {
+      entry.props[key] = value;
+      entry.ts[key] = op.ts;
+      changed = true;
+    }
+  }
+  room.clock = Math.max(room.clock, op.ts[0]);
+  return changed;
+}
+
+// ── Rooms ────────────────────────────────────────────────────
+
+const rooms = new Map();   // name → { state, clock, peers: Map<ws, peer>, expiry }
+
+function getRoom(name) {
+  let room = rooms.get(name);
+  if (!room) {
+    room = { state: new Map(), clock: 0, peers: new Map(), expiry: null };
+    rooms.set(name, room);
+  }
+  clearTimeout(room.expiry);
+  room.expiry = null;
+  return room;
+}
+
+function broadcast(room, message, except) {
+  const data = JSON.stringify(message);
+  for (const ws of room.peers.keys()) {
+    if (ws !== except && ws.readyState === ws.OPEN) ws.send(data);
+  }
+}
+
+function handleMessage(room, ws, msg) {
+  const peer = room.peers.get(ws);
+  switch (msg.type) {
+    case "hello": {
+      if (peer || typeof msg.clientId !== "string") return;
+      const joined = {
+        clientId: msg.clientId,
+        name: String(msg.name || "Guest").slice(0, 40),
+        color: String(msg.color || "#888"),
+        cursor: null,
+        selection: [],
+      };
+      ws.send(JSON.stringify({
+        type: "welcome",
+        state: [...room.state],
+        clock: room.clock,
+        peers: [...room.peers.values()],
+      }));
+      room.peers.set(ws, joined);
+      broadcast(room, { type: "join", peer: joined }, ws);
+      break;
+    }
+    case "ops": {
+      if (!peer || !Array.isArray(msg.ops)) return;
+      const ops = msg.ops.filter(isValidOp);
+      for (const op of ops) applyOp(room, op);
+      // Forward every valid op, even ones that lost here: peers merge by
+      // the same rule, so they discard it too
+      if (ops.length > 0) broadcast(room, { type: "ops", ops, from: peer.clientId }, ws);
+      break;
+    }
+    case "presence": {
+      if (!peer) return;
+      peer.cursor = msg.cursor || null;
+      peer.selection = Array.isArray(msg.selection) ? msg.selection : [];
+      broadcast(room, { type: "presence", clientId: peer.clientId, cursor: peer.cursor, selection: peer.selection }, ws);
+      break;
+    }
+  }
+}
+
+function handleConnection(ws, roomName) {
+  const room = getRoom(roomName);
+  // A socket joins room.peers (and starts receiving broadcasts) on `hello`
+  ws.on("message", (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+    if (msg && typeof msg === "object") handleMessage(room, ws, msg);
+  });
+  ws.on("error", (err) => console.error(`Collab socket error: ${err.message}`));
+  ws.on("close", () => {
+    const peer = room.peers.get(ws);
+    room.peers.delete(ws);
+    if (peer) broadcast(room, { type: "leave", clientId: peer.clientId });
+    if (room.peers.size === 0 && rooms.get(roomName) === room) {
+      clearTimeout(room.expiry);
+      room.expiry = setTimeout(() => rooms.delete(roomName), ROOM_TTL_MS);
+      room.expiry.unref();
+    }
+  });
+}
+
+/**
+ * Serve collaboration rooms on `httpServer` at `path`
+ * (ws://host:port/collab?room=<name>).
+ */
+export function attachCollabRelay(httpServer, path = "/collab") {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+
+  httpServer.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+    const roomName = (url.searchParams.get("room") || "default").slice(0, 100);
+    wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, roomName));
+  });
+
+  return wss;
+}
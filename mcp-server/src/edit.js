@@ -0,0 +1,276 @@
+// ============================================================
+// Diagram editing
+// Mutations behind the write tools (add_component, connect, ...).
+// Each one changes an .archsketch.json manifest in place, keeping
+// it in the shape the web app exports: component metadata comes
+// from the shape catalogue, `parentId` is the innermost zone that
+// contains the component's centre, and connections carry the
+// labels of both ends. Errors are thrown with a message meant for
+// the agent that made the call.
+// ============================================================
+
+import { SHAPE_TYPES, ZONE_TYPES } from "./catalogue.js";
+
+const DEFAULT_SIZE = { width: 140, height: 80 };
+const GAP = 60;           // between a new component and its neighbours
+const ZONE_PAD = 24;
+const ZONE_HEADER = 28;   // room for the zone's label
+const ORIGIN = 80;
+
+let idCounter = 0;
+
+/** Same id format as the web app's Utils.generateId */
+function generateId() {
+  return "shape_" + Date.now().toString(36) + "_" + (++idCounter) +
+    Math.random().toString(36).slice(2, 6);
+}
+
+// ── Lookup ───────────────────────────────────────────────────
+
+/**
+ * Find an item by id, else by label: an exact (case-insensitive) match
+ * first, then a unique partial match.
+ */
+function findByRef(items, ref, kind) {
+  if (ref === undefined || ref === null || ref === "") throw new Error(`No ${kind} given.`);
+  const byId = items.find((item) => item.id === ref);
+  if (byId) return byId;
+  const q = String(ref).toLowerCase();
+  const exact = items.filter((item) => String(item.label).toLowerCase() === q);
+  const matches = exact.length > 0 ? exact : items.filter((item) => String(item.label).toLowerCase().includes(q));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new Error(`${kind[0].toUpperCase() + kind.slice(1)} not found: "${ref}".`);
+  throw new Error(
+    `"${ref}" matches ${matches.length} ${kind}s (${matches.map((m) => `${m.label} [${m.id}]`).join(", ")}). Use the id.`
+  );
+}
+
+function findComponent(manifest, ref) {
+  return findByRef(manifest.components || [], ref, "component");
+}
+
+function findZone(manifest, ref) {
+  return findByRef(manifest.zones || [], ref, "zone");
+}
+
+/** Catalogue entry for `type`, or an error that points at the right types */
+function shapeSpec(type) {
+  const spec = SHAPE_TYPES[type];
+  if (spec) return spec;
+  if (ZONE_TYPES[type]) throw new Error(`"${type}" is a zone type; zones are drawn in the web app.`);
+  const q = String(type || "").toLowerCase();
+  const near = Object.entries(SHAPE_TYPES)
+    .filter(([key, s]) => q && (key.includes(q) || s.service.toLowerCase().includes(q)))
+    .map(([key]) => key);
+  const choices = near.length > 0 ? near : Object.keys(SHAPE_TYPES);
+  throw new Error(`Unknown component type "${type}". ${near.length > 0 ? "Did you mean" : "Known types"}: ${choices.join(", ")}.`);
+}
+
+// ── Geometry ─────────────────────────────────────────────────
+
+function bounds(item) {
+  return { x: item.position.x, y: item.position.y, w: item.size.width, h: item.size.height };
+}
+
+/** Innermost zone containing the centre of `b` (as app/js/zones.js does) */
+function containingZone(manifest, b) {
+  const cx = b.x + b.w / 2, cy = b.y + b.h / 2;
+  let best = null;
+  for (const zone of manifest.zones || []) {
+    const z = bounds(zone);
+    if (cx < z.x || cx > z.x + z.w || cy < z.y || cy > z.y + z.h) continue;
+    if (!best || z.w * z.h < best.size.width * best.size.height) best = zone;
+  }
+  return best;
+}
+
+/**
+ * Free spot for a new box: right of everything already at that level
+ * (inside `zone`, or at the top level).
+ */
+function freePosition(manifest, zone) {
+  const parentId = zone ? zone.id : null;
+  const siblings = [...(manifest.components || []), ...(manifest.zones || [])]
+    .filter((item) => item.parentId === parentId && item.position && item.size);
+  const start = zone
+    ? { x: zone.position.x + ZONE_PAD, y: zone.position.y + ZONE_HEADER + ZONE_PAD }
+    : { x: ORIGIN, y: ORIGIN };
+  if (siblings.length === 0) return start;
+  return {
+    x: Math.max(...siblings.map((s) => s.position.x + s.size.width + GAP)),
+    y: Math.min(...siblings.map((s) => s.position.y)),
+  };
+}
+
+/** Grow `zone` (and the zones around it) until `b` fits inside */
+function fitZone(manifest, zone, b) {
+  const seen = new Set();
+  while (zone && !seen.has(zone)) {
+    seen.add(zone);
+    const z = bounds(zone);
+    if (b.x >= z.x && b.y >= z.y && b.x + b.w <= z.x + z.w && b.y + b.h <= z.y + z.h) break;
+    const x = Math.min(z.x, b.x - ZONE_PAD);
+    const y = Math.min(z.y, b.y - ZONE_HEADER - ZONE_PAD);
+    const right = Math.max(z.x + z.w, b.x + b.w + ZONE_PAD);
+    const bottom = Math.max(z.y + z.h, b.y + b.h + ZONE_PAD);
+    zone.position = { x, y };
+    zone.size = { width: right - x, height: bottom - y };
+    b = bounds(zone);
+    zone = (manifest.zones || []).find((p) => p.id === zone.parentId);
+  }
+}
+
+/**
+ * Put `component` at `at` (or a free spot) and work out its zone. With a
+ * zone given the component goes inside it, growing the zone if needed.
+ */
+function place(manifest, component, at, zone) {
+  const position = at.x !== undefined && at.y !== undefined
+    ? { x: Math.round(at.x), y: Math.round(at.y) }
+    : freePosition(manifest, zone);
+  component.position = position;
+  const b = bounds(component);
+  if (zone) fitZone(manifest, zone, b);
+  component.parentId = zone ? zone.id : containingZone(manifest, b)?.id ?? null;
+}
+
+// ── Manifest bookkeeping ─────────────────────────────────────
+
+function applySpec(component, type) {
+  const spec = shapeSpec(type);
+  component.type = type;
+  component.category = spec.category;
+  component.service = spec.service;
+  component.provider = spec.provider;
+  component.description = spec.description || "";
+  if (spec.azureResourceType) component.azureResourceType = spec.azureResourceType;
+  else delete component.azureResourceType;
+  return spec;
+}
+
+/** Same summary line as the web app's manifest export */
+export function summarize(manifest) {
+  const components = manifest.components || [];
+  const connections = manifest.connections || [];
+  const zones = manifest.zones || [];
+  const byCategory = {};
+  for (const c of components) {
+    byCategory[c.category] = (byCategory[c.category] || 0) + 1;
+  }
+  const azureCount = components.filter((c) => c.provider === "azure").length;
+  const parts = [];
+  parts.push(`${components.length} component(s), ${connections.length} connection(s)`);
+  if (zones.length > 0) parts.push(`${zones.length} zone(s)`);
+  if (azureCount > 0) parts.push(`${azureCount} Azure service(s)`);
+  const cats = Object.entries(byCategory).map(([k, v]) => `${v} ${k}`).join(", ");
+  if (cats) parts.push(`Categories: ${cats}`);
+  return parts.join(". ") + ".";
+}
+
+// ── Mutations ────────────────────────────────────────────────
+
+export function addComponent(manifest, args) {
+  manifest.components = manifest.components || [];
+  const component = { id: generateId(), type: args.type };
+  const spec = applySpec(component, args.type);
+  component.label = args.label || spec.service;
+  component.size = {
+    width: Math.round(args.width || DEFAULT_SIZE.width),
+    height: Math.round(args.height || DEFAULT_SIZE.height),
+  };
+  place(manifest, component, args, args.zone ? findZone(manifest, args.zone) : null);
+
+  // Keep the web app's key order
+  const { id, type, label, category, service, provider, description, position, size, parentId, azureResourceType } = component;
+  const ordered = { id, type, label, category, service, provider, description, position, size, parentId };
+  if (azureResourceType) ordered.azureResourceType = azureResourceType;
+  manifest.components.push(ordered);
+  return ordered;
+}
+
+export function updateComponent(manifest, args) {
+  const component = findComponent(manifest, args.componentId ?? args.componentLabel);
+  if (args.type && args.type !== component.type) applySpec(component, args.type);
+  if (args.label) {
+    component.label = args.label;
+    for (const conn of manifest.connections || []) {
+      if (conn.from === component.id) conn.fromLabel = component.label;
+      if (conn.to === component.id) conn.toLabel = component.label;
+    }
+  }
+  if (args.width || args.height) {
+    component.size = {
+      width: Math.round(args.width || component.size.width),
+      height: Math.round(args.height || component.size.height),
+    };
+  }
+  return component;
+}
+
+/** Removes the component and every connection to or from it */
+export function removeComponent(manifest, args) {
+  const component = findComponent(manifest, args.componentId ?? args.componentLabel);
+  manifest.components = manifest.components.filter((c) => c !== component);
+  const connections = manifest.connections || [];
+  const removed = connections.filter((c) => c.from === component.id || c.to === component.id);
+  manifest.connections = connections.filter((c) => !removed.includes(c));
+  return { removed: component, connections: removed };
+}
+
+export function moveComponent(manifest, args) {
+  const component = findComponent(manifest, args.componentId ?? args.componentLabel);
+  const hasPosition = args.x !== undefined && args.y !== undefined;
+  if (!hasPosition && !args.zone) throw new Error("Give x and y, a zone, or both.");
+  const zone = args.zone ? findZone(manifest, args.zone) : null;
+  // Leave the component out while looking for a free spot in its new zone
+  manifest.components = manifest.components.filter((c) => c !== component);
+  try {
+    place(manifest, component, args, zone);
+  } finally {
+    manifest.components.push(component);
+  }
+  return component;
+}
+
+export function connect(manifest, args) {
+  const from = findComponent(manifest, args.from);
+  const to = findComponent(manifest, args.to);
+  if (from === to) throw new Error("A connection needs two different components.");
+  const type = args.directed === false ? "undirected" : "directed";
+  if (args.syncMode && args.syncMode !== "sync" && args.syncMode !== "async") {
+    throw new Error(`syncMode must be "sync" or "async", not "${args.syncMode}".`);
+  }
+  const connection = { id: generateId(), type, label: args.label || "" };
+  if (args.protocol) connection.protocol = args.protocol;
+  if (args.port !== undefined && args.port !== "") {
+    connection.port = /^\d+$/.test(String(args.port)) ? Number(args.port) : args.port;
+  }
+  if (args.syncMode) connection.syncMode = args.syncMode;
+  Object.assign(connection, { from: from.id, fromLabel: from.label, to: to.id, toLabel: to.label });
+  manifest.connections = manifest.connections || [];
+  manifest.connections.push(connection);
+  return connection;
+}
+
+/**
+ * Removes one connection by id, or every connection from `from` to `to`
+ * (undirected ones in either direction).
+ */
+export function disconnect(manifest, args) {
+  const connections = manifest.connections || [];
+  let removed;
+  if (args.connectionId) {
+    removed = connections.filter((c) => c.id === args.connectionId);
+    if (removed.length === 0) throw new Error(`Connection not found: "${args.connectionId}".`);
+  } else {
+    const from = findComponent(manifest, args.from);
+    const to = findComponent(manifest, args.to);
+    removed = connections.filter((c) =>
+      (c.from === from.id && c.to === to.id) ||
+      (c.type !== "directed" && c.from === to.id && c.to === from.id)
+    );
+    if (removed.length === 0) throw new Error(`No connection from "${from.label}" to "${to.label}".`);
+  }
+  manifest.connections = connections.filter((c) => !removed.includes(c));
+  return removed;
+}
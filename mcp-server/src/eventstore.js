@@ -0,0 +1,42 @@
+// ============================================================
+// Event store for resumable Streamable HTTP sessions
+// Keeps the latest messages the server sent on each stream of
+// one session, so a client that reconnects with Last-Event-ID
+// receives what it missed. Bounded: the oldest events drop out
+// once a session has sent MAX_EVENTS.
+// ============================================================
+
+const MAX_EVENTS = 1000;
+
+/**
+ * In-memory EventStore (see StreamableHTTPServerTransport) for a single
+ * session. Event ids are a counter, so they are unique per session only.
+ */
+export function createEventStore(limit = MAX_EVENTS) {
+  const events = new Map();   // eventId → { streamId, message }, oldest first
+  let counter = 0;
+
+  return {
+    async storeEvent(streamId, message) {
+      const eventId = String(++counter);
+      events.set(eventId, { streamId, message });
+      if (events.size > limit) events.delete(events.keys().next().value);
+      return eventId;
+    },
+
+    async getStreamIdForEventId(eventId) {
+      return events.get(eventId)?.streamId;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const last = events.get(lastEventId);
+      if (!last) return "";
+      let after = false;
+      for (const [eventId, { streamId, message }] of events) {
+        if (after && streamId === last.streamId) await send(eventId, message);
+        if (eventId === lastEventId) after = true;
+      }
+      return last.streamId;
+    },
+  };
+}
@@ -2,23 +2,52 @@
 // ============================================================
 // ArchSketch MCP Server
 // Exposes architecture diagram manifests (.archsketch.json)
-// as tools for VS Code Copilot / GitHub Copilot Chat.
+// to VS Code Copilot / GitHub Copilot Chat: as tools to read
+// and edit them (see edit.js), as archsketch:// resources and
+// through prompts.
 //
 // Supports two transport modes:
 //   - stdio  (default)  → local VS Code Copilot integration
-//   - sse    (PORT env)  → remote hosting (ACI / any HTTP)
+//   - http   (PORT env)  → remote hosting (ACI / any HTTP) over
+//                          Streamable HTTP (/mcp) or SSE (/sse),
+//                          plus the web app's collaboration relay
 // ============================================================
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
+import { randomUUID } from "crypto";
+import { createRequire } from "module";
 import fs from "fs";
 import path from "path";
 import express from "express";
+import { attachCollabRelay } from "./collab.js";
+import { createEventStore } from "./eventstore.js";
+import {
+  addComponent,
+  updateComponent,
+  removeComponent,
+  moveComponent,
+  connect,
+  disconnect,
+  summarize,
+} from "./edit.js";
+
+// The web app's infrastructure-as-code generators, so both give the same output
+const IaC = createRequire(import.meta.url)("../../app/js/iac.js");
 
 // ── In-memory manifest store (used in remote/SSE mode) ──────
 
@@ -47,20 +76,22 @@ function findArchFiles(dir, maxDepth = 3, depth = 0) {
 }
 
 /**
- * Load and parse a single .archsketch.json file.
+ * Find a single .archsketch.json manifest.
  * Checks in-memory store first (remote mode), then filesystem (local mode).
+ * Returns { manifest, key } for a stored manifest, { manifest, file } for
+ * one read from disk.
  */
-function loadManifest(filePath) {
+function locateManifest(filePath) {
   // 1) If a specific key/path was requested, check the in-memory store first
   if (filePath && manifestStore.has(filePath)) {
-    return manifestStore.get(filePath).manifest;
+    return { manifest: manifestStore.get(filePath).manifest, key: filePath };
   }
 
   // 2) If no file specified, use the most recent manifest from the store
   if (!filePath && manifestStore.size > 0) {
-    const entries = [...manifestStore.values()];
-    entries.sort((a, b) => b.uploadedAt - a.uploadedAt);
-    return entries[0].manifest;
+    const entries = [...manifestStore.entries()];
+    entries.sort((a, b) => b[1].uploadedAt - a[1].uploadedAt);
+    return { manifest: entries[0][1].manifest, key: entries[0][0] };
   }
 
   // 3) Fall back to filesystem (local/stdio mode)
@@ -69,7 +100,7 @@ function loadManifest(filePath) {
     if (!fs.existsSync(resolved)) {
       throw new Error(`File not found: ${resolved}`);
     }
-    return JSON.parse(fs.readFileSync(resolved, "utf-8"));
+    return { manifest: JSON.parse(fs.readFileSync(resolved, "utf-8")), file: resolved };
   }
 
   // Auto-discover from cwd
@@ -83,7 +114,160 @@ function loadManifest(filePath) {
   }
   // Use the most recently modified file
   files.sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
-  return JSON.parse(fs.readFileSync(files[0], "utf-8"));
+  return { manifest: JSON.parse(fs.readFileSync(files[0], "utf-8")), file: files[0] };
+}
+
+/**
+ * Resolve `name` against the working directory, refusing anything that is
+ * not an .archsketch.json file under it.
+ */
+function workspaceFile(name) {
+  const cwd = process.cwd();
+  const file = path.resolve(cwd, name);
+  const relative = path.relative(cwd, file);
+  if (!file.endsWith(".archsketch.json") || relative.startsWith("..") || path.isAbsolute(relative)) {
+    throw new Error(`Not an architecture file in the workspace: ${name}`);
+  }
+  return file;
+}
+
+/**
+ * Load and parse a single .archsketch.json file.
+ */
+function loadManifest(filePath) {
+  return locateManifest(filePath).manifest;
+}
+
+/**
+ * Apply `edit` to a manifest and write the result back where it came
+ * from: the in-memory store or an .archsketch.json file under the working
+ * directory. Returns the edit's result and where it was saved.
+ */
+function editManifest(filePath, edit) {
+  if (filePath && !manifestStore.has(filePath)) workspaceFile(filePath);
+  const source = locateManifest(filePath);
+  if (!Array.isArray(source.manifest?.components)) {
+    throw new Error(`Not an architecture manifest (no components array): ${source.key || source.file}`);
+  }
+  const result = edit(source.manifest);
+  source.manifest.summary = summarize(source.manifest);
+  if (source.key) {
+    manifestStore.set(source.key, { manifest: source.manifest, uploadedAt: Date.now() });
+  } else {
+    fs.writeFileSync(source.file, JSON.stringify(source.manifest, null, 2));
+  }
+  notifyManifestChanged(manifestUri(source));
+  return { result, savedTo: source.key || source.file };
+}
+
+/**
+ * A component with what a code generator needs next to it: code hints,
+ * its connections and the zones it sits in, innermost first.
+ */
+function describeComponent(manifest, comp) {
+  const hints =
+    CODE_HINTS[comp.azureResourceType] || CODE_HINTS[comp.type] || null;
+
+  const result = { ...comp };
+  if (hints) result.codeHints = hints;
+
+  result.connections = (manifest.connections || []).filter(
+    (cn) => cn.from === comp.id || cn.to === comp.id
+  );
+
+  const zones = manifest.zones || [];
+  const chain = [];
+  let zone = zones.find((z) => z.id === comp.parentId);
+  while (zone && !chain.includes(zone)) {
+    chain.push(zone);
+    zone = zones.find((z) => z.id === zone.parentId);
+  }
+  if (chain.length > 0) result.zones = chain;
+  return result;
+}
+
+// ── Resource URIs ────────────────────────────────────────────
+//   archsketch://manifest/<key>      a manifest uploaded in remote mode
+//   archsketch://file/<path>         an .archsketch.json under the cwd
+//   <either>/components/<id>         one component of that manifest
+
+const sessions = new Map();       // Server → resource URIs its client subscribed to
+const watchedFiles = new Map();   // file → its manifest URI, while subscribed
+
+function manifestUri(source) {
+  if (source.file) {
+    const relative = path.relative(process.cwd(), source.file).split(path.sep).join("/");
+    return `archsketch://file/${encodeURIComponent(relative)}`;
+  }
+  return `archsketch://manifest/${encodeURIComponent(source.key)}`;
+}
+
+function componentUri(base, comp) {
+  return `${base}/components/${encodeURIComponent(comp.id)}`;
+}
+
+/**
+ * Resolve a resource URI to { manifest, key | file, uri, componentId }.
+ * File URIs only reach .archsketch.json files under the working directory.
+ */
+function parseResourceUri(uri) {
+  const m = /^archsketch:\/\/(manifest|file)\/([^/]+)(?:\/components\/([^/]+))?$/.exec(uri);
+  if (!m) throw new Error(`Unknown resource: ${uri}`);
+  const name = decodeURIComponent(m[2]);
+  const componentId = m[3] ? decodeURIComponent(m[3]) : null;
+  const base = `archsketch://${m[1]}/${m[2]}`;
+  if (m[1] === "manifest") {
+    if (!manifestStore.has(name)) throw new Error(`No uploaded manifest named "${name}".`);
+    return { manifest: manifestStore.get(name).manifest, key: name, uri: base, componentId };
+  }
+  const file = workspaceFile(name);
+  if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+  return { manifest: JSON.parse(fs.readFileSync(file, "utf-8")), file, uri: base, componentId };
+}
+
+/** Every manifest the server can see: uploaded ones, then files under the cwd */
+function listManifestSources() {
+  const sources = [...manifestStore.entries()].map(([key, val]) => ({ manifest: val.manifest, key }));
+  for (const file of findArchFiles(process.cwd())) {
+    try {
+      sources.push({ manifest: JSON.parse(fs.readFileSync(file, "utf-8")), file });
+    } catch { /* unreadable or not JSON */ }
+  }
+  return sources;
+}
+
+/**
+ * Tell subscribers that a manifest changed — its own URI and those of its
+ * components — and that the resource list may have changed with it.
+ */
+function notifyManifestChanged(uri) {
+  for (const [server, subscriptions] of sessions) {
+    for (const sub of subscriptions) {
+      if (sub === uri || sub.startsWith(uri + "/")) {
+        server.sendResourceUpdated({ uri: sub }).catch(() => {});
+      }
+    }
+    server.sendResourceListChanged().catch(() => {});
+  }
+}
+
+/** Watch a subscribed file for edits made outside the server */
+function watchManifestFile(file, uri) {
+  if (watchedFiles.has(file)) return;
+  watchedFiles.set(file, uri);
+  fs.watchFile(file, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) notifyManifestChanged(uri);
+  });
+}
+
+/** Stop watching files no session is subscribed to any more */
+function releaseWatches() {
+  const subscribed = [...sessions.values()].flatMap((subscriptions) => [...subscriptions]);
+  for (const [file, uri] of watchedFiles) {
+    if (subscribed.some((sub) => sub === uri || sub.startsWith(uri + "/"))) continue;
+    fs.unwatchFile(file);
+    watchedFiles.delete(file);
+  }
 }
 
 /**
@@ -116,90 +300,199 @@ const CODE_HINTS = {
   container:  { sdk: "docker / docker-compose", lang: "yaml" },
 };
 
-// ── MCP Server ───────────────────────────────────────────────
+// ── Tool Definitions ─────────────────────────────────────────
 
-const server = new Server(
+const TOOLS = [
   {
-    name: "archsketch-mcp",
-    version: "1.0.0",
+    name: "get_architecture",
+    description:
+      "Read an ArchSketch architecture diagram and return all components (services, databases, queues, etc.) and their connections. " +
+      "Use this to understand the full system architecture before generating code.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: {
+          type: "string",
+          description:
+            "Absolute or relative path to an .archsketch.json file. If omitted, auto-discovers the newest one in the workspace.",
+        },
+      },
+    },
   },
   {
-    capabilities: {
-      tools: {},
+    name: "get_component",
+    description:
+      "Get detailed information about a single component in the architecture, including its type, Azure resource type, and suggested SDK packages.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to .archsketch.json (optional, auto-discovers if omitted)." },
+        componentId: { type: "string", description: "The component ID to look up." },
+        componentLabel: { type: "string", description: "Alternatively, match by label (case-insensitive substring)." },
+      },
     },
-  }
-);
-
-// ── Tool Definitions ─────────────────────────────────────────
-
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: [
-    {
-      name: "get_architecture",
-      description:
-        "Read an ArchSketch architecture diagram and return all components (services, databases, queues, etc.) and their connections. " +
-        "Use this to understand the full system architecture before generating code.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          filePath: {
-            type: "string",
-            description:
-              "Absolute or relative path to an .archsketch.json file. If omitted, auto-discovers the newest one in the workspace.",
-          },
-        },
+  },
+  {
+    name: "list_connections",
+    description:
+      "List all connections for a given component — what it connects to and what connects to it. " +
+      "Useful for understanding data flow and dependencies.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to .archsketch.json (optional)." },
+        componentId: { type: "string", description: "The component ID." },
+        componentLabel: { type: "string", description: "Alternatively, match by label." },
       },
     },
-    {
-      name: "get_component",
-      description:
-        "Get detailed information about a single component in the architecture, including its type, Azure resource type, and suggested SDK packages.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          filePath: { type: "string", description: "Path to .archsketch.json (optional, auto-discovers if omitted)." },
-          componentId: { type: "string", description: "The component ID to look up." },
-          componentLabel: { type: "string", description: "Alternatively, match by label (case-insensitive substring)." },
+  },
+  {
+    name: "get_code_scaffold",
+    description:
+      "Given an architecture diagram, generate a suggested project folder structure and list of npm/pip packages. " +
+      "Returns a structured plan that can be used to scaffold a new project.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to .archsketch.json (optional)." },
+        language: {
+          type: "string",
+          enum: ["node", "python", "dotnet"],
+          description: "Target programming language (default: node).",
         },
       },
     },
-    {
-      name: "list_connections",
-      description:
-        "List all connections for a given component — what it connects to and what connects to it. " +
-        "Useful for understanding data flow and dependencies.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          filePath: { type: "string", description: "Path to .archsketch.json (optional)." },
-          componentId: { type: "string", description: "The component ID." },
-          componentLabel: { type: "string", description: "Alternatively, match by label." },
-        },
+  },
+  {
+    name: "get_terraform",
+    description:
+      "Generate Terraform (azurerm) configuration from the architecture: one resource block per Azure component, " +
+      "variables for names, SKUs and locations, and depends_on from directed connections. " +
+      "Components without a mapping are emitted as commented placeholders.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to .archsketch.json (optional)." },
       },
     },
-    {
-      name: "get_code_scaffold",
-      description:
-        "Given an architecture diagram, generate a suggested project folder structure and list of npm/pip packages. " +
-        "Returns a structured plan that can be used to scaffold a new project.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          filePath: { type: "string", description: "Path to .archsketch.json (optional)." },
-          language: {
-            type: "string",
-            enum: ["node", "python", "dotnet"],
-            description: "Target programming language (default: node).",
-          },
-        },
+  },
+  {
+    name: "get_compose_file",
+    description:
+      "Generate a docker-compose.yml for running the architecture locally: databases, caches, queues, search and " +
+      "storage become local images (postgres, redis, rabbitmq, opensearch, azurite, ...), compute components " +
+      "become build services, and connections become depends_on plus connection-string environment variables.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to .archsketch.json (optional)." },
       },
     },
-  ],
-}));
+  },
+  {
+    name: "add_component",
+    description:
+      "Add a component to the architecture diagram and save it. `type` must be a shape type the web app knows " +
+      "(e.g. appservice, azurefunc, azuresql, cosmosdb, rediscache, servicebus, database, cache, queue, microservice, k8sdeploy); " +
+      "an unknown type returns the closest matches. Without x/y the component is placed next to its neighbours.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to an .archsketch.json under the working directory, or key of an uploaded manifest (optional)." },
+        type: { type: "string", description: "Shape type, e.g. \"appservice\" or \"database\"." },
+        label: { type: "string", description: "Label shown on the diagram (default: the service name)." },
+        zone: { type: "string", description: "Zone (id or label) to place the component in, e.g. a subnet or resource group." },
+        x: { type: "number", description: "Left edge on the canvas." },
+        y: { type: "number", description: "Top edge on the canvas." },
+        width: { type: "number", description: "Width (default 140)." },
+        height: { type: "number", description: "Height (default 80)." },
+      },
+      required: ["type"],
+    },
+  },
+  {
+    name: "update_component",
+    description: "Rename a component, change its type or resize it, and save the diagram. Connections keep pointing at it.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to an .archsketch.json under the working directory, or key of an uploaded manifest (optional)." },
+        componentId: { type: "string", description: "The component ID to update." },
+        componentLabel: { type: "string", description: "Alternatively, match by label." },
+        label: { type: "string", description: "New label." },
+        type: { type: "string", description: "New shape type." },
+        width: { type: "number", description: "New width." },
+        height: { type: "number", description: "New height." },
+      },
+    },
+  },
+  {
+    name: "remove_component",
+    description: "Remove a component and every connection to or from it, and save the diagram.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to an .archsketch.json under the working directory, or key of an uploaded manifest (optional)." },
+        componentId: { type: "string", description: "The component ID to remove." },
+        componentLabel: { type: "string", description: "Alternatively, match by label." },
+      },
+    },
+  },
+  {
+    name: "connect",
+    description:
+      "Connect two components with an arrow (or a plain line with directed: false) and save the diagram. " +
+      "An arrow points from the caller to what it uses.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to an .archsketch.json under the working directory, or key of an uploaded manifest (optional)." },
+        from: { type: "string", description: "Source component (id or label)." },
+        to: { type: "string", description: "Target component (id or label)." },
+        directed: { type: "boolean", description: "Draw an arrow (default) or an undirected line." },
+        label: { type: "string", description: "Connection label, e.g. \"reads/writes\"." },
+        protocol: { type: "string", description: "Protocol, e.g. HTTPS, AMQP, TCP." },
+        port: { type: ["number", "string"], description: "Port number." },
+        syncMode: { type: "string", enum: ["sync", "async"], description: "Synchronous call or asynchronous message." },
+      },
+      required: ["from", "to"],
+    },
+  },
+  {
+    name: "disconnect",
+    description: "Remove a connection by ID, or every connection from one component to another, and save the diagram.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to an .archsketch.json under the working directory, or key of an uploaded manifest (optional)." },
+        connectionId: { type: "string", description: "The connection ID to remove." },
+        from: { type: "string", description: "Alternatively, the source component (id or label)." },
+        to: { type: "string", description: "...and the target component (id or label)." },
+      },
+    },
+  },
+  {
+    name: "move_component",
+    description:
+      "Move a component to a new position and/or into a zone (VNet, subnet, resource group, namespace, ...) and save the diagram. " +
+      "Its zone follows from where it ends up; a zone given explicitly grows to fit it.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "Path to an .archsketch.json under the working directory, or key of an uploaded manifest (optional)." },
+        componentId: { type: "string", description: "The component ID to move." },
+        componentLabel: { type: "string", description: "Alternatively, match by label." },
+        x: { type: "number", description: "New left edge." },
+        y: { type: "number", description: "New top edge." },
+        zone: { type: "string", description: "Zone (id or label) to move the component into." },
+      },
+    },
+  },
+];
 
 // ── Tool Handlers ────────────────────────────────────────────
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function callTool(request) {
   const { name, arguments: args = {} } = request.params;
 
   try {
@@ -238,17 +531,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
         }
 
-        // Enrich with code hints
-        const hints =
-          CODE_HINTS[comp.azureResourceType] || CODE_HINTS[comp.type] || null;
-
-        const result = { ...comp };
-        if (hints) result.codeHints = hints;
-
-        // Add connections involving this component
-        result.connections = manifest.connections.filter(
-          (cn) => cn.from === comp.id || cn.to === comp.id
-        );
+        const result = describeComponent(manifest, comp);
 
         return {
           content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
@@ -299,6 +582,84 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      // ── get_terraform ──────────────────────────────
+      case "get_terraform": {
+        const manifest = loadManifest(args.filePath);
+        const hcl = IaC.toTerraform(manifest);
+        if (!hcl) {
+          return {
+            content: [{ type: "text", text: "The architecture has no components to generate Terraform for." }],
+            isError: true,
+          };
+        }
+        return {
+          content: [{ type: "text", text: hcl }],
+        };
+      }
+
+      // ── get_compose_file ───────────────────────────
+      case "get_compose_file": {
+        const manifest = loadManifest(args.filePath);
+        const yaml = IaC.toCompose(manifest);
+        if (!yaml) {
+          return {
+            content: [{ type: "text", text: "The architecture has no components to run locally." }],
+            isError: true,
+          };
+        }
+        return {
+          content: [{ type: "text", text: yaml }],
+        };
+      }
+
+      // ── add_component ──────────────────────────────
+      case "add_component": {
+        const { result, savedTo } = editManifest(args.filePath, (manifest) => addComponent(manifest, args));
+        return {
+          content: [{ type: "text", text: JSON.stringify({ added: result, savedTo }, null, 2) }],
+        };
+      }
+
+      // ── update_component ───────────────────────────
+      case "update_component": {
+        const { result, savedTo } = editManifest(args.filePath, (manifest) => updateComponent(manifest, args));
+        return {
+          content: [{ type: "text", text: JSON.stringify({ updated: result, savedTo }, null, 2) }],
+        };
+      }
+
+      // ── remove_component ───────────────────────────
+      case "remove_component": {
+        const { result, savedTo } = editManifest(args.filePath, (manifest) => removeComponent(manifest, args));
+        return {
+          content: [{ type: "text", text: JSON.stringify({ ...result, savedTo }, null, 2) }],
+        };
+      }
+
+      // ── connect ────────────────────────────────────
+      case "connect": {
+        const { result, savedTo } = editManifest(args.filePath, (manifest) => connect(manifest, args));
+        return {
+          content: [{ type: "text", text: JSON.stringify({ added: result, savedTo }, null, 2) }],
+        };
+      }
+
+      // ── disconnect ─────────────────────────────────
+      case "disconnect": {
+        const { result, savedTo } = editManifest(args.filePath, (manifest) => disconnect(manifest, args));
+        return {
+          content: [{ type: "text", text: JSON.stringify({ removed: result, savedTo }, null, 2) }],
+        };
+      }
+
+      // ── move_component ─────────────────────────────
+      case "move_component": {
+        const { result, savedTo } = editManifest(args.filePath, (manifest) => moveComponent(manifest, args));
+        return {
+          content: [{ type: "text", text: JSON.stringify({ moved: result, savedTo }, null, 2) }],
+        };
+      }
+
       default:
         return {
           content: [{ type: "text", text: `Unknown tool: ${name}` }],
@@ -311,7 +672,225 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
+
+// ── Resources ────────────────────────────────────────────────
+
+async function listResources() {
+  const resources = [];
+  for (const source of listManifestSources()) {
+    const uri = manifestUri(source);
+    const name = source.key || path.relative(process.cwd(), source.file);
+    resources.push({
+      uri,
+      name,
+      description: source.manifest.summary || "ArchSketch architecture manifest",
+      mimeType: "application/json",
+    });
+    for (const comp of source.manifest.components || []) {
+      resources.push({
+        uri: componentUri(uri, comp),
+        name: `${comp.label} (${name})`,
+        description: `${comp.service} — connections, zones and code hints`,
+        mimeType: "application/json",
+      });
+    }
+  }
+  return { resources };
+}
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "archsketch://manifest/{key}",
+    name: "Uploaded manifest",
+    description: "A manifest uploaded with POST /manifest (remote mode).",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "archsketch://manifest/{key}/components/{componentId}",
+    name: "Component of an uploaded manifest",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "archsketch://file/{path}",
+    name: "Architecture file",
+    description: "An .archsketch.json file, by its path relative to the workspace.",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "archsketch://file/{path}/components/{componentId}",
+    name: "Component of an architecture file",
+    mimeType: "application/json",
+  },
+];
+
+async function readResource(request) {
+  const { uri } = request.params;
+  const { manifest, componentId } = parseResourceUri(uri);
+  let data = manifest;
+  if (componentId) {
+    const comp = (manifest.components || []).find((c) => c.id === componentId);
+    if (!comp) throw new Error(`Component not found: ${componentId}`);
+    data = describeComponent(manifest, comp);
+  }
+  return {
+    contents: [{ uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) }],
+  };
+}
+
+/** `subscriptions` is the set of URIs of the session making the request */
+async function subscribe(request, subscriptions) {
+  const { uri } = request.params;
+  const source = parseResourceUri(uri);
+  subscriptions.add(uri);
+  if (source.file) watchManifestFile(source.file, source.uri);
+  return {};
+}
+
+async function unsubscribe(request, subscriptions) {
+  const { uri } = request.params;
+  subscriptions.delete(uri);
+  releaseWatches();
+  return {};
+}
+
+// ── Prompts ──────────────────────────────────────────────────
+
+const FILE_ARGUMENT = {
+  name: "filePath",
+  description: "Path to .archsketch.json or key of an uploaded manifest (optional, auto-discovers if omitted).",
+  required: false,
+};
+
+/** The manifest (or one component of it) attached to a prompt as a resource */
+function resourceMessage(source, comp) {
+  const base = manifestUri(source);
+  const uri = comp ? componentUri(base, comp) : base;
+  const data = comp ? describeComponent(source.manifest, comp) : source.manifest;
+  return {
+    role: "user",
+    content: { type: "resource", resource: { uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) } },
+  };
+}
+
+function textMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+/** Prompt definitions; `messages(args)` builds the conversation */
+const PROMPTS = [
+  {
+    name: "explain_architecture",
+    description: "Explain the system drawn in an ArchSketch diagram: what each part does and how requests and data flow.",
+    arguments: [FILE_ARGUMENT],
+    messages: (args) => {
+      const source = locateManifest(args.filePath);
+      return [
+        resourceMessage(source),
+        textMessage(
+          "Explain this architecture. Start with a two-sentence overview of what the system does, then walk through " +
+          "the main request and data flows along the connections, say what each component is responsible for, and " +
+          "describe how the zones (regions, networks, subnets, namespaces) group and isolate them. " +
+          "Point out anything the diagram leaves ambiguous."
+        ),
+      ];
+    },
+  },
+  {
+    name: "review_single_points_of_failure",
+    description: "Review an ArchSketch diagram for single points of failure and missing redundancy.",
+    arguments: [FILE_ARGUMENT],
+    messages: (args) => {
+      const source = locateManifest(args.filePath);
+      return [
+        resourceMessage(source),
+        textMessage(
+          "Review this architecture for single points of failure. For each component that the rest of the system " +
+          "depends on (follow the connections), say whether it is redundant as drawn — replicas, load balancing, " +
+          "zones or regions, managed-service SLAs, queues that buffer outages — and what happens to its dependants " +
+          "if it fails. List the findings by impact, with a concrete fix for each, and note which ones could be " +
+          "applied to the diagram itself."
+        ),
+      ];
+    },
+  },
+  {
+    name: "generate_service_skeleton",
+    description: "Generate a project skeleton for one component of an ArchSketch diagram, wired to what it connects to.",
+    arguments: [
+      FILE_ARGUMENT,
+      { name: "component", description: "Component ID or label.", required: true },
+      { name: "lang", description: "Target language: node, python or dotnet (default: node).", required: false },
+    ],
+    messages: (args) => {
+      const source = locateManifest(args.filePath);
+      const q = String(args.component || "").toLowerCase();
+      const comp =
+        source.manifest.components.find((c) => c.id === args.component) ||
+        source.manifest.components.find((c) => c.label.toLowerCase().includes(q));
+      if (!q || !comp) throw new Error(`Component not found: ${args.component || "(none given)"}`);
+      const lang = args.lang || "node";
+      return [
+        resourceMessage(source, comp),
+        textMessage(
+          `Generate a ${lang} service skeleton for "${comp.label}" (${comp.service}). Include the project layout, ` +
+          "an entry point, a health endpoint, configuration read from environment variables, and a client for each " +
+          "outgoing connection using the suggested SDKs, with the protocol and port from the connection where given. " +
+          "For incoming connections, add the matching handler stubs (HTTP routes, queue consumers, ...). " +
+          "Keep business logic as TODOs."
+        ),
+      ];
+    },
+  },
+];
+
+async function getPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = PROMPTS.find((p) => p.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+  return { description: prompt.description, messages: prompt.messages(args) };
+}
+
+// ── MCP Server ───────────────────────────────────────────────
+// One Server per client session (stdio, SSE or Streamable HTTP),
+// so sessions never share subscriptions or in-flight requests.
+
+/** A Server with every tool, resource and prompt handler registered */
+function createServer() {
+  const server = new Server(
+    {
+      name: "archsketch-mcp",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true, listChanged: true },
+        prompts: {},
+      },
+    }
+  );
+  const subscriptions = new Set();
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+  server.setRequestHandler(CallToolRequestSchema, callTool);
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(SubscribeRequestSchema, (request) => subscribe(request, subscriptions));
+  server.setRequestHandler(UnsubscribeRequestSchema, (request) => unsubscribe(request, subscriptions));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args })),
+  }));
+  server.setRequestHandler(GetPromptRequestSchema, getPrompt);
+
+  sessions.set(server, subscriptions);
+  server.onclose = () => {
+    sessions.delete(server);
+    releaseWatches();
+  };
+  return server;
+}
 
 // ── Scaffold Generator ───────────────────────────────────────
 
@@ -414,19 +993,21 @@ function generateScaffold(manifest, lang) {
 // ── Start ────────────────────────────────────────────────────
 
 const isRemote = !!process.env.PORT;
+const SESSION_IDLE_MS = 30 * 60 * 1000;   // close Streamable HTTP sessions idle this long
 
 async function main() {
   if (isRemote) {
-    // ── SSE mode (remote / ACI) ────────────────────────
+    // ── HTTP mode (remote / ACI) ───────────────────────
     const port = parseInt(process.env.PORT, 10);
     const app = express();
     app.use(express.json({ limit: "5mb" }));
 
-    // CORS for web-app uploads
+    // CORS for web-app uploads and browser-based MCP clients
     app.use((req, res, next) => {
       res.setHeader("Access-Control-Allow-Origin", "*");
-      res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID");
+      res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
       if (req.method === "OPTIONS") return res.sendStatus(204);
       next();
     });
@@ -438,6 +1019,7 @@ async function main() {
         server: "archsketch-mcp",
         version: "1.0.0",
         manifests: manifestStore.size,
+        sessions: sessions.size,
       });
     });
 
@@ -450,6 +1032,7 @@ async function main() {
         }
         const key = manifest.name || `manifest-${Date.now()}`;
         manifestStore.set(key, { manifest, uploadedAt: Date.now() });
+        notifyManifestChanged(manifestUri({ key }));
         console.log(`Manifest uploaded: "${key}" (${manifest.components.length} components)`);
         res.json({ ok: true, key, components: manifest.components.length });
       } catch (err) {
@@ -469,19 +1052,90 @@ async function main() {
 
     app.delete("/manifest/:key", (req, res) => {
       const deleted = manifestStore.delete(req.params.key);
+      if (deleted) notifyManifestChanged(manifestUri({ key: req.params.key }));
       res.json({ ok: deleted });
     });
 
-    // SSE transport for MCP
+    // Streamable HTTP transport for MCP: a Server per session, resumable
+    // with Last-Event-ID, closed after SESSION_IDLE_MS without requests
+    const httpSessions = new Map();   // session id → { transport, lastSeen, streams }
+
+    const sessionError = (res, status, message) =>
+      res.status(status).json({ jsonrpc: "2.0", error: { code: -32000, message }, id: null });
+
+    app.post("/mcp", async (req, res) => {
+      const sessionId = req.headers["mcp-session-id"];
+      let session = sessionId ? httpSessions.get(sessionId) : null;
+      if (sessionId && !session) return sessionError(res, 404, "Session not found");
+      const isNew = !session;
+      if (isNew) {
+        if (!isInitializeRequest(req.body)) {
+          return sessionError(res, 400, "No session: start one with an initialize request");
+        }
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          eventStore: createEventStore(),
+          onsessioninitialized: (id) => {
+            httpSessions.set(id, session);
+            console.log(`MCP session started: ${id}`);
+          },
+        });
+        transport.onclose = () => {
+          if (!transport.sessionId || !httpSessions.delete(transport.sessionId)) return;
+          console.log(`MCP session closed: ${transport.sessionId}`);
+        };
+        session = { transport, lastSeen: Date.now(), streams: 0 };
+        await createServer().connect(transport);
+      }
+      session.lastSeen = Date.now();
+      await session.transport.handleRequest(req, res, req.body);
+      // A rejected initialize never starts the session: drop its Server
+      if (isNew && !session.transport.sessionId) await session.transport.close();
+    });
+
+    // GET opens the server-to-client stream (resumed with Last-Event-ID);
+    // DELETE ends the session
+    const existingSession = async (req, res) => {
+      const sessionId = req.headers["mcp-session-id"];
+      if (!sessionId) return sessionError(res, 400, "Missing Mcp-Session-Id header");
+      const session = httpSessions.get(sessionId);
+      if (!session) return sessionError(res, 404, "Session not found");
+      session.lastSeen = Date.now();
+      if (req.method === "GET") {
+        // A client listening for notifications is not idle
+        session.streams++;
+        res.on("close", () => {
+          session.streams--;
+          session.lastSeen = Date.now();
+        });
+      }
+      await session.transport.handleRequest(req, res);
+    };
+    app.get("/mcp", existingSession);
+    app.delete("/mcp", existingSession);
+
+    const sweep = setInterval(() => {
+      const cutoff = Date.now() - SESSION_IDLE_MS;
+      for (const [id, session] of httpSessions) {
+        if (session.streams > 0 || session.lastSeen > cutoff) continue;
+        console.log(`MCP session timed out: ${id}`);
+        session.transport.close();
+      }
+    }, 60 * 1000);
+    sweep.unref();
+
+    // SSE transport for MCP (older clients), a Server per connection
     const transports = {};
 
     app.get("/sse", async (req, res) => {
       const transport = new SSEServerTransport("/messages", res);
+      const server = createServer();
       transports[transport.sessionId] = transport;
       console.log(`SSE client connected: ${transport.sessionId}`);
 
       res.on("close", () => {
         delete transports[transport.sessionId];
+        server.close();
         console.log(`SSE client disconnected: ${transport.sessionId}`);
       });
 
@@ -494,19 +1148,24 @@ async function main() {
       if (!transport) {
         return res.status(400).json({ error: "Unknown session" });
       }
-      await transport.handlePostMessage(req, res);
+      await transport.handlePostMessage(req, res, req.body);
     });
 
-    app.listen(port, "0.0.0.0", () => {
-      console.log(`ArchSketch MCP server (SSE) listening on port ${port}`);
-      console.log(`  SSE endpoint : http://0.0.0.0:${port}/sse`);
+    const httpServer = app.listen(port, "0.0.0.0", () => {
+      console.log(`ArchSketch MCP server (HTTP) listening on port ${port}`);
+      console.log(`  MCP endpoint : http://0.0.0.0:${port}/mcp (Streamable HTTP)`);
+      console.log(`  SSE endpoint : http://0.0.0.0:${port}/sse (legacy)`);
       console.log(`  Health check : http://0.0.0.0:${port}/health`);
       console.log(`  Upload       : POST http://0.0.0.0:${port}/manifest`);
+      console.log(`  Collaborate  : ws://0.0.0.0:${port}/collab?room=<name>`);
     });
+
+    // Live co-editing rooms for the web app
+    attachCollabRelay(httpServer);
   } else {
     // ── stdio mode (local VS Code) ─────────────────────
     const transport = new StdioServerTransport();
-    await server.connect(transport);
+    await createServer().connect(transport);
   }
 }
 